@@ -9,6 +9,9 @@ const morgan = require('morgan');
 const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const { errorHandler, notFound } = require('./middleware/error.middleware');
+const { requestId } = require('./middleware/requestContext.middleware');
+const storageService = require('./services/storage.service');
+const geocoderService = require('./services/geocoder.service');
 
 // Load environment variables
 dotenv.config();
@@ -22,11 +25,20 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// The pincode dataset is generated on install, not kept in git
+if (!geocoderService.hasDataset()) {
+  console.error(`Pincode dataset not found at ${geocoderService.datasetFile}. Run: npm run build-pincodes`);
+  process.exit(1);
+}
+
 const app = express();
 
 // Connect to database
 connectDB();
 
+// Request ID + per-request context (used by the audit log)
+app.use(requestId);
+
 // SECURITY: Helmet - Set security headers
 app.use(helmet({
   contentSecurityPolicy: {
@@ -69,8 +81,8 @@ app.use(cors({
   },
   credentials: true, // CRITICAL: Allow cookies to be sent
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
-  exposedHeaders: ['Set-Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'X-Request-Id'],
+  exposedHeaders: ['Set-Cookie', 'X-Request-Id']
 }));
 
 // SECURITY: Rate limiting to prevent brute force attacks
@@ -90,10 +102,45 @@ const authLimiter = rateLimit({
   skipSuccessfulRequests: true  // Don't count successful requests
 });
 
+// Rate limit for endpoints that send email (counts every request, successful or not)
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 emails per windowMs
+  message: 'Too many email requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limit for endpoints that send SMS OTPs
+const otpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // Limit each IP to 5 OTP requests per windowMs
+  message: 'Too many OTP requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Rate limit for personal data exports (each builds a full account dump)
+const exportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // Limit each IP to 3 exports per windowMs
+  message: 'Too many data export requests, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 // Apply rate limiting
 app.use('/api/', limiter);
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/verify-email/resend', emailLimiter);
+app.use('/api/auth/forgot-password', emailLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/otp/send', otpLimiter);
+app.use('/api/auth/phone/send-otp', otpLimiter);
+app.use('/api/auth/phone/verify', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/api/auth/me/export', exportLimiter);
 
 // Body parser middleware with size limits
 app.use(express.json({ limit: '10mb' }));
@@ -130,6 +177,12 @@ app.use('/api/orders', require('./routes/order.routes'));
 app.use('/api/users', require('./routes/user.routes'));
 app.use('/api/admin', require('./routes/admin.routes'));
 app.use('/api/distributor', require('./routes/distributor.routes'));
+app.use('/api/stores', require('./routes/store.routes'));
+
+// Uploaded files, when they are stored on local disk
+if (storageService.getDriver().name === 'local') {
+  app.use('/media', require('./routes/media.routes'));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
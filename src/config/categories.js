@@ -0,0 +1,26 @@
+// Top-level categories created by `npm run migrate-categories`. These are the values
+// Product.category took before categories moved into the database.
+const DEFAULT_CATEGORIES = [
+  { name: 'Cement', icon: '🏗️' },
+  { name: 'Steel', icon: '🔩' },
+  { name: 'Bricks', icon: '🧱' },
+  { name: 'Sand', icon: '⏳' },
+  { name: 'Paint', icon: '🎨' },
+  { name: 'Tiles', icon: '◽' },
+  { name: 'Other', icon: '📦' }
+];
+
+// Steel -> TMT Bars -> Fe500D is three levels
+const MAX_CATEGORY_DEPTH = 4;
+
+// Product specification types a category can define:
+//   enum    - one of a fixed list (cement grade: OPC 43, OPC 53, PPC)
+//   number  - a measurement in `unit` (tile thickness in mm)
+//   boolean - yes/no (ISI marked)
+const ATTRIBUTE_TYPES = ['enum', 'number', 'boolean'];
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  MAX_CATEGORY_DEPTH,
+  ATTRIBUTE_TYPES
+};
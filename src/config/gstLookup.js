@@ -0,0 +1,40 @@
+// GSTIN lookup providers share one interface: lookup(gstin) -> Promise<{
+//   found, legalName, tradeName, registrationStatus, registeredOn
+// }>
+// GST_LOOKUP_PROVIDER selects the provider: 'none' (default, offline validation only) or the
+// local 'stub'. A GST Suvidha Provider (GSP) API plugs in by adding a factory to `providers`.
+
+const createNoneProvider = () => null;
+
+// Local stub: every well-formed GSTIN is an active registration. GSTINs with entity
+// number 'X' are reported as cancelled so the rejection path can be exercised.
+const createStubProvider = () => ({
+  name: 'stub',
+  lookup: async (gstin) => ({
+    found: true,
+    legalName: `STUB LEGAL NAME ${gstin.slice(2, 12)}`,
+    tradeName: null,
+    registrationStatus: gstin[12] === 'X' ? 'Cancelled' : 'Active',
+    registeredOn: new Date('2017-07-01')
+  })
+});
+
+const providers = {
+  none: createNoneProvider,
+  stub: createStubProvider
+};
+
+const createGstLookupProvider = () => {
+  const name = process.env.GST_LOOKUP_PROVIDER || 'none';
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown GST_LOOKUP_PROVIDER: ${name}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createGstLookupProvider
+};
@@ -0,0 +1,26 @@
+// KYC document rules for distributor onboarding
+
+const KYC_DOCUMENT_TYPES = ['business_license', 'gst_certificate', 'id_proof', 'address_proof', 'other'];
+
+// Every one of these must be verified (and unexpired) before a distributor can be approved
+const REQUIRED_KYC_DOCUMENTS = (process.env.KYC_REQUIRED_DOCUMENTS || 'business_license,gst_certificate,id_proof,address_proof')
+  .split(',')
+  .map(type => type.trim())
+  .filter(type => KYC_DOCUMENT_TYPES.includes(type));
+
+// Documents that lapse; an expiry date is required when uploading them
+const EXPIRING_KYC_DOCUMENTS = ['business_license'];
+
+// Days before expiry that the distributor is reminded to upload a renewed document
+const KYC_EXPIRY_REMINDER_DAYS = parseInt(process.env.KYC_EXPIRY_REMINDER_DAYS || '30', 10);
+
+// Images or PDF
+const KYC_ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+module.exports = {
+  KYC_DOCUMENT_TYPES,
+  REQUIRED_KYC_DOCUMENTS,
+  EXPIRING_KYC_DOCUMENTS,
+  KYC_EXPIRY_REMINDER_DAYS,
+  KYC_ALLOWED_MIME_TYPES
+};
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports share one interface: send({ to, subject, text, html }) -> Promise
+// MAIL_TRANSPORT selects the transport: 'smtp' (production), 'file' or 'console' (local dev / tests)
+
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const createFileTransport = () => {
+  const outputDir = process.env.MAIL_FILE_DIR || path.join(process.cwd(), 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+      const filePath = path.join(outputDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: fileName, path: filePath };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (transport) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+};
+
+const mailFrom = process.env.MAIL_FROM || 'BuildAdda <no-reply@buildadda.com>';
+
+module.exports = {
+  createTransport,
+  mailFrom
+};
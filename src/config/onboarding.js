@@ -0,0 +1,25 @@
+// Distributor onboarding lifecycle (see onboarding.service)
+//
+//   applied -> under_review -> approved <-> suspended
+//         \         |
+//          `--> rejected --(resubmit)--> under_review
+
+const ONBOARDING_STATUSES = ['applied', 'under_review', 'approved', 'rejected', 'suspended'];
+
+// Actions and the statuses they move between. `by` is who may take the action.
+const ONBOARDING_TRANSITIONS = {
+  start_review: { from: ['applied'], to: 'under_review', by: ['admin', 'system'] },
+  approve: { from: ['applied', 'under_review'], to: 'approved', by: ['admin'] },
+  reject: { from: ['applied', 'under_review'], to: 'rejected', by: ['admin'], reasonRequired: true },
+  suspend: { from: ['approved'], to: 'suspended', by: ['admin'], reasonRequired: true },
+  reinstate: { from: ['suspended'], to: 'approved', by: ['admin'] },
+  resubmit: { from: ['rejected'], to: 'under_review', by: ['distributor'] }
+};
+
+const ONBOARDING_ACTIONS = Object.keys(ONBOARDING_TRANSITIONS);
+
+module.exports = {
+  ONBOARDING_STATUSES,
+  ONBOARDING_TRANSITIONS,
+  ONBOARDING_ACTIONS
+};
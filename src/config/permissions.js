@@ -0,0 +1,81 @@
+// Permission catalogue used by role.middleware requirePermission()
+
+// Distributor permissions. The distributor owner holds all of them; staff hold a subset.
+const DISTRIBUTOR_PERMISSIONS = [
+  'products:read',
+  'products:write',
+  'orders:read',
+  'orders:approve',
+  'orders:status',
+  'stats:read',
+  'profile:write',
+  'staff:manage'
+];
+
+// Permissions that only the owner can hold (never granted to staff)
+const OWNER_ONLY_PERMISSIONS = ['staff:manage'];
+
+const STAFF_PERMISSIONS = DISTRIBUTOR_PERMISSIONS.filter(p => !OWNER_ONLY_PERMISSIONS.includes(p));
+
+// Starting points offered when inviting staff; the owner can fine-tune afterwards
+const STAFF_PRESETS = {
+  manager: STAFF_PERMISSIONS,
+  warehouse: ['products:read', 'products:write', 'orders:read'],
+  accountant: ['orders:read', 'stats:read'],
+  dispatcher: ['orders:read', 'orders:status']
+};
+
+// Admin capabilities. Each admin sub-role is granted a fixed set of them.
+const ADMIN_PERMISSIONS = [
+  'stats:read',
+  'users:read',
+  'users:write',
+  'users:delete',
+  'distributors:read',
+  'distributors:approve',
+  'distributors:write',
+  'distributors:delete',
+  'products:read',
+  'products:delete',
+  'categories:write',
+  'catalog:write',
+  'coupons:read',
+  'coupons:write',
+  'orders:read',
+  'orders:write',
+  'transactions:read',
+  'settlements:read',
+  'audit:read',
+  'admins:manage'
+];
+
+const ADMIN_ROLE_PERMISSIONS = {
+  super_admin: ADMIN_PERMISSIONS,
+  support: [
+    'stats:read', 'users:read', 'users:write', 'distributors:read',
+    'products:read', 'orders:read', 'orders:write'
+  ],
+  finance: [
+    'stats:read', 'orders:read', 'coupons:read', 'transactions:read', 'settlements:read'
+  ],
+  catalog: [
+    'stats:read', 'distributors:read', 'products:read', 'products:delete',
+    'categories:write', 'catalog:write', 'coupons:read', 'coupons:write'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ADMIN_ROLE_PERMISSIONS);
+
+// Admins created before sub-roles existed keep full access
+const DEFAULT_ADMIN_ROLE = 'super_admin';
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  ADMIN_ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  DEFAULT_ADMIN_ROLE,
+  DISTRIBUTOR_PERMISSIONS,
+  OWNER_ONLY_PERMISSIONS,
+  STAFF_PERMISSIONS,
+  STAFF_PRESETS
+};
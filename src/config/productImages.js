@@ -0,0 +1,13 @@
+// Product gallery limits and the derived sizes generated for every upload
+const MAX_PRODUCT_IMAGES = parseInt(process.env.MAX_PRODUCT_IMAGES) || 8;
+
+// thumbnail: listing cards (cropped square); medium: product detail page (fits inside)
+const PRODUCT_IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200, crop: 'fill', gravity: 'auto' },
+  medium: { width: 800, height: 800, crop: 'limit' }
+};
+
+module.exports = {
+  MAX_PRODUCT_IMAGES,
+  PRODUCT_IMAGE_SIZES
+};
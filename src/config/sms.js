@@ -0,0 +1,30 @@
+// SMS providers share one interface: send({ to, message }) -> Promise
+// SMS_PROVIDER selects the provider. Only the local 'console' stub ships today;
+// a gateway (MSG91, Twilio, ...) plugs in by adding a factory to `providers`.
+
+const createConsoleProvider = () => ({
+  name: 'console',
+  send: async ({ to, message }) => {
+    console.log(`[sms] To: +91${to} | ${message}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const providers = {
+  console: createConsoleProvider
+};
+
+const createSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const factory = providers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createSmsProvider
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Storage drivers share one interface:
+//   put(file, { folder, access, sizes }) -> Promise<{ key, url, resourceType, width, height, sizes }>
+//   delete(key, { access, resourceType }) -> Promise
+//   signedUrl(key, { resourceType }) -> time-limited URL of a private file
+// `file` is a multer file; `access` is 'public' or 'private' (KYC documents); `sizes` maps
+// names to { width, height, crop } and the result has a URL for each.
+// STORAGE_DRIVER selects the driver: 'cloudinary' or 'local' (files on disk, served under /media).
+// Without it, Cloudinary is used when credentials are configured and local disk otherwise.
+
+const createCloudinaryDriver = () => {
+  const cloudinary = require('cloudinary').v2;
+
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  const upload = (buffer, options) => new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(options, (error, result) => {
+      if (error) reject(error);
+      else resolve(result);
+    });
+    uploadStream.end(buffer);
+  });
+
+  return {
+    name: 'cloudinary',
+
+    put: async (file, { folder, access = 'public', sizes = {} } = {}) => {
+      const names = Object.keys(sizes);
+      const result = await upload(file.buffer, {
+        folder,
+        // Private files can only be viewed through a signed URL
+        ...(access === 'private' && { type: 'authenticated', resource_type: 'auto' }),
+        // Derived sizes are generated with the upload
+        ...(names.length > 0 && { eager: names.map(name => sizes[name]) })
+      });
+
+      return {
+        key: result.public_id,
+        url: result.secure_url,
+        resourceType: result.resource_type,
+        width: result.width,
+        height: result.height,
+        sizes: Object.fromEntries(names.map((name, i) => [
+          name,
+          result.eager && result.eager[i] ? result.eager[i].secure_url : result.secure_url
+        ]))
+      };
+    },
+
+    delete: (key, { access = 'public', resourceType = 'image' } = {}) => {
+      return cloudinary.uploader.destroy(key, {
+        type: access === 'private' ? 'authenticated' : 'upload',
+        resource_type: resourceType,
+        invalidate: true
+      });
+    },
+
+    signedUrl: (key, { resourceType = 'image' } = {}) => {
+      return cloudinary.url(key, {
+        type: 'authenticated',
+        resource_type: resourceType,
+        sign_url: true,
+        secure: true
+      });
+    }
+  };
+};
+
+// Extensions are taken from the MIME type only, so an upload can never be served as HTML
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'application/pdf': 'pdf'
+};
+
+// Files under STORAGE_LOCAL_DIR (default ./uploads): public/ is served as-is, private/ only
+// through URLs signed with STORAGE_SIGNING_KEY (required; created at startup, so a missing
+// key stops the server). Images are not resized, so every derived size points at the original.
+const createLocalDriver = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'));
+  const baseUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/media`).replace(/\/$/, '');
+  const signingKey = process.env.STORAGE_SIGNING_KEY || process.env.JWT_SECRET;
+  if (!signingKey) {
+    throw new Error('The local storage driver needs STORAGE_SIGNING_KEY (or JWT_SECRET) to sign private file URLs');
+  }
+  const signedUrlSeconds = (parseInt(process.env.STORAGE_SIGNED_URL_MINUTES) || 60) * 60;
+
+  const directories = {
+    public: path.join(root, 'public'),
+    private: path.join(root, 'private')
+  };
+
+  // Absolute path of a key, or null if the key points outside its directory
+  const resolve = (access, key) => {
+    const directory = directories[access];
+    const filePath = path.resolve(directory, String(key || ''));
+    return filePath.startsWith(directory + path.sep) ? filePath : null;
+  };
+
+  const sign = (key, expires) => crypto.createHmac('sha256', signingKey).update(`${key}:${expires}`).digest('hex');
+
+  return {
+    name: 'local',
+    directories,
+    resolve,
+
+    put: async (file, { folder, access = 'public', sizes = {} } = {}) => {
+      const key = `${folder}/${crypto.randomBytes(16).toString('hex')}.${EXTENSIONS[file.mimetype] || 'bin'}`;
+      const filePath = resolve(access, key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, file.buffer);
+
+      const url = access === 'private' ? `${baseUrl}/private/${key}` : `${baseUrl}/${key}`;
+
+      return {
+        key,
+        url,
+        resourceType: file.mimetype.startsWith('image/') ? 'image' : 'raw',
+        width: undefined,
+        height: undefined,
+        sizes: Object.fromEntries(Object.keys(sizes).map(name => [name, url]))
+      };
+    },
+
+    delete: async (key, { access = 'public' } = {}) => {
+      const filePath = resolve(access, key);
+      if (!filePath) return;
+
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    signedUrl: (key) => {
+      const expires = Math.floor(Date.now() / 1000) + signedUrlSeconds;
+      return `${baseUrl}/private/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    // Checks a signed URL from signedUrl()
+    verifySignature: (key, expires, signature) => {
+      const expiresAt = parseInt(expires);
+      if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, expiresAt));
+      const given = Buffer.from(signature);
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+  };
+};
+
+const drivers = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver
+};
+
+const createStorageDriver = () => {
+  const name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+  const factory = drivers[name];
+
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+  }
+
+  return factory();
+};
+
+module.exports = {
+  createStorageDriver
+};
@@ -0,0 +1,64 @@
+const multer = require('multer');
+const { KYC_ALLOWED_MIME_TYPES } = require('./kyc');
+const { ValidationError } = require('../utils/errors');
+
+// Uploads are kept in memory and handed to the storage driver (see config/storage.js)
+const storage = multer.memoryStorage();
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+// KYC documents: images or PDF, up to 10MB
+const documentFileFilter = (req, file, cb) => {
+  if (KYC_ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new ValidationError('Only JPEG, PNG, WebP or PDF files are allowed'), false);
+  }
+};
+
+const documentUpload = multer({
+  storage,
+  fileFilter: documentFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB
+  }
+});
+
+// Bulk product import: CSV or XLSX, up to 5MB
+const IMPORT_FILE_PATTERN = /\.(csv|xlsx)$/i;
+
+const importFileFilter = (req, file, cb) => {
+  if (IMPORT_FILE_PATTERN.test(file.originalname)) {
+    cb(null, true);
+  } else {
+    cb(new ValidationError('Only CSV or XLSX files are allowed'), false);
+  }
+};
+
+const importUpload = multer({
+  storage,
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  }
+});
+
+module.exports = {
+  upload,
+  documentUpload,
+  importUpload
+};
@@ -1,11 +1,26 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Distributor = require('../models/Distributor');
+const DistributorStaff = require('../models/DistributorStaff');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Transaction = require('../models/Transaction');
 const Coupon = require('../models/Coupon');
+const sessionService = require('../services/session.service');
+const auditService = require('../services/audit.service');
+const kycService = require('../services/kyc.service');
+const onboardingService = require('../services/onboarding.service');
+const categoryService = require('../services/category.service');
+const catalogService = require('../services/catalog.service');
+const productImageService = require('../services/productImage.service');
+const gstinService = require('../services/gstin.service');
 const asyncHandler = require('../utils/asyncHandler');
-const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../utils/errors');
+const { ADMIN_ROLES, ADMIN_ROLE_PERMISSIONS, DEFAULT_ADMIN_ROLE } = require('../config/permissions');
+const { ONBOARDING_STATUSES } = require('../config/onboarding');
+
+// Who is acting, as recorded in distributor onboarding history
+const adminActor = (req) => ({ _id: req.user._id, name: req.user.name, role: 'admin' });
 
 // @desc    Get admin dashboard statistics
 // @route   GET /api/admin/stats
@@ -102,6 +117,11 @@ exports.updateUser = asyncHandler(async (req, res) => {
     throw new NotFoundError('User not found');
   }
 
+  // SECURITY: Admin accounts are managed through /api/admin/admins (super-admin only)
+  if (user.role === 'admin') {
+    throw new AuthorizationError('Admin accounts can only be managed by a super-admin');
+  }
+
   // Prevent admin from deactivating themselves
   if (req.user._id.toString() === userId && !isActive) {
     throw new ValidationError('You cannot deactivate your own account');
@@ -130,6 +150,11 @@ exports.deleteUser = asyncHandler(async (req, res) => {
     throw new NotFoundError('User not found');
   }
 
+  // SECURITY: Admin accounts are managed through /api/admin/admins (super-admin only)
+  if (user.role === 'admin') {
+    throw new AuthorizationError('Admin accounts can only be managed by a super-admin');
+  }
+
   // Prevent admin from deleting themselves
   if (req.user._id.toString() === userId) {
     throw new ValidationError('You cannot delete your own account');
@@ -147,7 +172,7 @@ exports.deleteUser = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/distributors
 // @access  Private (Admin only)
 exports.getAllDistributors = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, isApproved, search } = req.query;
+  const { page = 1, limit = 20, isApproved, status, search } = req.query;
 
   // Validate and limit pagination
   const pageNum = Math.max(1, parseInt(page));
@@ -160,6 +185,14 @@ exports.getAllDistributors = asyncHandler(async (req, res) => {
     filter.isApproved = isApproved === 'true';
   }
 
+  // Filter by lifecycle status
+  if (status) {
+    if (!ONBOARDING_STATUSES.includes(status)) {
+      throw new ValidationError(`Status must be one of: ${ONBOARDING_STATUSES.join(', ')}`);
+    }
+    filter.$and = [onboardingService.statusFilter(status)];
+  }
+
   // Search by business name or email
   if (search && search.trim()) {
     const searchRegex = new RegExp(search.trim(), 'i');
@@ -195,7 +228,6 @@ exports.getAllDistributors = asyncHandler(async (req, res) => {
 exports.approveDistributor = asyncHandler(async (req, res) => {
   const { distributorId } = req.params;
   const { isApproved, rejectionReason } = req.body;
-  const adminId = req.user._id;
 
   // Validate input
   if (typeof isApproved !== 'boolean') {
@@ -212,13 +244,11 @@ exports.approveDistributor = asyncHandler(async (req, res) => {
     throw new NotFoundError('Distributor not found');
   }
 
-  // Update approval status with proper field whitelisting
-  distributor.isApproved = isApproved;
-  distributor.approvedBy = isApproved ? adminId : null;
-  distributor.approvedAt = isApproved ? new Date() : null;
-  distributor.rejectionReason = !isApproved ? rejectionReason : null;
-
-  await distributor.save();
+  // Shorthand for the approve/reject lifecycle actions (KYC is checked on approval)
+  await onboardingService.transition(distributor, isApproved ? 'approve' : 'reject', {
+    reason: rejectionReason,
+    actor: adminActor(req)
+  });
 
   res.json({
     success: true,
@@ -227,6 +257,119 @@ exports.approveDistributor = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Move a distributor through the onboarding lifecycle
+// @route   POST /api/admin/distributors/:distributorId/status
+// @access  Private (Admin: distributors:approve)
+// Body: { action: start_review | approve | reject | suspend | reinstate, reason }
+exports.updateDistributorStatus = asyncHandler(async (req, res) => {
+  const { action, reason } = req.body;
+
+  const distributor = await Distributor.findById(req.params.distributorId).select('-password');
+
+  if (!distributor) {
+    throw new NotFoundError('Distributor not found');
+  }
+
+  await onboardingService.transition(distributor, action, { reason, actor: adminActor(req) });
+
+  res.json({
+    success: true,
+    message: `Distributor is now ${distributor.onboardingStatus.replace(/_/g, ' ')}`,
+    onboarding: onboardingService.getOnboarding(distributor),
+    history: distributor.onboardingHistory
+  });
+});
+
+// @desc    Get distributor KYC documents
+// @route   GET /api/admin/distributors/:distributorId/documents
+// @access  Private (Admin: distributors:read)
+exports.getDistributorDocuments = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.params.distributorId)
+    .select('businessName email state isApproved documents gstNumber panNumber gstVerification ' +
+      'onboardingStatus onboardingHistory rejectionReason suspendedAt suspensionReason emailVerified phoneVerified ' +
+      'address city pincode');
+
+  if (!distributor) {
+    throw new NotFoundError('Distributor not found');
+  }
+
+  res.json({
+    success: true,
+    distributor: {
+      _id: distributor._id,
+      businessName: distributor.businessName,
+      email: distributor.email,
+      state: distributor.state,
+      isApproved: distributor.isApproved
+    },
+    onboarding: onboardingService.getOnboarding(distributor),
+    history: distributor.onboardingHistory,
+    gst: {
+      gstNumber: distributor.gstNumber,
+      panNumber: distributor.panNumber,
+      verification: distributor.gstVerification
+    },
+    kyc: kycService.getKycStatus(distributor),
+    documents: distributor.documents.map(doc => kycService.toDocumentResponse(doc))
+  });
+});
+
+// @desc    Re-run GSTIN checks and registry lookup for a distributor
+// @route   POST /api/admin/distributors/:distributorId/gstin/verify
+// @access  Private (Admin: distributors:approve)
+exports.verifyDistributorGstin = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.params.distributorId);
+
+  if (!distributor) {
+    throw new NotFoundError('Distributor not found');
+  }
+
+  const result = await gstinService.refreshDistributor(distributor);
+  await distributor.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    gst: {
+      gstNumber: distributor.gstNumber,
+      panNumber: result.pan || distributor.panNumber,
+      verification: distributor.gstVerification,
+      errors: result.errors
+    }
+  });
+});
+
+// @desc    Verify or reject a distributor KYC document
+// @route   PUT /api/admin/distributors/:distributorId/documents/:documentId/review
+// @access  Private (Admin: distributors:approve)
+exports.reviewDistributorDocument = asyncHandler(async (req, res) => {
+  const { distributorId, documentId } = req.params;
+  const { status, rejectionReason, expiresAt } = req.body;
+
+  if (!['verified', 'rejected'].includes(status)) {
+    throw new ValidationError('Status must be verified or rejected');
+  }
+
+  const distributor = await Distributor.findById(distributorId);
+
+  if (!distributor) {
+    throw new NotFoundError('Distributor not found');
+  }
+
+  const document = await kycService.reviewDocument(
+    distributor,
+    documentId,
+    { status, rejectionReason, expiresAt },
+    req.user._id
+  );
+
+  res.json({
+    success: true,
+    message: `Document ${status === 'verified' ? 'verified' : 'rejected'} successfully`,
+    document: kycService.toDocumentResponse(document),
+    kyc: kycService.getKycStatus(distributor)
+  });
+});
+
 // @desc    Update distributor status
 // @route   PUT /api/admin/distributors/:distributorId
 // @access  Private (Admin only)
@@ -268,8 +411,10 @@ exports.deleteDistributor = asyncHandler(async (req, res) => {
     throw new NotFoundError('Distributor not found');
   }
 
-  // Delete distributor's products first
+  // Delete distributor's products first, then their stored images
+  const products = await Product.find({ distributor: distributorId }).select('images variants catalogItem');
   await Product.deleteMany({ distributor: distributorId });
+  productImageService.deleteStored(products.flatMap(product => productImageService.storedIds(product)));
 
   // Delete distributor
   await distributor.deleteOne();
@@ -292,9 +437,9 @@ exports.getAllProducts = asyncHandler(async (req, res) => {
 
   const filter = {};
 
-  // Filter by category
+  // Filter by category (ID or slug), including subcategories
   if (category) {
-    filter.category = category;
+    filter.category = await categoryService.productFilter(category);
   }
 
   // Filter by active status
@@ -304,6 +449,7 @@ exports.getAllProducts = asyncHandler(async (req, res) => {
 
   const products = await Product.find(filter)
     .populate('distributor', 'businessName email')
+    .populate('category', 'name slug')
     .sort('-createdAt')
     .limit(limitNum)
     .skip((pageNum - 1) * limitNum);
@@ -335,6 +481,7 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
   }
 
   await product.deleteOne();
+  productImageService.deleteStored(productImageService.storedIds(product));
 
   res.json({
     success: true,
@@ -506,6 +653,150 @@ exports.deleteCoupon = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get the full category tree, including inactive categories
+// @route   GET /api/admin/categories
+// @access  Private (Admin: products:read)
+exports.getCategoryTree = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getTree({ includeInactive: true, withCounts: true });
+
+  res.json({ success: true, categories });
+});
+
+// @desc    Create category (top level, or under a parent)
+// @route   POST /api/admin/categories
+// @access  Private (Admin: categories:write)
+// Body: { name, slug?, description?, icon?, parent?, sortOrder?, isActive?, attributes? }
+exports.createCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, icon, parent, sortOrder, isActive, attributes } = req.body;
+
+  const category = await categoryService.create({ name, slug, description, icon, parent, sortOrder, isActive, attributes });
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    category
+  });
+});
+
+// @desc    Update category, or move it (with its subcategories) under another parent
+// @route   PUT /api/admin/categories/:categoryId
+// @access  Private (Admin: categories:write)
+exports.updateCategory = asyncHandler(async (req, res) => {
+  const { name, slug, description, icon, parent, sortOrder, isActive, attributes } = req.body;
+
+  const category = await categoryService.findOrFail(req.params.categoryId);
+  await categoryService.update(category, { name, slug, description, icon, parent, sortOrder, isActive, attributes });
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    category
+  });
+});
+
+// @desc    Delete an empty category
+// @route   DELETE /api/admin/categories/:categoryId
+// @access  Private (Admin: categories:write)
+exports.deleteCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.findOrFail(req.params.categoryId);
+  await categoryService.remove(category);
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+});
+
+// Fields of a catalog item an admin can set
+const catalogFields = ({ name, brand, modelNumber, description, category, unit, specifications, isActive }) => (
+  { name, brand, modelNumber, description, category, unit, specifications, isActive }
+);
+
+// @desc    Search the master catalog
+// @route   GET /api/admin/catalog
+// @access  Private (Admin: products:read)
+// Query params: ?search=ultratech&category=cement&page=1&limit=20
+exports.getCatalogItems = asyncHandler(async (req, res) => {
+  const { search, category, page, limit } = req.query;
+  const result = await catalogService.list({ search, category, page, limit, includeInactive: true });
+
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+// @desc    Create a catalog item (multipart: images)
+// @route   POST /api/admin/catalog
+// @access  Private (Admin: catalog:write)
+exports.createCatalogItem = asyncHandler(async (req, res) => {
+  const item = await catalogService.create(catalogFields(req.body), {
+    createdBy: req.user._id,
+    files: req.files
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Catalog item created successfully',
+    item
+  });
+});
+
+// @desc    Update a catalog item; offers on it are updated too
+// @route   PUT /api/admin/catalog/:itemId
+// @access  Private (Admin: catalog:write)
+exports.updateCatalogItem = asyncHandler(async (req, res) => {
+  const item = await catalogService.findOrFail(req.params.itemId);
+  await catalogService.update(item, catalogFields(req.body));
+
+  res.json({
+    success: true,
+    message: 'Catalog item updated successfully',
+    item
+  });
+});
+
+// @desc    Add images to a catalog item
+// @route   POST /api/admin/catalog/:itemId/images
+// @access  Private (Admin: catalog:write)
+exports.addCatalogItemImages = asyncHandler(async (req, res) => {
+  const item = await catalogService.findOrFail(req.params.itemId);
+  await catalogService.addImages(item, req.files);
+
+  res.status(201).json({
+    success: true,
+    message: 'Images added successfully',
+    images: item.images
+  });
+});
+
+// @desc    Delete an image of a catalog item
+// @route   DELETE /api/admin/catalog/:itemId/images/:imageId
+// @access  Private (Admin: catalog:write)
+exports.deleteCatalogItemImage = asyncHandler(async (req, res) => {
+  const item = await catalogService.findOrFail(req.params.itemId);
+  await catalogService.removeImage(item, req.params.imageId);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    images: item.images
+  });
+});
+
+// @desc    Delete a catalog item without offers
+// @route   DELETE /api/admin/catalog/:itemId
+// @access  Private (Admin: catalog:write)
+exports.deleteCatalogItem = asyncHandler(async (req, res) => {
+  const item = await catalogService.findOrFail(req.params.itemId);
+  await catalogService.remove(item);
+
+  res.json({
+    success: true,
+    message: 'Catalog item deleted successfully'
+  });
+});
+
 // @desc    Get transaction reports
 // @route   GET /api/admin/transactions
 // @access  Private (Admin only)
@@ -627,7 +918,7 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Use the Order model's updateStatus method
-  await order.updateStatus(orderStatus, note || 'Updated by admin', adminId, 'User');
+  await order.updateStatus(orderStatus, note || 'Updated by admin', adminId, 'User', req.user.name);
 
   res.json({
     success: true,
@@ -636,4 +927,280 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get settlement report (amount owed to each distributor)
+// @route   GET /api/admin/settlements
+// @access  Private (Admin: settlements:read)
+exports.getSettlementReport = asyncHandler(async (req, res) => {
+  const { startDate, endDate, distributorId } = req.query;
+
+  // Only delivered, paid orders are due for settlement
+  const match = { orderStatus: 'delivered', paymentStatus: { $in: ['paid', 'refunded'] } };
+
+  if (startDate && endDate) {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (start > end) {
+      throw new ValidationError('Start date must be before end date');
+    }
+
+    match.createdAt = { $gte: start, $lte: end };
+  }
+
+  if (distributorId) {
+    if (!mongoose.isValidObjectId(distributorId)) {
+      throw new ValidationError('Invalid distributor ID');
+    }
+    match.distributor = new mongoose.Types.ObjectId(distributorId);
+  }
+
+  const settlements = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$distributor',
+        orderCount: { $sum: 1 },
+        grossAmount: { $sum: '$totalAmount' },
+        taxAmount: { $sum: '$tax' },
+        deliveryCharges: { $sum: '$deliveryCharge' },
+        discountAmount: { $sum: '$discount' },
+        refundAmount: { $sum: { $ifNull: ['$refundAmount', 0] } }
+      }
+    },
+    { $addFields: { netAmount: { $subtract: ['$grossAmount', '$refundAmount'] } } },
+    {
+      $lookup: {
+        from: 'distributors',
+        localField: '_id',
+        foreignField: '_id',
+        pipeline: [{ $project: { businessName: 1, email: 1 } }],
+        as: 'distributor'
+      }
+    },
+    { $unwind: { path: '$distributor', preserveNullAndEmptyArrays: true } },
+    { $sort: { netAmount: -1 } }
+  ]);
+
+  const totals = settlements.reduce((sum, row) => ({
+    orderCount: sum.orderCount + row.orderCount,
+    grossAmount: sum.grossAmount + row.grossAmount,
+    refundAmount: sum.refundAmount + row.refundAmount,
+    netAmount: sum.netAmount + row.netAmount
+  }), { orderCount: 0, grossAmount: 0, refundAmount: 0, netAmount: 0 });
+
+  res.json({
+    success: true,
+    settlements,
+    totals
+  });
+});
+
+// @desc    Get audit log entries with filters
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin: audit:read)
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  // Validate and limit pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+  const filter = auditService.buildFilter(req.query);
+  const { logs, total } = await auditService.findLogs(filter, { page: pageNum, limit: limitNum });
+
+  res.json({
+    success: true,
+    logs,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum)
+    }
+  });
+});
+
+// @desc    Export audit log entries (CSV or JSON) with the same filters
+// @route   GET /api/admin/audit-logs/export
+// @access  Private (Admin: audit:read)
+exports.exportAuditLogs = asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new ValidationError('Format must be csv or json');
+  }
+
+  const filter = auditService.buildFilter(req.query);
+  await auditService.exportLogs(filter, format, res);
+});
+
+// Never expose security fields of admin accounts
+const toAdminResponse = (admin) => ({
+  _id: admin._id,
+  name: admin.name,
+  email: admin.email,
+  phone: admin.phone,
+  adminRole: admin.adminRole || DEFAULT_ADMIN_ROLE,
+  permissions: ADMIN_ROLE_PERMISSIONS[admin.adminRole || DEFAULT_ADMIN_ROLE],
+  isActive: admin.isActive,
+  twoFactorEnabled: admin.twoFactorEnabled,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt
+});
+
+// Admins without an adminRole predate sub-roles and count as super-admins
+const superAdminFilter = {
+  role: 'admin',
+  $or: [{ adminRole: 'super_admin' }, { adminRole: { $exists: false } }, { adminRole: null }]
+};
+
+// Refuse changes that would leave no active super-admin
+const ensureAnotherSuperAdmin = async (admin) => {
+  const isSuperAdmin = (admin.adminRole || DEFAULT_ADMIN_ROLE) === 'super_admin';
+  if (!isSuperAdmin) return;
+
+  const others = await User.countDocuments({ ...superAdminFilter, isActive: true, _id: { $ne: admin._id } });
+  if (others === 0) {
+    throw new ValidationError('At least one active super-admin is required');
+  }
+};
+
+// @desc    Get all admin accounts
+// @route   GET /api/admin/admins
+// @access  Private (Super-admin only)
+exports.getAllAdmins = asyncHandler(async (req, res) => {
+  const admins = await User.find({ role: 'admin' }).sort('name');
+
+  res.json({
+    success: true,
+    count: admins.length,
+    admins: admins.map(toAdminResponse),
+    roles: ADMIN_ROLE_PERMISSIONS
+  });
+});
+
+// @desc    Create admin account
+// @route   POST /api/admin/admins
+// @access  Private (Super-admin only)
+exports.createAdmin = asyncHandler(async (req, res) => {
+  const { name, email, password, phone, adminRole } = req.body;
+
+  if (!ADMIN_ROLES.includes(adminRole)) {
+    throw new ValidationError(`Admin role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  // Emails are unique across every account type
+  const [existingUser, existingDistributor, existingStaff] = await Promise.all([
+    User.findOne({ email: normalizedEmail }),
+    Distributor.findOne({ email: normalizedEmail }),
+    DistributorStaff.findOne({ email: normalizedEmail })
+  ]);
+
+  if (existingUser || existingDistributor || existingStaff) {
+    throw new ConflictError('An account with this email already exists');
+  }
+
+  const admin = await User.create({
+    name,
+    email: normalizedEmail,
+    password,
+    phone,
+    role: 'admin',
+    adminRole,
+    // Created by a super-admin, so the address is trusted
+    emailVerified: true
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Admin created successfully',
+    admin: toAdminResponse(admin)
+  });
+});
+
+// @desc    Update admin role or status
+// @route   PUT /api/admin/admins/:adminId
+// @access  Private (Super-admin only)
+exports.updateAdmin = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+  const { name, adminRole, isActive } = req.body;
+
+  const admin = await User.findOne({ _id: adminId, role: 'admin' });
+
+  if (!admin) {
+    throw new NotFoundError('Admin not found');
+  }
+
+  // Prevent super-admins from locking themselves out
+  if (req.user._id.toString() === adminId) {
+    throw new ValidationError('You cannot change your own admin role or status');
+  }
+
+  if (adminRole !== undefined) {
+    if (!ADMIN_ROLES.includes(adminRole)) {
+      throw new ValidationError(`Admin role must be one of: ${ADMIN_ROLES.join(', ')}`);
+    }
+    if (adminRole !== 'super_admin') {
+      await ensureAnotherSuperAdmin(admin);
+    }
+    admin.adminRole = adminRole;
+  }
+
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      throw new ValidationError('isActive must be a boolean value');
+    }
+    if (!isActive) {
+      await ensureAnotherSuperAdmin(admin);
+    }
+    admin.isActive = isActive;
+  }
+
+  if (name !== undefined) {
+    admin.name = name;
+  }
+
+  await admin.save();
+
+  // Deactivated admins are signed out everywhere straight away
+  if (isActive === false) {
+    await sessionService.revokeAllSessions(admin._id, 'account_disabled');
+  }
+
+  res.json({
+    success: true,
+    message: 'Admin updated successfully',
+    admin: toAdminResponse(admin)
+  });
+});
+
+// @desc    Delete admin account
+// @route   DELETE /api/admin/admins/:adminId
+// @access  Private (Super-admin only)
+exports.deleteAdmin = asyncHandler(async (req, res) => {
+  const { adminId } = req.params;
+
+  const admin = await User.findOne({ _id: adminId, role: 'admin' });
+
+  if (!admin) {
+    throw new NotFoundError('Admin not found');
+  }
+
+  if (req.user._id.toString() === adminId) {
+    throw new ValidationError('You cannot delete your own account');
+  }
+
+  await ensureAnotherSuperAdmin(admin);
+
+  await sessionService.revokeAllSessions(admin._id, 'account_disabled');
+  await admin.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Admin deleted successfully'
+  });
+});
+
 module.exports = exports;
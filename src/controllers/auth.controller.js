@@ -1,20 +1,90 @@
 const authService = require('../services/auth.service');
+const mailService = require('../services/mail.service');
+const sessionService = require('../services/session.service');
+const otpService = require('../services/otp.service');
+const twoFactorService = require('../services/twoFactor.service');
+const accountService = require('../services/account.service');
+const gstinService = require('../services/gstin.service');
+const geocoderService = require('../services/geocoder.service');
+const onboardingService = require('../services/onboarding.service');
 const User = require('../models/User');
 const Distributor = require('../models/Distributor');
+const DistributorStaff = require('../models/DistributorStaff');
 const asyncHandler = require('../utils/asyncHandler');
-const { ValidationError, NotFoundError, AuthenticationError } = require('../utils/errors');
+const { DEFAULT_ADMIN_ROLE } = require('../config/permissions');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError
+} = require('../utils/errors');
+
+// Roles that can enroll in TOTP two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'distributor'];
+
+// Reload the current account with its (select: false) 2FA fields
+const loadTwoFactorAccount = async (id, role, extraSelect = '') => {
+  const Model = role === 'distributor' ? Distributor : User;
+  const account = await Model.findById(id).select(`${twoFactorService.selectFields} ${extraSelect}`.trim());
+
+  if (!account) {
+    throw new NotFoundError('User not found');
+  }
+
+  return account;
+};
+
+// Cookie options shared by the access and refresh token cookies
+const cookieOptions = (overrides = {}) => ({
+  httpOnly: true,
+  secure: true, // Required for sameSite: 'none'
+  sameSite: 'none', // Allow cross-site cookies (different domains)
+  path: '/', // Ensure cookie is accessible across all paths
+  ...overrides
+});
+
+// Set access token cookie and refresh token cookie (refresh cookie is only sent to /api/auth)
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie('token', accessToken, cookieOptions({
+    maxAge: sessionService.refreshTokenMaxAge
+  }));
+  res.cookie('refreshToken', refreshToken, cookieOptions({
+    maxAge: sessionService.refreshTokenMaxAge,
+    path: '/api/auth'
+  }));
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('token', '', cookieOptions({ expires: new Date(0) }));
+  res.cookie('refreshToken', '', cookieOptions({ expires: new Date(0), path: '/api/auth' }));
+};
+
+// Issue a fresh verification token and email it. Mail failures are logged, not surfaced,
+// so a flaky mail provider never blocks registration; the user can request a resend.
+const issueVerificationEmail = async (account) => {
+  const verificationToken = account.createVerificationToken();
+  await account.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendVerificationEmail(account, verificationToken);
+  } catch (error) {
+    console.error(`Failed to send verification email to ${account.email}: ${error.message}`);
+  }
+};
 
 // @desc    Register new user or distributor
 // @route   POST /api/auth/register
 // @access  Public
 const register = asyncHandler(async (req, res) => {
-  const { name, email, password, phone, location, role, businessName, pincode, address } = req.body;
+  const { name, email, password, phone, location, role, businessName, pincode, address, city, state, gstNumber } = req.body;
 
-  // Check if user already exists (check both User and Distributor)
+  // Check if user already exists (check User, Distributor and DistributorStaff)
   const existingUser = await User.findOne({ email });
   const existingDistributor = await Distributor.findOne({ email });
+  const existingStaff = await DistributorStaff.findOne({ email });
 
-  if (existingUser || existingDistributor) {
+  if (existingUser || existingDistributor || existingStaff) {
     throw new ValidationError('User with this email already exists');
   }
 
@@ -22,16 +92,33 @@ const register = asyncHandler(async (req, res) => {
 
   // Create distributor or user based on role
   if (role === 'distributor') {
+    // City/state must agree with the pincode; its centroid stands in for a missing GPS location
+    const place = geocoderService.assertLocality(pincode, { city, state });
+    const hasLocation = !!(location && location.coordinates);
+
+    // GSTIN is optional at signup, but must be valid (checksum, state, registry) if given
+    const gst = gstNumber ? await gstinService.verify(gstNumber, state) : null;
+
     // Create distributor
     user = await Distributor.create({
       businessName: businessName || name,
+      name,
       email,
       password,
       phone,
       pincode,
       address,
-      location,
-      isApproved: false  // Distributors need approval
+      city,
+      state,
+      location: hasLocation ? location : geocoderService.toPoint(pincode) || undefined,
+      locationSource: hasLocation ? 'gps' : (place ? 'pincode' : undefined),
+      ...(gst && {
+        gstNumber: gst.gstin,
+        panNumber: gst.pan,
+        gstVerification: gst.verification
+      }),
+      isApproved: false,  // Distributors need approval
+      onboardingStatus: 'applied'
     });
   } else {
     // Create regular user
@@ -45,17 +132,16 @@ const register = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate token
-  const token = authService.generateToken(user._id, role === 'distributor' ? 'distributor' : 'user');
+  // Send email verification link
+  await issueVerificationEmail(user);
 
-  // Set httpOnly cookie for cross-domain access
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: true, // Required for sameSite: 'none'
-    sameSite: 'none', // Allow cross-site cookies (different domains)
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    path: '/' // Ensure cookie is accessible across all paths
-  });
+  // Start a session and set httpOnly cookies for cross-domain access
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user,
+    role === 'distributor' ? 'distributor' : 'user',
+    req
+  );
+  setAuthCookies(res, accessToken, refreshToken);
 
   res.status(201).json({
     success: true,
@@ -65,73 +151,38 @@ const register = asyncHandler(async (req, res) => {
       name: user.name || user.businessName,
       email: user.email,
       phone: user.phone,
-      role: role === 'distributor' ? 'distributor' : 'user'
+      role: role === 'distributor' ? 'distributor' : 'user',
+      emailVerified: user.emailVerified
     }
   });
 });
 
-// @desc    Login user
-// @route   POST /api/auth/login
-// @access  Public
-const login = asyncHandler(async (req, res) => {
-  const { email, password } = req.body;
-
-  // Check both User and Distributor models
-  let user = await User.findOne({ email }).select('+password');
-  let userRole = 'user';
-
-  if (!user) {
-    // Check Distributor model if not found in User model
-    user = await Distributor.findOne({ email }).select('+password');
-    userRole = 'distributor';
-  } else {
-    // FIX: Use the actual role from the database, not hardcoded 'user'
-    userRole = user.role || 'user';
-  }
-
-  if (!user) {
-    throw new AuthenticationError('Invalid email or password');
-  }
-
-  // Check if account is locked
+// Check if account is locked
+const checkAccountLock = (user) => {
   if (user.isLocked) {
     const lockTime = Math.ceil((user.lockUntil - Date.now()) / (1000 * 60));
     throw new AuthenticationError(`Account is locked. Please try again in ${lockTime} minutes`);
   }
+};
 
-  // Check password
-  const isPasswordMatch = await user.matchPassword(password);
-
-  if (!isPasswordMatch) {
-    // Increment failed login attempts
-    await user.incrementLoginAttempts();
-    throw new AuthenticationError('Invalid email or password');
-  }
-
-  // Check if account is active
+// Final step of every login path: reset lockout counter, start a session, set cookies
+const completeLogin = async (req, res, user, userRole, extra = {}) => {
+  // Signing in during the deletion grace period cancels the deletion. Only done here, once
+  // every factor has passed (SECURITY: a password alone doesn't reactivate the account)
   if (!user.isActive) {
-    throw new AuthenticationError('Your account has been deactivated');
-  }
-
-  // For distributors, check if approved
-  if (userRole === 'distributor' && !user.isApproved) {
-    throw new AuthenticationError('Your distributor account is pending approval');
+    if (!accountService.isPendingDeletion(user)) {
+      throw new AuthenticationError('Your account has been deactivated');
+    }
+    await accountService.cancelDeletion(user);
+    extra = { ...extra, deletionCancelled: true };
   }
 
   // Reset failed login attempts on successful login
   await user.resetLoginAttempts();
 
-  // Generate token with correct role
-  const token = authService.generateToken(user._id, userRole);
-
-  // Set httpOnly cookie for cross-domain access
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: true, // Required for sameSite: 'none'
-    sameSite: 'none', // Allow cross-site cookies (different domains)
-    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    path: '/' // Ensure cookie is accessible across all paths
-  });
+  // Start a session with the correct role and set httpOnly cookies
+  const { accessToken, refreshToken } = await sessionService.createSession(user, userRole, req);
+  setAuthCookies(res, accessToken, refreshToken);
 
   res.json({
     success: true,
@@ -142,15 +193,154 @@ const login = asyncHandler(async (req, res) => {
       email: user.email,
       phone: user.phone,
       role: userRole,
-      emailVerified: user.emailVerified
-    }
+      emailVerified: user.emailVerified,
+      phoneVerified: user.phoneVerified,
+      twoFactorEnabled: user.twoFactorEnabled,
+      ...(userRole === 'distributor' && { isApproved: user.isApproved }),
+      // Staff sign in to their distributor's account with a subset of permissions
+      ...(userRole === 'distributor_staff' && {
+        distributor: {
+          _id: user.distributor._id,
+          businessName: user.distributor.businessName
+        },
+        permissions: user.permissions
+      })
+    },
+    ...extra
   });
+};
+
+// @desc    Login user (email + password, or phone + OTP)
+// @route   POST /api/auth/login
+// @access  Public
+const login = asyncHandler(async (req, res) => {
+  const { email, password, phone, otp } = req.body;
+
+  let user;
+  let userRole;
+
+  if (phone) {
+    // Phone + OTP login
+    const result = await authService.findAccountByPhone(phone);
+
+    if (!result) {
+      throw new AuthenticationError('Invalid phone number or OTP');
+    }
+
+    ({ account: user, role: userRole } = result);
+
+    checkAccountLock(user);
+
+    try {
+      await otpService.verifyOtp(phone, 'login', otp);
+    } catch (error) {
+      await user.incrementLoginAttempts();
+      throw error;
+    }
+  } else {
+    // Check both User and Distributor models
+    user = await User.findOne({ email }).select('+password');
+    userRole = 'user';
+
+    if (!user) {
+      // Check Distributor model if not found in User model
+      user = await Distributor.findOne({ email }).select('+password');
+      userRole = 'distributor';
+    } else {
+      // FIX: Use the actual role from the database, not hardcoded 'user'
+      userRole = user.role || 'user';
+    }
+
+    if (!user) {
+      // Finally check distributor staff accounts
+      user = await DistributorStaff.findOne({ email }).select('+password').populate('distributor');
+      userRole = 'distributor_staff';
+    }
+
+    if (!user) {
+      throw new AuthenticationError('Invalid email or password');
+    }
+
+    checkAccountLock(user);
+
+    // Check password
+    const isPasswordMatch = await user.matchPassword(password);
+
+    if (!isPasswordMatch) {
+      // Increment failed login attempts
+      await user.incrementLoginAttempts();
+      throw new AuthenticationError('Invalid email or password');
+    }
+  }
+
+  // Check if account is active. Accounts in the deletion grace period can sign in, which
+  // cancels the deletion (see completeLogin).
+  if (!user.isActive && !accountService.isPendingDeletion(user)) {
+    throw new AuthenticationError('Your account has been deactivated');
+  }
+
+  // Distributors pending approval can sign in, but only onboarding routes (KYC documents)
+  // accept them until an admin approves the account (see protectAllowUnapproved)
+
+  // Staff can only sign in while their distributor account is usable
+  if (userRole === 'distributor_staff') {
+    if (!user.distributor || !user.distributor.isActive) {
+      throw new AuthenticationError('Your distributor account has been deactivated');
+    }
+    if (!user.distributor.isApproved) {
+      throw new AuthenticationError(onboardingService.accessDeniedMessage(user.distributor));
+    }
+  }
+
+  // Second factor: return a challenge instead of a session until it is verified
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: authService.generateChallengeToken(user._id, userRole, '2fa_login'),
+      message: 'Enter the code from your authenticator app'
+    });
+  }
+
+  // 2FA policy: enrollment must be completed before the first session is issued
+  if (authService.isTwoFactorRequired(userRole)) {
+    return res.json({
+      success: true,
+      twoFactorSetupRequired: true,
+      challengeToken: authService.generateChallengeToken(user._id, userRole, '2fa_setup'),
+      message: 'Two-factor authentication is required for your account. Please set it up to continue'
+    });
+  }
+
+  await completeLogin(req, res, user, userRole);
 });
 
 // @desc    Get current user profile
 // @route   GET /api/auth/profile
 // @access  Private
 const getProfile = asyncHandler(async (req, res) => {
+  // Staff see their own details plus the distributor they work for
+  if (req.staff) {
+    return res.json({
+      success: true,
+      user: {
+        _id: req.staff._id,
+        name: req.staff.name,
+        email: req.staff.email,
+        phone: req.staff.phone,
+        role: 'distributor_staff',
+        title: req.staff.title,
+        permissions: req.staff.permissions,
+        distributor: {
+          _id: req.user._id,
+          businessName: req.user.businessName
+        },
+        emailVerified: req.staff.emailVerified,
+        createdAt: req.staff.createdAt
+      }
+    });
+  }
+
   // User is already attached by auth middleware with role
   let user;
 
@@ -179,6 +369,8 @@ const getProfile = asyncHandler(async (req, res) => {
         location: user.location,
         isApproved: user.isApproved,
         emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
         products: user.products,
         createdAt: user.createdAt
       }
@@ -196,6 +388,13 @@ const getProfile = asyncHandler(async (req, res) => {
         wishlist: user.wishlist,
         cart: user.cart,
         emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        // Admin sub-role and the capabilities it grants
+        ...(user.role === 'admin' && {
+          adminRole: user.adminRole || DEFAULT_ADMIN_ROLE,
+          permissions: req.permissions
+        }),
         profileImage: user.profileImage,
         createdAt: user.createdAt
       }
@@ -230,7 +429,10 @@ const updateProfile = asyncHandler(async (req, res) => {
     if (!/^[6-9]\d{9}$/.test(phone)) {
       throw new ValidationError('Invalid phone number format');
     }
-    user.phone = phone;
+    if (phone !== user.phone) {
+      user.phone = phone;
+      user.phoneVerified = false;  // New number must be verified again
+    }
   }
 
   // Update password if provided
@@ -259,6 +461,11 @@ const updateProfile = asyncHandler(async (req, res) => {
 
   await user.save();
 
+  // Sign out every other device after a password change; this device can refresh its token
+  if (newPassword) {
+    await sessionService.revokeAllSessions(user._id, 'password_change', req.sessionId);
+  }
+
   res.json({
     success: true,
     message: 'Profile updated successfully',
@@ -403,18 +610,477 @@ const deleteAddress = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const result = await authService.findAccountByEmail(email);
+
+  // SECURITY: Same response whether or not the account exists (prevents email enumeration)
+  // Staff emails are verified by accepting their invitation instead
+  if (result && result.role !== 'distributor_staff' && !result.account.emailVerified) {
+    await issueVerificationEmail(result.account);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an unverified account exists for this email, a verification link has been sent'
+  });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const result = await authService.findAccountByToken('verificationToken', 'verificationTokenExpiry', token);
+
+  if (!result) {
+    throw new ValidationError('Verification link is invalid or has expired');
+  }
+
+  const { account, role } = result;
+
+  account.emailVerified = true;
+  account.verificationToken = undefined;
+  account.verificationTokenExpiry = undefined;
+  await account.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    user: {
+      _id: account._id,
+      email: account.email,
+      role,
+      emailVerified: account.emailVerified
+    }
+  });
+});
+
+// @desc    Send password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const result = await authService.findAccountByEmail(email);
+
+  // SECURITY: Same response whether or not the account exists (prevents email enumeration)
+  if (result && result.account.isActive) {
+    const { account } = result;
+    const resetToken = account.createPasswordResetToken();
+    await account.save({ validateBeforeSave: false });
+
+    try {
+      await mailService.sendPasswordResetEmail(account, resetToken);
+    } catch (error) {
+      // Don't leave a usable token behind if the link never went out
+      account.resetPasswordToken = undefined;
+      account.resetPasswordExpiry = undefined;
+      await account.save({ validateBeforeSave: false });
+
+      console.error(`Failed to send password reset email to ${account.email}: ${error.message}`);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  });
+});
+
+// @desc    Reset password using emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  const result = await authService.findAccountByToken('resetPasswordToken', 'resetPasswordExpiry', token);
+
+  if (!result) {
+    throw new ValidationError('Password reset link is invalid or has expired');
+  }
+
+  const { account } = result;
+
+  // lastPasswordChange is bumped in the pre-save hook, which makes protect reject older JWTs
+  account.password = password;
+  account.resetPasswordToken = undefined;
+  account.resetPasswordExpiry = undefined;
+  account.failedLoginAttempts = 0;
+  account.lockUntil = undefined;
+  await account.save({ validateBeforeSave: false });
+
+  // Refresh tokens would otherwise keep minting new access tokens
+  await sessionService.revokeAllSessions(account._id, 'password_change');
+
+  try {
+    await mailService.sendPasswordChangedEmail(account);
+  } catch (error) {
+    console.error(`Failed to send password changed email to ${account.email}: ${error.message}`);
+  }
+
+  // Clear any session cookies on this device as well
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: 'Password reset successful. Please login with your new password'
+  });
+});
+
+// @desc    Exchange refresh token for a new access token (rotates the refresh token)
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token cookie or body)
+const refreshAccessToken = asyncHandler(async (req, res) => {
+  const token = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+  if (!token) {
+    throw new AuthenticationError('Refresh token is required');
+  }
+
+  let result;
+  try {
+    result = await sessionService.rotateSession(token, req);
+  } catch (error) {
+    clearAuthCookies(res);
+    throw error;
+  }
+
+  setAuthCookies(res, result.accessToken, result.refreshToken);
+
+  res.json({
+    success: true,
+    message: 'Token refreshed'
+  });
+});
+
+// @desc    List active sessions (devices) for current account
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.account._id);
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      device: session.device,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: !!req.sessionId && session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+// @desc    Revoke a session (sign out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeSession(req.account._id, req.params.id);
+
+  // Revoking the current session is the same as logging out
+  if (req.params.id === req.sessionId) {
+    clearAuthCookies(res);
+  }
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+});
+
+// @desc    Send OTP to verify the current account's phone number
+// @route   POST /api/auth/phone/send-otp
+// @access  Private
+const sendPhoneVerificationOtp = asyncHandler(async (req, res) => {
+  if (req.user.phoneVerified) {
+    throw new ValidationError('Phone number is already verified');
+  }
+
+  const result = await otpService.sendOtp(req.user.phone, 'verify_phone');
+
+  res.json({
+    success: true,
+    message: `OTP sent to ******${req.user.phone.slice(-4)}`,
+    ...result
+  });
+});
+
+// @desc    Verify the current account's phone number with OTP
+// @route   POST /api/auth/phone/verify
+// @access  Private
+const verifyPhone = asyncHandler(async (req, res) => {
+  const { otp } = req.body;
+  const { phone } = req.user;
+
+  // A number can only be verified on one account, so OTP login stays unambiguous
+  const owner = await authService.findVerifiedPhoneOwner(phone);
+  if (owner && owner.account._id.toString() !== req.user._id.toString()) {
+    throw new ConflictError('This phone number is already verified on another account');
+  }
+
+  await otpService.verifyOtp(phone, 'verify_phone', otp);
+
+  const Model = req.userModel === 'Distributor' ? Distributor : User;
+  await Model.updateOne({ _id: req.user._id }, { $set: { phoneVerified: true } });
+
+  res.json({
+    success: true,
+    message: 'Phone number verified successfully',
+    phoneVerified: true
+  });
+});
+
+// @desc    Send login OTP
+// @route   POST /api/auth/otp/send
+// @access  Public
+const sendLoginOtp = asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  const result = await authService.findAccountByPhone(phone);
+
+  // SECURITY: Same response whether or not the account exists (prevents phone enumeration)
+  if (result && result.account.isActive) {
+    await otpService.sendOtp(phone, 'login');
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for this phone number, an OTP has been sent'
+  });
+});
+
+// @desc    Start TOTP two-factor enrollment (returns secret and otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge token during mandatory enrollment)
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (!TWO_FACTOR_ROLES.includes(req.userRole)) {
+    throw new AuthorizationError('Two-factor authentication is available for admin and distributor accounts');
+  }
+
+  const account = await loadTwoFactorAccount(req.user._id, req.userRole);
+  const { secret, otpauthUri } = await twoFactorService.startEnrollment(account);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    secret,
+    otpauthUri
+  });
+});
+
+// @desc    Confirm TOTP enrollment and receive backup codes
+// @route   POST /api/auth/2fa/confirm
+// @access  Private (or 2FA setup challenge token during mandatory enrollment)
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const account = await loadTwoFactorAccount(req.user._id, req.userRole);
+  const backupCodes = await twoFactorService.confirmEnrollment(account, code);
+
+  // Mandatory enrollment during login: setup done, so finish signing in
+  if (req.twoFactorChallenge) {
+    return completeLogin(req, res, account, req.userRole, { backupCodes });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your backup codes somewhere safe',
+    backupCodes
+  });
+});
+
+// @desc    Complete login with TOTP or backup code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires 2FA login challenge token)
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = authService.verifyChallengeToken(challengeToken, '2fa_login');
+  } catch (error) {
+    throw new AuthenticationError('Login session expired. Please login again');
+  }
+
+  const account = await loadTwoFactorAccount(decoded.id, decoded.role);
+
+  checkAccountLock(account);
+
+  if (!account.isActive && !accountService.isPendingDeletion(account)) {
+    throw new AuthenticationError('Your account has been deactivated');
+  }
+
+  let result;
+  try {
+    result = await twoFactorService.verifySecondFactor(account, { code, backupCode });
+  } catch (error) {
+    await account.incrementLoginAttempts();
+    throw error;
+  }
+
+  const extra = result.method === 'backup_code'
+    ? { backupCodesRemaining: result.backupCodesRemaining }
+    : {};
+
+  await completeLogin(req, res, account, decoded.role, extra);
+});
+
+// @desc    Regenerate backup codes (invalidates the old ones)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  const account = await loadTwoFactorAccount(req.user._id, req.userRole);
+  await twoFactorService.verifySecondFactor(account, { code });
+  const backupCodes = await twoFactorService.regenerateBackupCodes(account);
+
+  res.json({
+    success: true,
+    message: 'New backup codes generated. Previous codes no longer work',
+    backupCodes
+  });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  if (authService.isTwoFactorRequired(req.userRole)) {
+    throw new AuthorizationError('Two-factor authentication is mandatory for your account');
+  }
+
+  const account = await loadTwoFactorAccount(req.user._id, req.userRole, '+password');
+
+  const isMatch = await account.matchPassword(password);
+  if (!isMatch) {
+    throw new AuthenticationError('Password is incorrect');
+  }
+
+  await twoFactorService.verifySecondFactor(account, { code, backupCode });
+  await twoFactorService.disable(account);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+// @desc    Accept a distributor staff invitation and set a password
+// @route   POST /api/auth/staff/accept-invite/:token
+// @access  Public
+const acceptStaffInvite = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  const staff = await DistributorStaff.findOne({
+    inviteToken: authService.hashToken(token),
+    inviteTokenExpiry: { $gt: Date.now() }
+  }).populate('distributor');
+
+  if (!staff) {
+    throw new ValidationError('Invitation link is invalid or has expired');
+  }
+
+  if (!staff.isActive) {
+    throw new AuthorizationError('This staff account has been deactivated');
+  }
+
+  staff.password = password;
+  staff.inviteAcceptedAt = new Date();
+  // The invite link was delivered to this address, so it is verified
+  staff.emailVerified = true;
+  staff.inviteToken = undefined;
+  staff.inviteTokenExpiry = undefined;
+  await staff.save();
+
+  res.json({
+    success: true,
+    message: 'Invitation accepted. You can now login with your email and password',
+    user: {
+      _id: staff._id,
+      name: staff.name,
+      email: staff.email,
+      role: 'distributor_staff',
+      distributor: staff.distributor && {
+        _id: staff.distributor._id,
+        businessName: staff.distributor.businessName
+      },
+      permissions: staff.permissions
+    }
+  });
+});
+
+// @desc    Export all personal data of the current account
+// @route   POST /api/auth/me/export
+// @access  Private (Customers)
+const exportMyData = asyncHandler(async (req, res) => {
+  if (req.userRole !== 'user') {
+    throw new AuthorizationError('Data export is available for customer accounts. Please contact support');
+  }
+
+  const data = await accountService.buildDataExport(req.user._id);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Disposition', `attachment; filename="buildadda-data-export-${stamp}.json"`);
+  res.type('application/json').send(JSON.stringify(data, null, 2));
+});
+
+// @desc    Delete current account (deactivated now, anonymized after a grace period)
+// @route   DELETE /api/auth/me
+// @access  Private (Customers)
+const deleteMyAccount = asyncHandler(async (req, res) => {
+  if (req.userRole !== 'user') {
+    throw new AuthorizationError('Only customer accounts can be deleted here. Please contact support');
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  // SECURITY: Re-confirm the password before an irreversible action
+  if (!(await user.matchPassword(req.body.password))) {
+    throw new AuthenticationError('Password is incorrect');
+  }
+
+  const scheduledFor = await accountService.requestDeletion(user);
+
+  clearAuthCookies(res);
+
+  res.json({
+    success: true,
+    message: `Your account has been deactivated and will be permanently anonymized on ${scheduledFor.toDateString()}. ` +
+      `Sign in again within ${accountService.deletionGraceDays} days to cancel`,
+    deletionScheduledFor: scheduledFor
+  });
+});
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
-  // Clear httpOnly cookie for cross-domain access
-  res.cookie('token', '', {
-    httpOnly: true,
-    secure: true, // Required for sameSite: 'none'
-    sameSite: 'none', // Allow cross-site cookies (different domains)
-    expires: new Date(0),
-    path: '/' // Ensure cookie is cleared across all paths
-  });
+  // Revoke this device's session so its refresh token stops working
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.account._id, req.sessionId, 'logout').catch(() => {});
+  }
+
+  // Clear httpOnly cookies for cross-domain access
+  clearAuthCookies(res);
 
   res.json({
     success: true,
@@ -430,5 +1096,23 @@ module.exports = {
   addAddress,
   updateAddress,
   deleteAddress,
+  resendVerificationEmail,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  sendPhoneVerificationOtp,
+  verifyPhone,
+  sendLoginOtp,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  acceptStaffInvite,
+  exportMyData,
+  deleteMyAccount,
   logout
 };
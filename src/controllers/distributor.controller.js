@@ -1,10 +1,43 @@
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Distributor = require('../models/Distributor');
-const { uploadToCloudinary } = require('../config/cloudinary');
+const kycService = require('../services/kyc.service');
+const gstinService = require('../services/gstin.service');
+const geocoderService = require('../services/geocoder.service');
+const serviceabilityService = require('../services/serviceability.service');
+const storeHoursService = require('../services/storeHours.service');
+const storefrontService = require('../services/storefront.service');
+const onboardingService = require('../services/onboarding.service');
+const categoryService = require('../services/category.service');
+const variantService = require('../services/variant.service');
+const productImageService = require('../services/productImage.service');
+const distributorProductService = require('../services/distributorProduct.service');
+const productImportService = require('../services/productImport.service');
+const catalogService = require('../services/catalog.service');
 const asyncHandler = require('../utils/asyncHandler');
 const { ValidationError, NotFoundError, AuthorizationError } = require('../utils/errors');
 
+// Files from upload.fields([{ name: 'image' }, { name: 'images' }])
+const uploadedImages = (req) => ({
+  primary: req.files && req.files.image ? req.files.image[0] : null,
+  others: req.files && req.files.images ? req.files.images : []
+});
+
+const findOwnProduct = async (req) => {
+  const product = await Product.findOne({ _id: req.params.productId, distributor: req.user._id });
+  if (!product) {
+    throw new NotFoundError('Product not found or access denied');
+  }
+  return product;
+};
+
+// Offers on a catalog item show the catalog's images
+const findOwnGalleryProduct = async (req) => {
+  const product = await findOwnProduct(req);
+  distributorProductService.assertOwnContent(product, ['images']);
+  return product;
+};
+
 // @desc    Get distributor's products with pagination
 // @route   GET /api/distributor/products
 // @access  Private (Distributor only)
@@ -19,9 +52,9 @@ exports.getDistributorProducts = asyncHandler(async (req, res) => {
 
   const filter = { distributor: distributorId };
 
-  // Filter by category
+  // Filter by category (ID or slug), including subcategories
   if (category) {
-    filter.category = category;
+    filter.category = await categoryService.productFilter(category);
   }
 
   // Filter by active status
@@ -30,6 +63,7 @@ exports.getDistributorProducts = asyncHandler(async (req, res) => {
   }
 
   const products = await Product.find(filter)
+    .populate('category', 'name slug')
     .sort('-createdAt')
     .limit(limitNum)
     .skip((pageNum - 1) * limitNum);
@@ -48,98 +82,58 @@ exports.getDistributorProducts = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Add new product with image upload
-// @route   POST /api/distributor/products
+// @desc    Import products from a CSV or XLSX file (upsert by SKU)
+// @route   POST /api/distributor/products/import
 // @access  Private (Distributor only)
-exports.addProduct = asyncHandler(async (req, res) => {
-  // FIX: Use _id consistently
-  const distributorId = req.user._id;
-  const { name, description, price, category, stock, unit, minQuantity, maxQuantity, acceptedPaymentMethods } = req.body;
-
-  // Validate required fields
-  if (!name || !name.trim()) {
-    throw new ValidationError('Product name is required');
-  }
-
-  if (!description || !description.trim()) {
-    throw new ValidationError('Product description is required');
-  }
+// Query params: ?dryRun=true to only validate and get the row-by-row report
+exports.importProducts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+  const result = await productImportService.importProducts(req.user._id, req.file, { dryRun });
 
-  if (!price || price <= 0) {
-    throw new ValidationError('Product price must be greater than 0');
-  }
-
-  if (!category) {
-    throw new ValidationError('Product category is required');
-  }
-
-  const validCategories = ['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other'];
-  if (!validCategories.includes(category)) {
-    throw new ValidationError(`Category must be one of: ${validCategories.join(', ')}`);
-  }
-
-  if (stock === undefined || stock < 0) {
-    throw new ValidationError('Stock must be 0 or greater');
-  }
-
-  // Validate min/max quantity
-  if (minQuantity !== undefined && minQuantity < 1) {
-    throw new ValidationError('Minimum quantity must be at least 1');
-  }
-
-  if (maxQuantity !== undefined && maxQuantity !== null && minQuantity !== undefined && maxQuantity < minQuantity) {
-    throw new ValidationError('Maximum quantity must be greater than or equal to minimum quantity');
-  }
-
-  // Validate payment methods
-  let parsedPaymentMethods = acceptedPaymentMethods;
-  if (acceptedPaymentMethods) {
-    // Parse if it's a JSON string (from FormData)
-    if (typeof acceptedPaymentMethods === 'string') {
-      try {
-        parsedPaymentMethods = JSON.parse(acceptedPaymentMethods);
-      } catch (e) {
-        throw new ValidationError('Invalid payment methods format');
-      }
-    }
+  res.json({
+    success: true,
+    message: dryRun
+      ? 'Import checked; no products were changed'
+      : `Imported ${result.summary.created + result.summary.updated} of ${result.summary.total} rows`,
+    ...result
+  });
+});
 
-    if (!Array.isArray(parsedPaymentMethods) || parsedPaymentMethods.length === 0) {
-      throw new ValidationError('At least one payment method must be selected');
-    }
-    const validPaymentMethods = ['COD', 'Online'];
-    const invalidMethods = parsedPaymentMethods.filter(method => !validPaymentMethods.includes(method));
-    if (invalidMethods.length > 0) {
-      throw new ValidationError(`Invalid payment methods: ${invalidMethods.join(', ')}`);
-    }
-  }
+// @desc    Export products as CSV or XLSX, in the import format
+// @route   GET /api/distributor/products/export
+// @access  Private (Distributor only)
+// Query params: ?format=xlsx|csv
+exports.exportProducts = asyncHandler(async (req, res) => {
+  const format = productImportService.formatOf(req.query.format);
+  const file = await productImportService.exportProducts(req.user._id, format);
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.buffer);
+});
 
-  let imageUrl = '';
+// @desc    Download the product import template
+// @route   GET /api/distributor/products/import/template
+// @access  Private (Distributor only)
+// Query params: ?format=xlsx|csv
+exports.getImportTemplate = asyncHandler(async (req, res) => {
+  const format = productImportService.formatOf(req.query.format);
+  const file = await productImportService.getTemplate(format);
+
+  res.set('Content-Type', file.contentType);
+  res.set('Content-Disposition', `attachment; filename="${file.fileName}"`);
+  res.send(file.buffer);
+});
 
-  // Upload image to Cloudinary if provided
-  if (req.file) {
-    try {
-      const result = await uploadToCloudinary(req.file.buffer);
-      imageUrl = result.secure_url;
-    } catch (error) {
-      throw new ValidationError('Image upload failed. Please try again.');
-    }
-  }
+// @desc    Add new product with image upload
+// @route   POST /api/distributor/products
+// @access  Private (Distributor only)
+exports.addProduct = asyncHandler(async (req, res) => {
+  const product = await distributorProductService.build(req.user._id, req.body);
 
-  // Create product with field whitelisting
-  const product = await Product.create({
-    name: name.trim(),
-    description: description.trim(),
-    price: parseFloat(price),
-    category,
-    stock: parseInt(stock),
-    unit: unit || 'unit',
-    image: imageUrl,
-    distributor: distributorId,
-    minQuantity: minQuantity !== undefined ? parseInt(minQuantity) : 1,
-    maxQuantity: maxQuantity !== undefined && maxQuantity !== null ? parseInt(maxQuantity) : null,
-    acceptedPaymentMethods: parsedPaymentMethods || ['COD', 'Online'],
-    isActive: true
-  });
+  // Gallery: `image` is the primary image, `images` the rest
+  const uploaded = await productImageService.addImages(product, uploadedImages(req));
+  await productImageService.saveWithImages(product, uploaded);
 
   res.status(201).json({
     success: true,
@@ -152,131 +146,149 @@ exports.addProduct = asyncHandler(async (req, res) => {
 // @route   PUT /api/distributor/products/:productId
 // @access  Private (Distributor only)
 exports.updateProduct = asyncHandler(async (req, res) => {
-  const { productId } = req.params;
-  // FIX: Use _id consistently
-  const distributorId = req.user._id;
-  const { name, description, price, category, stock, unit, isActive, minQuantity, maxQuantity, acceptedPaymentMethods } = req.body;
+  const product = await findOwnProduct(req);
 
-  // Check if product belongs to distributor
-  const product = await Product.findOne({
-    _id: productId,
-    distributor: distributorId
+  await distributorProductService.applyChanges(product, req.body);
+
+  // A new `image` becomes the primary image; `images` are added to the end of the gallery
+  const images = uploadedImages(req);
+  if (images.primary || images.others.length > 0) {
+    distributorProductService.assertOwnContent(product, ['images']);
+  }
+  const uploaded = await productImageService.addImages(product, images);
+
+  await productImageService.saveWithImages(product, uploaded);
+
+  res.json({
+    success: true,
+    message: 'Product updated successfully',
+    product
   });
+});
+
+// @desc    Upload the image of one product variant
+// @route   PUT /api/distributor/products/:productId/variants/:variantId/image
+// @access  Private (Distributor only)
+exports.uploadVariantImage = asyncHandler(async (req, res) => {
+  const product = await Product.findOne({ _id: req.params.productId, distributor: req.user._id });
 
   if (!product) {
     throw new NotFoundError('Product not found or access denied');
   }
 
-  // Field whitelisting - only update allowed fields
-  if (name !== undefined) {
-    if (!name.trim()) {
-      throw new ValidationError('Product name cannot be empty');
-    }
-    product.name = name.trim();
-  }
+  const { variant, replaced } = await variantService.uploadImage(product, req.params.variantId, req.file);
+  await productImageService.saveWithImages(product, [{ publicId: variant.imagePublicId }]);
+  productImageService.deleteStored([replaced]);
 
-  if (description !== undefined) {
-    if (!description.trim()) {
-      throw new ValidationError('Product description cannot be empty');
-    }
-    product.description = description.trim();
-  }
+  res.json({
+    success: true,
+    message: 'Variant image updated successfully',
+    variant
+  });
+});
 
-  if (price !== undefined) {
-    const priceNum = parseFloat(price);
-    if (priceNum <= 0) {
-      throw new ValidationError('Product price must be greater than 0');
-    }
-    product.price = priceNum;
-  }
+// @desc    Browse the master catalog to find items to offer
+// @route   GET /api/distributor/catalog
+// @access  Private (Distributor only)
+// Query params: ?search=ultratech opc&category=cement&page=1&limit=20
+exports.getCatalog = asyncHandler(async (req, res) => {
+  const { search, category, page, limit } = req.query;
+  const result = await catalogService.list({ search, category, page, limit });
+
+  // Which items the distributor already offers
+  const offered = await Product.find({
+    distributor: req.user._id,
+    catalogItem: { $in: result.items.map(item => item._id) }
+  }).select('catalogItem').lean();
+  const offers = new Map(offered.map(product => [product.catalogItem.toString(), product._id]));
 
-  if (category !== undefined) {
-    const validCategories = ['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other'];
-    if (!validCategories.includes(category)) {
-      throw new ValidationError(`Category must be one of: ${validCategories.join(', ')}`);
-    }
-    product.category = category;
-  }
+  res.json({
+    success: true,
+    items: result.items.map(item => ({ ...item.toObject(), offer: offers.get(item._id.toString()) || null })),
+    pagination: result.pagination
+  });
+});
 
-  if (stock !== undefined) {
-    const stockNum = parseInt(stock);
-    if (stockNum < 0) {
-      throw new ValidationError('Stock cannot be negative');
-    }
-    product.stock = stockNum;
-  }
+// @desc    Offer a catalog item: a new product, or one of your products (productId) linked to it
+// @route   POST /api/distributor/catalog/:itemId/offers
+// @access  Private (Distributor only)
+exports.createCatalogOffer = asyncHandler(async (req, res) => {
+  const item = await catalogService.findOrFail(req.params.itemId);
+  const { productId, sku, price, priceTiers, stock, minQuantity, maxQuantity, acceptedPaymentMethods, isActive, delivery } = req.body;
 
-  if (unit !== undefined) {
-    product.unit = unit;
-  }
+  const product = await catalogService.createOffer(req.user._id, item, {
+    productId, sku, price, priceTiers, stock, minQuantity, maxQuantity, acceptedPaymentMethods, isActive, delivery
+  });
 
-  if (typeof isActive === 'boolean') {
-    product.isActive = isActive;
-  }
+  res.status(201).json({
+    success: true,
+    message: 'Offer created successfully',
+    product
+  });
+});
 
-  // Update min/max quantity
-  if (minQuantity !== undefined) {
-    const minQty = parseInt(minQuantity);
-    if (minQty < 1) {
-      throw new ValidationError('Minimum quantity must be at least 1');
-    }
-    product.minQuantity = minQty;
-  }
-
-  if (maxQuantity !== undefined) {
-    if (maxQuantity === null || maxQuantity === '') {
-      product.maxQuantity = null;
-    } else {
-      const maxQty = parseInt(maxQuantity);
-      if (maxQty < 1) {
-        throw new ValidationError('Maximum quantity must be at least 1');
-      }
-      if (maxQty < product.minQuantity) {
-        throw new ValidationError('Maximum quantity must be greater than or equal to minimum quantity');
-      }
-      product.maxQuantity = maxQty;
-    }
+// @desc    Add images to the product gallery
+// @route   POST /api/distributor/products/:productId/images
+// @access  Private (Distributor only)
+exports.addProductImages = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new ValidationError('Please upload at least one image');
   }
 
-  // Update payment methods
-  if (acceptedPaymentMethods !== undefined) {
-    let parsedPaymentMethods = acceptedPaymentMethods;
-    // Parse if it's a JSON string (from FormData)
-    if (typeof acceptedPaymentMethods === 'string') {
-      try {
-        parsedPaymentMethods = JSON.parse(acceptedPaymentMethods);
-      } catch (e) {
-        throw new ValidationError('Invalid payment methods format');
-      }
-    }
+  const product = await findOwnGalleryProduct(req);
+  const uploaded = await productImageService.addImages(product, { others: req.files });
+  await productImageService.saveWithImages(product, uploaded);
 
-    if (!Array.isArray(parsedPaymentMethods) || parsedPaymentMethods.length === 0) {
-      throw new ValidationError('At least one payment method must be selected');
-    }
-    const validPaymentMethods = ['COD', 'Online'];
-    const invalidMethods = parsedPaymentMethods.filter(method => !validPaymentMethods.includes(method));
-    if (invalidMethods.length > 0) {
-      throw new ValidationError(`Invalid payment methods: ${invalidMethods.join(', ')}`);
-    }
-    product.acceptedPaymentMethods = parsedPaymentMethods;
-  }
+  res.status(201).json({
+    success: true,
+    message: 'Images added successfully',
+    images: product.images
+  });
+});
 
-  // Upload new image if provided
-  if (req.file) {
-    try {
-      const result = await uploadToCloudinary(req.file.buffer);
-      product.image = result.secure_url;
-    } catch (error) {
-      throw new ValidationError('Image upload failed. Please try again.');
-    }
-  }
+// @desc    Reorder the product gallery
+// @route   PUT /api/distributor/products/:productId/images/order
+// @access  Private (Distributor only)
+exports.reorderProductImages = asyncHandler(async (req, res) => {
+  const product = await findOwnGalleryProduct(req);
+  productImageService.reorder(product, req.body.imageIds);
+  await product.save();
+
+  res.json({
+    success: true,
+    message: 'Image order updated successfully',
+    images: product.images
+  });
+});
 
+// @desc    Make an image the primary product image
+// @route   PUT /api/distributor/products/:productId/images/:imageId/primary
+// @access  Private (Distributor only)
+exports.setPrimaryProductImage = asyncHandler(async (req, res) => {
+  const product = await findOwnGalleryProduct(req);
+  productImageService.setPrimary(product, req.params.imageId);
   await product.save();
 
   res.json({
     success: true,
-    message: 'Product updated successfully',
-    product
+    message: 'Primary image updated successfully',
+    images: product.images
+  });
+});
+
+// @desc    Delete an image from the product gallery
+// @route   DELETE /api/distributor/products/:productId/images/:imageId
+// @access  Private (Distributor only)
+exports.deleteProductImage = asyncHandler(async (req, res) => {
+  const product = await findOwnGalleryProduct(req);
+  const publicId = productImageService.remove(product, req.params.imageId);
+  await product.save();
+  productImageService.deleteStored([publicId]);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully',
+    images: product.images
   });
 });
 
@@ -298,6 +310,7 @@ exports.deleteProduct = asyncHandler(async (req, res) => {
   }
 
   await product.deleteOne();
+  productImageService.deleteStored(productImageService.storedIds(product));
 
   res.json({
     success: true,
@@ -470,7 +483,7 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Use the Order model's updateStatus method
-  await order.updateStatus(orderStatus, note || '', distributorId, 'Distributor');
+  await order.updateStatus(orderStatus, note || '', req.actor.id, req.actor.model, req.actor.name);
 
   res.json({
     success: true,
@@ -507,7 +520,11 @@ exports.approveOrder = asyncHandler(async (req, res) => {
   }
 
   // Use the Order model's approveOrder method
-  await order.approveOrder(distributorId, deliveryCharge !== undefined ? parseFloat(deliveryCharge) : undefined);
+  await order.approveOrder(
+    distributorId,
+    deliveryCharge !== undefined ? parseFloat(deliveryCharge) : undefined,
+    req.actor
+  );
 
   // Populate order details before sending response
   await order.populate('user', 'name email phone');
@@ -545,7 +562,7 @@ exports.rejectOrder = asyncHandler(async (req, res) => {
   }
 
   // Use the Order model's rejectOrder method
-  await order.rejectOrder(distributorId, reason.trim());
+  await order.rejectOrder(distributorId, reason.trim(), req.actor);
 
   // Populate order details before sending response
   await order.populate('user', 'name email phone');
@@ -572,7 +589,8 @@ exports.getProfile = asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    distributor
+    distributor,
+    storeStatus: storeHoursService.getStatus(distributor)
   });
 });
 
@@ -581,7 +599,10 @@ exports.getProfile = asyncHandler(async (req, res) => {
 // @access  Private (Distributor only)
 exports.updateProfile = asyncHandler(async (req, res) => {
   const distributorId = req.user._id;
-  const { businessName, phone, address, pincode } = req.body;
+  const {
+    businessName, phone, address, pincode, city, state, gstNumber,
+    businessHours, holidays, vacationMode, acceptOrdersWhenClosed
+  } = req.body;
 
   const distributor = await Distributor.findById(distributorId);
 
@@ -606,7 +627,10 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     if (!phoneRegex.test(phone.replace(/[\s-]/g, ''))) {
       throw new ValidationError('Please provide a valid 10-digit phone number');
     }
-    distributor.phone = phone.trim();
+    if (phone.trim() !== distributor.phone) {
+      distributor.phone = phone.trim();
+      distributor.phoneVerified = false;  // New number must be verified again
+    }
   }
 
   if (address !== undefined) {
@@ -628,6 +652,62 @@ exports.updateProfile = asyncHandler(async (req, res) => {
     distributor.pincode = pincode.trim();
   }
 
+  if (city !== undefined) {
+    if (!city.trim()) {
+      throw new ValidationError('City cannot be empty');
+    }
+    distributor.city = city.trim();
+  }
+
+  if (state !== undefined) {
+    if (!state.trim()) {
+      throw new ValidationError('State cannot be empty');
+    }
+    distributor.state = state.trim();
+  }
+
+  // Pincode, city and state must agree. A new pincode replaces the old location with its centroid.
+  if (distributor.isModified('pincode') || distributor.isModified('city') || distributor.isModified('state')) {
+    geocoderService.assertLocality(distributor.pincode, { city: distributor.city, state: distributor.state });
+  }
+
+  const hasLocation = !!(distributor.location && distributor.location.coordinates && distributor.location.coordinates.length);
+  if (distributor.isModified('pincode') || !hasLocation) {
+    const point = geocoderService.toPoint(distributor.pincode);
+    if (point) {
+      distributor.location = point;
+      distributor.locationSource = 'pincode';
+    }
+  }
+
+  // Store hours, holidays and vacation mode
+  if (businessHours !== undefined) {
+    distributor.businessHours = storeHoursService.normalizeBusinessHours(businessHours);
+  }
+
+  if (holidays !== undefined) {
+    distributor.holidays = storeHoursService.normalizeHolidays(holidays);
+  }
+
+  if (vacationMode !== undefined) {
+    distributor.vacationMode = storeHoursService.normalizeVacation(vacationMode);
+  }
+
+  if (acceptOrdersWhenClosed !== undefined) {
+    if (typeof acceptOrdersWhenClosed !== 'boolean') {
+      throw new ValidationError('acceptOrdersWhenClosed must be true or false');
+    }
+    distributor.acceptOrdersWhenClosed = acceptOrdersWhenClosed;
+  }
+
+  // GSTIN: checksum, state cross-check and registry lookup before it is stored
+  if (gstNumber !== undefined && gstNumber !== distributor.gstNumber) {
+    if (!gstNumber || !gstNumber.trim()) {
+      throw new ValidationError('GST number cannot be empty');
+    }
+    await gstinService.applyToDistributor(distributor, gstNumber);
+  }
+
   await distributor.save();
 
   // Return distributor without password
@@ -636,7 +716,257 @@ exports.updateProfile = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Profile updated successfully',
-    distributor: updatedDistributor
+    distributor: updatedDistributor,
+    storeStatus: storeHoursService.getStatus(updatedDistributor)
+  });
+});
+
+// @desc    List KYC documents and verification status
+// @route   GET /api/distributor/documents
+// @access  Private (Distributor, including pending approval)
+exports.getDocuments = asyncHandler(async (req, res) => {
+  const distributor = req.user;
+
+  res.json({
+    success: true,
+    isApproved: distributor.isApproved,
+    rejectionReason: distributor.rejectionReason,
+    kyc: kycService.getKycStatus(distributor),
+    documents: distributor.documents.map(doc => kycService.toDocumentResponse(doc))
+  });
+});
+
+// @desc    Upload KYC document (replaces an existing document of the same type)
+// @route   POST /api/distributor/documents
+// @access  Private (Distributor, including pending approval)
+exports.uploadDocument = asyncHandler(async (req, res) => {
+  const { type, documentNumber, expiresAt } = req.body;
+
+  const document = await kycService.uploadDocument(req.user, { type, documentNumber, expiresAt }, req.file);
+  await onboardingService.onDocumentsUpdated(req.user);
+
+  res.status(201).json({
+    success: true,
+    message: 'Document uploaded successfully. It will be reviewed shortly',
+    document: kycService.toDocumentResponse(document),
+    kyc: kycService.getKycStatus(req.user)
+  });
+});
+
+// @desc    Replace the file of a KYC document
+// @route   PUT /api/distributor/documents/:documentId
+// @access  Private (Distributor, including pending approval)
+exports.replaceDocument = asyncHandler(async (req, res) => {
+  const { documentNumber, expiresAt } = req.body;
+
+  const document = await kycService.uploadDocument(
+    req.user,
+    { documentId: req.params.documentId, documentNumber, expiresAt },
+    req.file
+  );
+  await onboardingService.onDocumentsUpdated(req.user);
+
+  res.json({
+    success: true,
+    message: 'Document replaced successfully. It will be reviewed shortly',
+    document: kycService.toDocumentResponse(document),
+    kyc: kycService.getKycStatus(req.user)
+  });
+});
+
+// @desc    Onboarding status, checklist of what is missing, and decision history
+// @route   GET /api/distributor/onboarding
+// @access  Private (Distributor, including pending approval)
+exports.getOnboarding = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    onboarding: onboardingService.getOnboarding(req.user)
+  });
+});
+
+// @desc    Resubmit a rejected application for review
+// @route   POST /api/distributor/onboarding/resubmit
+// @access  Private (Distributor, including pending approval)
+exports.resubmitApplication = asyncHandler(async (req, res) => {
+  await onboardingService.transition(req.user, 'resubmit', {
+    reason: req.body.note,
+    actor: { _id: req.user._id, name: req.user.businessName, role: 'distributor' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Application resubmitted. It will be reviewed shortly',
+    onboarding: onboardingService.getOnboarding(req.user)
+  });
+});
+
+// Save service area changes; MongoDB rejects self-intersecting polygons when indexing them
+const saveServiceAreas = async (distributor) => {
+  try {
+    await distributor.save();
+  } catch (error) {
+    if (error.code === 16755) {
+      throw new ValidationError('Polygon is not valid. Edges must not cross each other');
+    }
+    throw error;
+  }
+};
+
+const serviceAreasResponse = (distributor) => ({
+  serviceRadius: distributor.serviceRadius,
+  // Without service areas, delivery falls back to serviceRadius around the distributor
+  mode: serviceabilityService.hasServiceAreas(distributor) ? 'service_areas' : 'radius',
+  serviceAreas: distributor.serviceAreas
+});
+
+// @desc    List delivery service areas
+// @route   GET /api/distributor/service-areas
+// @access  Private (Distributor only)
+exports.getServiceAreas = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id).select('serviceRadius serviceAreas');
+
+  res.json({
+    success: true,
+    ...serviceAreasResponse(distributor)
+  });
+});
+
+// @desc    Add a service area (pincode list and/or GeoJSON polygon)
+// @route   POST /api/distributor/service-areas
+// @access  Private (Distributor only)
+exports.addServiceArea = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id);
+
+  serviceabilityService.assertCanAddArea(distributor);
+  distributor.serviceAreas.push(serviceabilityService.buildServiceArea(req.body));
+  await saveServiceAreas(distributor);
+
+  res.status(201).json({
+    success: true,
+    message: 'Service area added successfully',
+    serviceArea: distributor.serviceAreas[distributor.serviceAreas.length - 1],
+    ...serviceAreasResponse(distributor)
+  });
+});
+
+// @desc    Update a service area
+// @route   PUT /api/distributor/service-areas/:areaId
+// @access  Private (Distributor only)
+exports.updateServiceArea = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id);
+  const area = distributor.serviceAreas.id(req.params.areaId);
+
+  if (!area) {
+    throw new NotFoundError('Service area not found');
+  }
+
+  // Omitted fields keep their current value; null clears pincodes or polygon
+  const has = (field) => Object.prototype.hasOwnProperty.call(req.body, field);
+  const current = area.toObject();
+  const updated = serviceabilityService.buildServiceArea({
+    name: has('name') ? req.body.name : current.name,
+    pincodes: has('pincodes') ? req.body.pincodes : current.pincodes,
+    polygon: has('polygon') ? req.body.polygon : current.polygon
+  });
+
+  area.name = updated.name;
+  area.pincodes = updated.pincodes;
+  area.polygon = updated.polygon;
+  await saveServiceAreas(distributor);
+
+  res.json({
+    success: true,
+    message: 'Service area updated successfully',
+    serviceArea: area,
+    ...serviceAreasResponse(distributor)
+  });
+});
+
+// @desc    Delete a service area
+// @route   DELETE /api/distributor/service-areas/:areaId
+// @access  Private (Distributor only)
+exports.deleteServiceArea = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id);
+  const area = distributor.serviceAreas.id(req.params.areaId);
+
+  if (!area) {
+    throw new NotFoundError('Service area not found');
+  }
+
+  area.deleteOne();
+  await saveServiceAreas(distributor);
+
+  res.json({
+    success: true,
+    message: 'Service area deleted successfully',
+    ...serviceAreasResponse(distributor)
+  });
+});
+
+const storefrontResponse = (distributor) => ({
+  slug: distributor.slug,
+  previousSlugs: distributor.previousSlugs,
+  description: distributor.description,
+  logo: distributor.logo && distributor.logo.url,
+  banner: distributor.banner && distributor.banner.url,
+  featuredProducts: distributor.featuredProducts
+});
+
+// @desc    Get storefront settings
+// @route   GET /api/distributor/storefront
+// @access  Private (Distributor only)
+exports.getStorefront = asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id)
+    .select('slug previousSlugs description logo banner featuredProducts');
+
+  res.json({
+    success: true,
+    storefront: storefrontResponse(distributor)
+  });
+});
+
+// @desc    Update storefront URL, description and featured products
+// @route   PUT /api/distributor/storefront
+// @access  Private (Distributor only)
+exports.updateStorefront = asyncHandler(async (req, res) => {
+  const { slug, description, featuredProducts } = req.body;
+  const distributor = await Distributor.findById(req.user._id);
+
+  if (slug !== undefined) {
+    await storefrontService.changeSlug(distributor, slug);
+  }
+
+  if (description !== undefined) {
+    distributor.description = description ? String(description).trim() : undefined;
+  }
+
+  if (featuredProducts !== undefined) {
+    await storefrontService.setFeaturedProducts(distributor, featuredProducts);
+  }
+
+  await distributor.save();
+
+  res.json({
+    success: true,
+    message: 'Storefront updated successfully',
+    storefront: storefrontResponse(distributor)
+  });
+});
+
+// @desc    Upload storefront logo or banner
+// @route   PUT /api/distributor/storefront/logo
+// @route   PUT /api/distributor/storefront/banner
+// @access  Private (Distributor only)
+exports.uploadStoreImage = (field) => asyncHandler(async (req, res) => {
+  const distributor = await Distributor.findById(req.user._id);
+
+  await storefrontService.uploadImage(distributor, field, req.file);
+  await distributor.save();
+
+  res.json({
+    success: true,
+    message: `Store ${field} updated successfully`,
+    storefront: storefrontResponse(distributor)
   });
 });
 
@@ -0,0 +1,51 @@
+const express = require('express');
+const storageService = require('../services/storage.service');
+const { AuthorizationError, NotFoundError } = require('../utils/errors');
+
+// Images are embedded by the frontend, which runs on another origin
+const setMediaHeaders = (res) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+};
+
+// @desc    Public files of the local storage driver (product images, store logos and banners)
+// @route   GET /media/*
+// @access  Public
+let serveStatic = null;
+
+exports.servePublicFile = (req, res, next) => {
+  if (!serveStatic) {
+    serveStatic = express.static(storageService.getDriver().directories.public, {
+      dotfiles: 'deny',
+      index: false,
+      setHeaders: setMediaHeaders
+    });
+  }
+
+  return serveStatic(req, res, next);
+};
+
+// @desc    Private file of the local storage driver (KYC documents), through a signed URL
+// @route   GET /media/private/*?expires=&signature=
+// @access  Signed URL
+exports.servePrivateFile = (req, res, next) => {
+  const driver = storageService.getDriver();
+  const key = req.params[0];
+  const { expires, signature } = req.query;
+
+  if (!driver.verifySignature(key, expires, signature)) {
+    return next(new AuthorizationError('This link is invalid or has expired'));
+  }
+
+  const filePath = driver.resolve('private', key);
+  if (!filePath) {
+    return next(new NotFoundError('File not found'));
+  }
+
+  setMediaHeaders(res);
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(filePath, (error) => {
+    if (error) next(error.code === 'ENOENT' ? new NotFoundError('File not found') : error);
+  });
+};
+
+module.exports = exports;
@@ -1,7 +1,9 @@
 const orderService = require('../services/order.service');
 const paymentService = require('../services/payment.service');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
+const Distributor = require('../models/Distributor');
+const serviceabilityService = require('../services/serviceability.service');
+const storeHoursService = require('../services/storeHours.service');
 const asyncHandler = require('../utils/asyncHandler');
 const { ValidationError, NotFoundError, AuthorizationError, AuthenticationError } = require('../utils/errors');
 
@@ -12,6 +14,11 @@ exports.createOrder = asyncHandler(async (req, res) => {
   // FIX: Use _id consistently
   const userId = req.user._id;
 
+  // SECURITY: Only verified accounts can check out
+  if (!req.user.emailVerified) {
+    throw new AuthorizationError('Please verify your email address before placing an order');
+  }
+
   const { items, shippingAddress, paymentMethod, couponCode, distributor } = req.body;
 
   // Validate required fields
@@ -31,48 +38,35 @@ exports.createOrder = asyncHandler(async (req, res) => {
     throw new ValidationError('Distributor is required');
   }
 
-  // Validate items structure
-  const validatedItems = [];
-  let subtotal = 0;
-
-  for (const item of items) {
-    if (!item.product || !item.quantity) {
-      throw new ValidationError('Each item must have product and quantity');
-    }
-
-    // Fetch product to validate price and stock
-    const product = await Product.findById(item.product);
+  const seller = await Distributor.findOne({ _id: distributor, isActive: true })
+    .select(`businessName isApproved onboardingStatus pincode location serviceRadius serviceAreas ${storeHoursService.statusFields}`);
 
-    if (!product) {
-      throw new NotFoundError(`Product ${item.product} not found`);
-    }
+  if (!seller || (!seller.isApproved && seller.onboardingStatus !== 'suspended')) {
+    throw new NotFoundError('Distributor not found');
+  }
 
-    if (!product.isActive) {
-      throw new ValidationError(`Product ${product.name} is not available`);
-    }
+  // Suspension pauses new orders; existing orders carry on
+  if (seller.onboardingStatus === 'suspended') {
+    throw new ValidationError(`${seller.businessName} is temporarily unavailable and is not accepting orders`);
+  }
 
-    if (product.stock < item.quantity) {
-      throw new ValidationError(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
-    }
+  // Current prices (with quantity breaks), stock and quantity limits of each item; every
+  // item must be the seller's, so the checks below apply to whoever ships the order
+  const { items: validatedItems, subtotal } = await orderService.priceItems(items, { distributor: seller._id });
 
-    validatedItems.push({
-      product: product._id,
-      distributor: product.distributor,
-      quantity: item.quantity,
-      price: product.price,  // Use current price from DB
-      name: product.name,
-      image: product.image
-    });
+  // Reject addresses outside the seller's delivery radius before touching stock
+  serviceabilityService.assertServiceable(seller, shippingAddress.pincode);
 
-    subtotal += product.price * item.quantity;
-  }
+  // The seller's vacation (or a closed store that refuses orders) blocks checkout; otherwise
+  // it's queued for reopening
+  const storeStatus = storeHoursService.assertAcceptingOrders(seller);
 
   // Calculate pricing
   let discount = 0;
   let coupon = null;
 
   if (couponCode) {
-    const result = await orderService.applyCoupon(couponCode, subtotal);
+    const result = await orderService.validateCoupon(couponCode, subtotal);
     discount = result.discount;
     coupon = result.couponId;
   }
@@ -85,7 +79,7 @@ exports.createOrder = asyncHandler(async (req, res) => {
 
   const orderData = {
     user: userId,
-    distributor,
+    distributor: seller._id,
     items: validatedItems,
     subtotal,
     discount,
@@ -96,14 +90,17 @@ exports.createOrder = asyncHandler(async (req, res) => {
     shippingAddress,
     paymentMethod,
     couponCode,
-    coupon
+    coupon,
+    expectedProcessingDate: storeStatus.isOpen ? undefined : storeStatus.nextOpenAt
   };
 
   const order = await orderService.createOrder(orderData);
 
   res.status(201).json({
     success: true,
-    message: 'Order created successfully',
+    message: storeStatus.isOpen || !storeStatus.nextOpenAt
+      ? 'Order created successfully'
+      : `Order created successfully. ${seller.businessName} is closed now; it will be processed on ${storeHoursService.formatLocal(storeStatus.nextOpenAt)}`,
     order
   });
 });
@@ -352,22 +349,28 @@ exports.cancelOrder = asyncHandler(async (req, res) => {
 // @route   POST /api/orders/coupon/apply
 // @access  Private
 exports.applyCoupon = asyncHandler(async (req, res) => {
-  const { couponCode, totalAmount } = req.body;
+  const { couponCode, totalAmount, items } = req.body;
 
   if (!couponCode) {
     throw new ValidationError('Coupon code is required');
   }
 
-  if (!totalAmount || totalAmount <= 0) {
+  // With the cart items, the base amount is priced as at checkout (quantity breaks included)
+  const baseAmount = Array.isArray(items) && items.length > 0
+    ? (await orderService.priceItems(items)).subtotal
+    : totalAmount;
+
+  if (!baseAmount || baseAmount <= 0) {
     throw new ValidationError('Valid total amount is required');
   }
 
-  const result = await orderService.applyCoupon(couponCode, totalAmount);
+  const result = await orderService.validateCoupon(couponCode, baseAmount);
 
   res.json({
     success: true,
+    subtotal: baseAmount,
     discount: result.discount,
-    finalAmount: totalAmount - result.discount,
+    finalAmount: baseAmount - result.discount,
     coupon: result.coupon
   });
 });
@@ -439,7 +442,7 @@ exports.updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Use model method for status update with validation
-  await order.updateStatus(status, note, distributorId, 'Distributor');
+  await order.updateStatus(status, note, req.actor.id, req.actor.model, req.actor.name);
 
   res.json({
     success: true,
@@ -1,4 +1,10 @@
 const productService = require('../services/product.service');
+const storeHoursService = require('../services/storeHours.service');
+const categoryService = require('../services/category.service');
+const variantService = require('../services/variant.service');
+const specificationService = require('../services/specification.service');
+const catalogService = require('../services/catalog.service');
+const pricingService = require('../services/pricing.service');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
@@ -9,20 +15,79 @@ const escapeRegex = (text) => {
   return text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
 };
 
+// Cart line for a product, or for one of its variants
+const findCartItem = (cart, productId, variantId) => {
+  return cart.find(item => item.product.toString() === String(productId) &&
+    String(item.variant || '') === String(variantId || ''));
+};
+
+// Cart lines priced for their quantity (quantity breaks), with the next break and the total
+const pricedCart = (cart) => {
+  const items = cart.map(line => {
+    const product = line.product;
+    const source = product && (line.variant ? product.variants.id(line.variant) : product);
+    const { price, tier } = source ? pricingService.priceFor(source, line.quantity) : { price: null, tier: null };
+
+    return {
+      ...line.toObject(),
+      unitPrice: price,
+      priceTier: tier,
+      nextTier: source ? pricingService.nextTier(source, line.quantity) : null,
+      subtotal: source ? pricingService.lineTotal(source, line.quantity) : 0
+    };
+  });
+
+  return {
+    cart: items,
+    total: Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100
+  };
+};
+
+// Buyer location for comparing offers: ?lat=&lng=, ?pincode=, else the default address
+const buyerLocation = (req) => {
+  const { lat, lng, pincode } = req.query;
+
+  if (lat && lng) {
+    const coordinates = [parseFloat(lng), parseFloat(lat)];
+    if (!(coordinates[0] >= -180 && coordinates[0] <= 180) || !(coordinates[1] >= -90 && coordinates[1] <= 90)) {
+      throw new ValidationError('Invalid coordinates');
+    }
+    return { coordinates, pincode: /^\d{6}$/.test(pincode || '') ? pincode : undefined };
+  }
+
+  if (pincode) {
+    if (!/^\d{6}$/.test(pincode)) {
+      throw new ValidationError('Please provide a valid 6-digit pincode');
+    }
+    return { pincode };
+  }
+
+  const address = req.user && req.user.addresses && (req.user.addresses.find(a => a.isDefault) || req.user.addresses[0]);
+  return address ? { pincode: address.pincode } : {};
+};
+
 // @desc    Get all products with filters
 // @route   GET /api/products
 // @access  Public
+// With a category, specification filters (?specs[grade]=OPC 53,PPC&specs[thickness][min]=8)
+// are accepted and the response includes facet counts for the category's attributes
 exports.getAllProducts = asyncHandler(async (req, res) => {
-  const { category, minPrice, maxPrice, search, sortBy, page = 1, limit = 20 } = req.query;
+  const { category, minPrice, maxPrice, search, sortBy, specs, page = 1, limit = 20 } = req.query;
 
-  const filters = { isActive: true }; // Only show active products
+  // Only show active products of distributors that aren't suspended
+  const filters = { isActive: true, distributorSuspended: { $ne: true } };
 
-  // Category filter with validation
+  // Category filter (ID or slug), including subcategories
+  let schema = null;
   if (category) {
-    const validCategories = ['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other'];
-    if (validCategories.includes(category)) {
-      filters.category = category;
+    const selected = await categoryService.find(category, { activeOnly: true });
+    if (!selected) {
+      throw new ValidationError('Invalid category');
     }
+    filters.category = { $in: await categoryService.subtreeIds(selected, { activeOnly: true }) };
+    schema = await specificationService.getSchema(selected);
+  } else if (specs) {
+    throw new ValidationError('Choose a category to filter by specifications');
   }
 
   // Price filters with validation
@@ -58,54 +123,84 @@ exports.getAllProducts = asyncHandler(async (req, res) => {
     limit: limitNum,
     sort: sortBy || '-createdAt',
     populate: [
-      { path: 'distributor', select: 'businessName email phone city state' }
+      { path: 'distributor', select: `businessName email phone city state ${storeHoursService.statusFields}` },
+      { path: 'category', select: 'name slug icon' }
     ]
   };
 
-  const products = await productService.getProducts(filters, options);
+  const specFilters = schema ? specificationService.buildFilters(specs, schema) : {};
+
+  const [result, facets] = await Promise.all([
+    productService.getProducts({ ...filters, ...specFilters }, options),
+    schema ? specificationService.getFacets(filters, specFilters, schema) : undefined
+  ]);
 
   res.json({
     success: true,
-    ...products
+    ...result,
+    facets,
+    products: storeHoursService.annotateProducts(result.products)
   });
 });
 
 // @desc    Get single product by ID
 // @route   GET /api/products/:id
 // @access  Public
+// For an offer on a catalog item, the response lists every distributor's offer, cheapest
+// landed price first, and the best one. Query params: ?quantity=10&pincode=560001 (or lat/lng)
 exports.getProductById = asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id)
-    .populate('distributor', 'businessName email phone address city state rating');
+    .populate('distributor', `businessName email phone address city state rating ${storeHoursService.statusFields}`)
+    .populate('category', 'name slug icon');
 
   if (!product) {
     throw new NotFoundError('Product not found');
   }
 
-  // Only show if active (or if user is the distributor/admin)
-  if (!product.isActive && (!req.user || req.user._id.toString() !== product.distributor._id.toString())) {
+  // Only show if active and listed (or if user is the distributor/admin)
+  if ((!product.isActive || product.distributorSuspended) && (!req.user || req.user._id.toString() !== product.distributor._id.toString())) {
     throw new NotFoundError('Product not found');
   }
 
-  res.json({ success: true, product });
+  const [annotated] = storeHoursService.annotateProducts([product]);
+
+  if (!product.catalogItem) {
+    return res.json({ success: true, product: annotated });
+  }
+
+  const { offers, bestOffer } = await catalogService.getOffers(product.catalogItem, {
+    ...buyerLocation(req),
+    quantity: req.query.quantity
+  });
+
+  res.json({ success: true, product: annotated, offers, bestOffer });
 });
 
-// @desc    Get products by category
-// @route   GET /api/products/category/:categoryId
+// @desc    Get products in a category and its subcategories
+// @route   GET /api/products/category/:categoryId (ID or slug)
 // @access  Public
 exports.getProductsByCategory = asyncHandler(async (req, res) => {
-  const { categoryId } = req.params;
+  const category = await categoryService.find(req.params.categoryId, { activeOnly: true });
 
-  const validCategories = ['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other'];
-  if (!validCategories.includes(categoryId)) {
+  if (!category) {
     throw new ValidationError('Invalid category');
   }
 
   const products = await Product.find({
-    category: categoryId,
-    isActive: true
-  }).populate('distributor', 'businessName city state');
+    category: { $in: await categoryService.subtreeIds(category, { activeOnly: true }) },
+    isActive: true,
+    distributorSuspended: { $ne: true }
+  })
+    .populate('distributor', `businessName city state ${storeHoursService.statusFields}`)
+    .populate('category', 'name slug icon');
 
-  res.json({ success: true, count: products.length, products });
+  res.json({
+    success: true,
+    category: { _id: category._id, name: category.name, slug: category.slug, icon: category.icon },
+    path: await categoryService.getPath(category),
+    count: products.length,
+    products: storeHoursService.annotateProducts(products)
+  });
 });
 
 // @desc    Get products by distributor
@@ -116,38 +211,39 @@ exports.getProductsByDistributor = asyncHandler(async (req, res) => {
 
   const products = await Product.find({
     distributor: distributorId,
-    isActive: true
-  }).populate('distributor', 'businessName email phone city state rating');
+    isActive: true,
+    distributorSuspended: { $ne: true }
+  })
+    .populate('distributor', `businessName email phone city state rating ${storeHoursService.statusFields}`)
+    .populate('category', 'name slug icon');
 
-  res.json({ success: true, count: products.length, products });
+  res.json({ success: true, count: products.length, products: storeHoursService.annotateProducts(products) });
 });
 
-// @desc    Get all categories
+// @desc    Specification attributes of a category (including inherited ones)
+// @route   GET /api/products/categories/:categoryId/attributes (ID or slug)
+// @access  Public
+exports.getCategoryAttributes = asyncHandler(async (req, res) => {
+  const category = await categoryService.find(req.params.categoryId, { activeOnly: true });
+
+  if (!category) {
+    throw new NotFoundError('Category not found');
+  }
+
+  res.json({
+    success: true,
+    category: { _id: category._id, name: category.name, slug: category.slug },
+    attributes: await specificationService.getSchema(category)
+  });
+});
+
+// @desc    Get the category tree with product counts
 // @route   GET /api/products/categories
 // @access  Public
 exports.getCategories = asyncHandler(async (req, res) => {
-  const categories = [
-    { id: 'Cement', name: 'Cement', icon: '🏗️' },
-    { id: 'Steel', name: 'Steel', icon: '🔩' },
-    { id: 'Bricks', name: 'Bricks', icon: '🧱' },
-    { id: 'Sand', name: 'Sand', icon: '⏳' },
-    { id: 'Paint', name: 'Paint', icon: '🎨' },
-    { id: 'Tiles', name: 'Tiles', icon: '◽' },
-    { id: 'Other', name: 'Other', icon: '📦' }
-  ];
-
-  // Get count for each category
-  const categoriesWithCount = await Promise.all(
-    categories.map(async (cat) => {
-      const count = await Product.countDocuments({
-        category: cat.id,
-        isActive: true
-      });
-      return { ...cat, count };
-    })
-  );
-
-  res.json({ success: true, categories: categoriesWithCount });
+  const categories = await categoryService.getTree({ withCounts: true });
+
+  res.json({ success: true, categories });
 });
 
 // @desc    Add product to wishlist
@@ -224,9 +320,10 @@ exports.getWishlist = asyncHandler(async (req, res) => {
 // @desc    Add product to cart
 // @route   POST /api/products/cart
 // @access  Private
+// Body: { productId, variantId (required for products with variants), quantity }
 exports.addToCart = asyncHandler(async (req, res) => {
   const userId = req.user._id;
-  const { productId, quantity = 1 } = req.body;
+  const { productId, variantId, quantity = 1 } = req.body;
 
   if (!productId) {
     throw new ValidationError('Product ID is required');
@@ -244,27 +341,24 @@ exports.addToCart = asyncHandler(async (req, res) => {
     throw new NotFoundError('Product not found');
   }
 
-  if (!product.isActive) {
+  if (!product.isActive || product.distributorSuspended) {
     throw new ValidationError('Product is not available');
   }
 
-  if (product.stock < qty) {
-    throw new ValidationError(`Only ${product.stock} items available in stock`);
-  }
+  const item = variantService.resolve(product, variantId);
 
   const user = await User.findById(userId);
 
-  // Check if product already in cart
-  const existingItem = user.cart.find(item => item.product.toString() === productId);
+  // Check if product (variant) already in cart
+  const existingItem = findCartItem(user.cart, productId, item.variant);
+  const newQty = existingItem ? existingItem.quantity + qty : qty;
+
+  variantService.assertQuantity(item, newQty);
 
   if (existingItem) {
-    const newQty = existingItem.quantity + qty;
-    if (product.stock < newQty) {
-      throw new ValidationError(`Only ${product.stock} items available in stock`);
-    }
     existingItem.quantity = newQty;
   } else {
-    user.cart.push({ product: productId, quantity: qty });
+    user.cart.push({ product: productId, variant: item.variant, quantity: qty });
   }
 
   await user.save();
@@ -278,17 +372,18 @@ exports.addToCart = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Product added to cart',
-    cart: user.cart
+    ...pricedCart(user.cart)
   });
 });
 
 // @desc    Update cart item quantity
 // @route   PUT /api/products/cart/:productId
 // @access  Private
+// Body: { quantity, variantId (for products with variants) }
 exports.updateCartItem = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const { productId } = req.params;
-  const { quantity } = req.body;
+  const { quantity, variantId } = req.body;
 
   // Validate quantity
   const qty = parseInt(quantity);
@@ -302,12 +397,11 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
     throw new NotFoundError('Product not found');
   }
 
-  if (product.stock < qty) {
-    throw new ValidationError(`Only ${product.stock} items available in stock`);
-  }
+  const item = variantService.resolve(product, variantId);
+  variantService.assertQuantity(item, qty);
 
   const user = await User.findById(userId);
-  const cartItem = user.cart.find(item => item.product.toString() === productId);
+  const cartItem = findCartItem(user.cart, productId, item.variant);
 
   if (!cartItem) {
     throw new NotFoundError('Product not in cart');
@@ -324,19 +418,22 @@ exports.updateCartItem = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Cart updated',
-    cart: user.cart
+    ...pricedCart(user.cart)
   });
 });
 
 // @desc    Remove product from cart
 // @route   DELETE /api/products/cart/:productId
 // @access  Private
+// Query: ?variantId= removes one variant; without it every line of the product is removed
 exports.removeFromCart = asyncHandler(async (req, res) => {
   const userId = req.user._id;
   const { productId } = req.params;
+  const { variantId } = req.query;
 
   const user = await User.findById(userId);
-  user.cart = user.cart.filter(item => item.product.toString() !== productId);
+  user.cart = user.cart.filter(item => item.product.toString() !== productId ||
+    (variantId && String(item.variant) !== variantId));
   await user.save();
 
   await user.populate({
@@ -347,7 +444,7 @@ exports.removeFromCart = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Product removed from cart',
-    cart: user.cart
+    ...pricedCart(user.cart)
   });
 });
 
@@ -362,7 +459,7 @@ exports.getCart = asyncHandler(async (req, res) => {
     populate: { path: 'distributor', select: 'businessName city state' }
   });
 
-  res.json({ success: true, cart: user.cart });
+  res.json({ success: true, ...pricedCart(user.cart) });
 });
 
 // @desc    Clear cart
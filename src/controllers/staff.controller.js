@@ -0,0 +1,213 @@
+const DistributorStaff = require('../models/DistributorStaff');
+const User = require('../models/User');
+const Distributor = require('../models/Distributor');
+const mailService = require('../services/mail.service');
+const sessionService = require('../services/session.service');
+const asyncHandler = require('../utils/asyncHandler');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { STAFF_PERMISSIONS, STAFF_PRESETS } = require('../config/permissions');
+
+// Resolve permissions from an explicit list or a preset title
+const resolvePermissions = (permissions, title) => {
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      throw new ValidationError('Permissions must be an array');
+    }
+    const invalid = permissions.filter(p => !STAFF_PERMISSIONS.includes(p));
+    if (invalid.length > 0) {
+      throw new ValidationError(`Invalid permissions: ${invalid.join(', ')}. Allowed: ${STAFF_PERMISSIONS.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+  }
+
+  if (title && STAFF_PRESETS[title]) {
+    return STAFF_PRESETS[title];
+  }
+
+  throw new ValidationError('Provide permissions or a preset title');
+};
+
+// Send invitation email; mail failures are logged so the owner can resend
+const sendInvite = async (staff, distributor) => {
+  const inviteToken = staff.createInviteToken();
+  await staff.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendStaffInviteEmail(staff, distributor, inviteToken);
+  } catch (error) {
+    console.error(`Failed to send staff invite to ${staff.email}: ${error.message}`);
+  }
+};
+
+// Never expose token/security fields
+const toStaffResponse = (staff) => ({
+  _id: staff._id,
+  name: staff.name,
+  email: staff.email,
+  phone: staff.phone,
+  title: staff.title,
+  permissions: staff.permissions,
+  isActive: staff.isActive,
+  invitePending: staff.isInvitePending,
+  inviteAcceptedAt: staff.inviteAcceptedAt,
+  lastLogin: staff.lastLogin,
+  createdAt: staff.createdAt
+});
+
+// @desc    List distributor staff
+// @route   GET /api/distributor/staff
+// @access  Private (Distributor owner only)
+exports.getStaff = asyncHandler(async (req, res) => {
+  const staff = await DistributorStaff.find({ distributor: req.user._id }).sort('name');
+
+  res.json({
+    success: true,
+    count: staff.length,
+    staff: staff.map(toStaffResponse),
+    availablePermissions: STAFF_PERMISSIONS,
+    presets: STAFF_PRESETS
+  });
+});
+
+// @desc    Invite a staff member by email
+// @route   POST /api/distributor/staff
+// @access  Private (Distributor owner only)
+exports.inviteStaff = asyncHandler(async (req, res) => {
+  const { name, email, phone, title, permissions } = req.body;
+
+  if (!name || !name.trim()) {
+    throw new ValidationError('Name is required');
+  }
+
+  if (!email || !email.trim()) {
+    throw new ValidationError('Email is required');
+  }
+
+  if (title !== undefined && title !== 'custom' && !STAFF_PRESETS[title]) {
+    throw new ValidationError(`Title must be one of: ${[...Object.keys(STAFF_PRESETS), 'custom'].join(', ')}`);
+  }
+
+  const normalizedEmail = email.trim().toLowerCase();
+
+  // Emails are unique across every account type
+  const [existingUser, existingDistributor, existingStaff] = await Promise.all([
+    User.findOne({ email: normalizedEmail }),
+    Distributor.findOne({ email: normalizedEmail }),
+    DistributorStaff.findOne({ email: normalizedEmail })
+  ]);
+
+  if (existingUser || existingDistributor || existingStaff) {
+    throw new ConflictError('An account with this email already exists');
+  }
+
+  const staff = new DistributorStaff({
+    distributor: req.user._id,
+    name: name.trim(),
+    email: normalizedEmail,
+    phone,
+    title: title || 'custom',
+    permissions: resolvePermissions(permissions, title),
+    invitedBy: req.user._id
+  });
+  await staff.validate();
+
+  await sendInvite(staff, req.user);
+
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${staff.email}`,
+    staff: toStaffResponse(staff)
+  });
+});
+
+// @desc    Update staff permissions or status
+// @route   PUT /api/distributor/staff/:staffId
+// @access  Private (Distributor owner only)
+exports.updateStaff = asyncHandler(async (req, res) => {
+  const { staffId } = req.params;
+  const { name, title, permissions, isActive } = req.body;
+
+  const staff = await DistributorStaff.findOne({ _id: staffId, distributor: req.user._id });
+
+  if (!staff) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  if (name !== undefined) {
+    if (!name.trim()) {
+      throw new ValidationError('Name cannot be empty');
+    }
+    staff.name = name.trim();
+  }
+
+  if (title !== undefined) {
+    if (title !== 'custom' && !STAFF_PRESETS[title]) {
+      throw new ValidationError(`Title must be one of: ${[...Object.keys(STAFF_PRESETS), 'custom'].join(', ')}`);
+    }
+    staff.title = title;
+  }
+
+  if (permissions !== undefined || (title !== undefined && title !== 'custom')) {
+    staff.permissions = resolvePermissions(permissions, title);
+  }
+
+  if (typeof isActive === 'boolean') {
+    staff.isActive = isActive;
+  }
+
+  await staff.save();
+
+  // Disabled staff are signed out everywhere straight away
+  if (isActive === false) {
+    await sessionService.revokeAllSessions(staff._id, 'account_disabled');
+  }
+
+  res.json({
+    success: true,
+    message: 'Staff member updated successfully',
+    staff: toStaffResponse(staff)
+  });
+});
+
+// @desc    Resend staff invitation
+// @route   POST /api/distributor/staff/:staffId/resend-invite
+// @access  Private (Distributor owner only)
+exports.resendInvite = asyncHandler(async (req, res) => {
+  const staff = await DistributorStaff.findOne({ _id: req.params.staffId, distributor: req.user._id });
+
+  if (!staff) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  if (!staff.isInvitePending) {
+    throw new ValidationError('Invitation has already been accepted');
+  }
+
+  await sendInvite(staff, req.user);
+
+  res.json({
+    success: true,
+    message: `Invitation resent to ${staff.email}`
+  });
+});
+
+// @desc    Remove staff member
+// @route   DELETE /api/distributor/staff/:staffId
+// @access  Private (Distributor owner only)
+exports.removeStaff = asyncHandler(async (req, res) => {
+  const staff = await DistributorStaff.findOne({ _id: req.params.staffId, distributor: req.user._id });
+
+  if (!staff) {
+    throw new NotFoundError('Staff member not found');
+  }
+
+  await sessionService.revokeAllSessions(staff._id, 'account_disabled');
+  await staff.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Staff member removed successfully'
+  });
+});
+
+module.exports = exports;
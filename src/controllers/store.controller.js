@@ -0,0 +1,29 @@
+const storefrontService = require('../services/storefront.service');
+const asyncHandler = require('../utils/asyncHandler');
+
+// @desc    Get a distributor's public storefront
+// @route   GET /api/stores/:slug
+// @access  Public
+exports.getStorefront = asyncHandler(async (req, res) => {
+  const store = await storefrontService.getStorefront(req.params.slug);
+
+  res.json({
+    success: true,
+    store
+  });
+});
+
+// @desc    Get a store's products (paginated, filterable)
+// @route   GET /api/stores/:slug/products
+// @access  Public
+// Query params: ?category=Cement&minPrice=100&maxPrice=500&search=opc&inStock=true&sortBy=price_asc&page=1&limit=20
+exports.getStoreProducts = asyncHandler(async (req, res) => {
+  const result = await storefrontService.getStoreProducts(req.params.slug, req.query);
+
+  res.json({
+    success: true,
+    ...result
+  });
+});
+
+module.exports = exports;
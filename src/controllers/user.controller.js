@@ -1,5 +1,27 @@
 const asyncHandler = require('../utils/asyncHandler');
 const Distributor = require('../models/Distributor');
+const geocoderService = require('../services/geocoder.service');
+const serviceabilityService = require('../services/serviceability.service');
+const storeHoursService = require('../services/storeHours.service');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+// The only distributor fields the public distributor endpoints return. An allow-list, so
+// fields added later stay private; the nearby search's aggregation (which ignores
+// `select: false`) projects the same list.
+const PUBLIC_FIELDS = [
+  'businessName', 'email', 'phone', 'address', 'city', 'state', 'pincode', 'location',
+  'profileImage', 'description', 'slug', 'logo', 'banner', 'rating', 'reviewCount',
+  'serviceRadius', 'serviceAreas', 'createdAt',
+  ...storeHoursService.statusFields.split(' ')
+];
+const PUBLIC_SELECT = PUBLIC_FIELDS.join(' ');
+const PUBLIC_PROJECTION = Object.fromEntries([...PUBLIC_FIELDS, 'distance'].map(field => [field, 1]));
+
+// Public listings show whether each store is open right now
+const withStoreStatus = (distributor) => {
+  const data = typeof distributor.toObject === 'function' ? distributor.toObject() : distributor;
+  return { ...data, storeStatus: storeHoursService.getStatus(data) };
+};
 
 // @desc    Get all verified distributors (public)
 // @route   GET /api/users/distributors
@@ -8,13 +30,13 @@ exports.getAllDistributors = asyncHandler(async (req, res) => {
   const distributors = await Distributor.find({
     isApproved: true,
     isActive: true
-  }).select('-password -resetPasswordToken -resetPasswordExpiry -verificationToken -bankAccountNumber -bankIFSC -failedLoginAttempts -lockUntil')
+  }).select(PUBLIC_SELECT)
     .sort('-rating');
 
   res.status(200).json({
     success: true,
     count: distributors.length,
-    distributors
+    distributors: distributors.map(withStoreStatus)
   });
 });
 
@@ -26,34 +48,33 @@ exports.getNearbyDistributors = asyncHandler(async (req, res) => {
   const { pincode, lat, lng, distance = 50 } = req.query;
 
   let coordinates;
+  let place = null;
 
   // If lat/lng provided, use directly
   if (lat && lng) {
     coordinates = [parseFloat(lng), parseFloat(lat)]; // GeoJSON format: [lng, lat]
   }
-  // If pincode provided, geocode it
+  // If pincode provided, geocode it offline
   else if (pincode) {
-    try {
-      // Use a geocoding service to convert pincode to coordinates
-      // For now, we'll search by pincode field directly
+    place = geocoderService.lookup(pincode);
+
+    if (!place) {
+      // Pincode missing from the dataset: the best we can do is an exact match
       const distributors = await Distributor.find({
-        pincode: pincode,
+        $or: [{ pincode: pincode }, { 'serviceAreas.pincodes': pincode }],
         isApproved: true,
         isActive: true
-      }).select('-password -resetPasswordToken -resetPasswordExpiry -verificationToken -bankAccountNumber -bankIFSC -failedLoginAttempts -lockUntil')
+      }).select(PUBLIC_SELECT)
         .sort('-rating');
 
       return res.status(200).json({
         success: true,
         count: distributors.length,
-        distributors
-      });
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        error: 'Error searching by pincode'
+        distributors: distributors.map(withStoreStatus)
       });
     }
+
+    coordinates = place.coordinates;
   }
   else {
     return res.status(400).json({
@@ -62,56 +83,106 @@ exports.getNearbyDistributors = asyncHandler(async (req, res) => {
     });
   }
 
-  // If we have coordinates, do geospatial search
-  if (coordinates) {
-    const maxDistanceInMeters = distance * 1000; // Convert km to meters
-
-    const distributors = await Distributor.aggregate([
-      {
-        $geoNear: {
-          near: {
-            type: 'Point',
-            coordinates: coordinates
-          },
-          distanceField: 'distance',
-          maxDistance: maxDistanceInMeters,
-          spherical: true,
-          query: {
-            isApproved: true,
-            isActive: true
-          }
-        }
-      },
-      {
-        $addFields: {
-          distance: {
-            $divide: ['$distance', 1000] // Convert meters to km
-          }
+  const maxDistanceInMeters = distance * 1000; // Convert km to meters
+
+  // Radius-based distributors within the search distance...
+  const nearby = await Distributor.aggregate([
+    {
+      $geoNear: {
+        key: 'location',
+        near: {
+          type: 'Point',
+          coordinates: coordinates
+        },
+        distanceField: 'distance',
+        maxDistance: maxDistanceInMeters,
+        spherical: true,
+        query: {
+          isApproved: true,
+          isActive: true,
+          'serviceAreas.0': { $exists: false }
         }
-      },
-      {
-        $project: {
-          password: 0,
-          resetPasswordToken: 0,
-          resetPasswordExpiry: 0,
-          verificationToken: 0,
-          bankAccountNumber: 0,
-          bankIFSC: 0,
-          failedLoginAttempts: 0,
-          lockUntil: 0
+      }
+    },
+    {
+      $addFields: {
+        distance: {
+          $divide: ['$distance', 1000] // Convert meters to km
         }
-      },
-      {
-        $sort: { distance: 1, rating: -1 }
       }
-    ]);
+    },
+    {
+      $project: PUBLIC_PROJECTION
+    }
+  ]);
 
-    return res.status(200).json({
-      success: true,
-      count: distributors.length,
-      distributors
-    });
+  // ...plus distributors whose service areas cover the pincode or point
+  const covering = await serviceabilityService.findCoveringDistributors(
+    coordinates,
+    place && place.pincode,
+    PUBLIC_SELECT
+  );
+
+  const distributors = [...nearby, ...covering].sort((a, b) =>
+    (a.distance ?? Infinity) - (b.distance ?? Infinity) || (b.rating || 0) - (a.rating || 0)
+  );
+
+  res.status(200).json({
+    success: true,
+    count: distributors.length,
+    ...(place && {
+      searchLocation: { pincode: place.pincode, district: place.district, state: place.state }
+    }),
+    distributors: distributors.map(withStoreStatus)
+  });
+});
+
+// @desc    Check whether a distributor delivers to a pincode
+// @route   GET /api/users/distributors/:id/serviceability?pincode=
+// @access  Public
+exports.checkServiceability = asyncHandler(async (req, res) => {
+  const { pincode } = req.query;
+
+  if (!/^\d{6}$/.test(pincode || '')) {
+    throw new ValidationError('Please provide a valid 6-digit pincode');
   }
+
+  const distributor = await Distributor.findOne({
+    _id: req.params.id,
+    isApproved: true,
+    isActive: true
+  }).select(`businessName pincode location serviceRadius serviceAreas ${storeHoursService.statusFields}`);
+
+  if (!distributor) {
+    throw new NotFoundError('Distributor not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    distributor: distributor._id,
+    ...serviceabilityService.checkPincode(distributor, pincode),
+    storeStatus: storeHoursService.getStatus(distributor)
+  });
+});
+
+// @desc    Look up district/state for a pincode (address form autofill)
+// @route   GET /api/users/pincodes/:pincode
+// @access  Public
+exports.lookupPincode = asyncHandler(async (req, res) => {
+  const place = geocoderService.lookup(req.params.pincode);
+
+  if (!place) {
+    throw new NotFoundError('Pincode not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    pincode: place.pincode,
+    district: place.district,
+    state: place.state,
+    localities: place.localities,
+    location: { lat: place.lat, lng: place.lng }
+  });
 });
 
 // @desc    Get single distributor profile (public)
@@ -122,7 +193,7 @@ exports.getDistributorProfile = asyncHandler(async (req, res) => {
     _id: req.params.id,
     isApproved: true,
     isActive: true
-  }).select('-password -resetPasswordToken -resetPasswordExpiry -verificationToken -bankAccountNumber -bankIFSC -failedLoginAttempts -lockUntil');
+  }).select(PUBLIC_SELECT);
 
   if (!distributor) {
     return res.status(404).json({
@@ -133,6 +204,6 @@ exports.getDistributorProfile = asyncHandler(async (req, res) => {
 
   res.status(200).json({
     success: true,
-    distributor
+    distributor: withStoreStatus(distributor)
   });
 });
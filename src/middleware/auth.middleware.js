@@ -1,9 +1,16 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Distributor = require('../models/Distributor');
+const DistributorStaff = require('../models/DistributorStaff');
+const sessionService = require('../services/session.service');
+const authService = require('../services/auth.service');
+const accountService = require('../services/account.service');
+const onboardingService = require('../services/onboarding.service');
 const { AuthenticationError, AuthorizationError } = require('../utils/errors');
+const { DISTRIBUTOR_PERMISSIONS, ADMIN_ROLE_PERMISSIONS, DEFAULT_ADMIN_ROLE } = require('../config/permissions');
 
-const protect = async (req, res, next) => {
+// allowUnapproved: let distributors awaiting approval through (onboarding routes such as KYC uploads)
+const authenticate = ({ allowUnapproved = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -25,8 +32,18 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // SECURITY: Reject access tokens whose session was revoked (logout, device sign-out, token reuse)
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid))) {
+      throw new AuthenticationError('Session has been revoked. Please login again');
+    }
+
     // Fetch user based on role with password explicitly excluded
-    if (decoded.role === 'distributor') {
+    // Staff act on behalf of their distributor: req.user is the distributor, req.staff the staff member
+    if (decoded.role === 'distributor_staff') {
+      req.staff = await DistributorStaff.findById(decoded.id);
+      req.user = req.staff ? await Distributor.findById(req.staff.distributor) : null;
+      req.userModel = 'Distributor';
+    } else if (decoded.role === 'distributor') {
       req.user = await Distributor.findById(decoded.id).select('+password').select('-password');
       req.userModel = 'Distributor';
     } else {
@@ -34,37 +51,63 @@ const protect = async (req, res, next) => {
       req.userModel = 'User';
     }
 
+    // The signed-in principal (the staff member for staff logins, otherwise the user itself)
+    req.account = req.staff || req.user;
+
     // Check if user exists
-    if (!req.user) {
+    if (!req.user || !req.account) {
       throw new AuthenticationError('User no longer exists');
     }
 
     // SECURITY: Check if user is active
-    if (!req.user.isActive) {
+    if (!req.account.isActive) {
       throw new AuthorizationError('Your account has been deactivated');
     }
 
+    if (req.staff && !req.user.isActive) {
+      throw new AuthorizationError('Your distributor account has been deactivated');
+    }
+
     // SECURITY: Check if account is locked
-    if (req.user.isLocked) {
+    if (req.account.isLocked) {
       throw new AuthorizationError('Your account is temporarily locked due to multiple failed login attempts');
     }
 
-    // SECURITY: Check if distributor is approved (only for distributors)
-    if (decoded.role === 'distributor' && !req.user.isApproved) {
-      throw new AuthorizationError('Your distributor account is pending approval');
+    // SECURITY: Check if distributor is approved (for distributors and their staff)
+    const approvalRequired = req.staff || (decoded.role === 'distributor' && !allowUnapproved);
+    if (approvalRequired && !req.user.isApproved) {
+      throw new AuthorizationError(onboardingService.accessDeniedMessage(req.user));
     }
 
     // SECURITY: Check if password was changed after token was issued
-    if (req.user.lastPasswordChange) {
-      const passwordChangedAt = parseInt(req.user.lastPasswordChange.getTime() / 1000, 10);
+    if (req.account.lastPasswordChange) {
+      const passwordChangedAt = parseInt(req.account.lastPasswordChange.getTime() / 1000, 10);
       if (decoded.iat < passwordChangedAt) {
         throw new AuthenticationError('Password was recently changed. Please login again');
       }
     }
 
-    // Add user role to request for easy access
-    req.user.role = decoded.role;  // CRITICAL: Set role on req.user object
-    req.userRole = decoded.role;
+    // Add user role to request for easy access (staff use distributor routes)
+    const role = req.staff ? 'distributor' : decoded.role;
+    req.user.role = role;  // CRITICAL: Set role on req.user object
+    req.userRole = role;
+    req.sessionId = decoded.sid;
+
+    // Permissions checked by role.middleware requirePermission()
+    if (req.staff) {
+      req.permissions = req.staff.permissions;
+    } else if (role === 'distributor') {
+      req.permissions = DISTRIBUTOR_PERMISSIONS;
+    } else if (role === 'admin') {
+      req.permissions = ADMIN_ROLE_PERMISSIONS[req.user.adminRole || DEFAULT_ADMIN_ROLE] || [];
+    } else {
+      req.permissions = [];
+    }
+
+    // Who performed the action, for history/attribution
+    req.actor = req.staff
+      ? { id: req.staff._id, model: 'DistributorStaff', name: req.staff.name }
+      : { id: req.user._id, model: req.userModel, name: req.user.name || req.user.businessName };
 
     next();
   } catch (error) {
@@ -80,6 +123,9 @@ const protect = async (req, res, next) => {
   }
 };
 
+const protect = authenticate();
+const protectAllowUnapproved = authenticate({ allowUnapproved: true });
+
 // ENHANCEMENT: Optional authentication (doesn't throw error if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -117,7 +163,46 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Accepts a normal session, or a 2FA setup challenge token issued by login when the
+// 2FA policy forces enrollment before the account's first session
+const protectTwoFactorSetup = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = authService.verifyChallengeToken(req.body.challengeToken, '2fa_setup');
+
+    if (decoded.role === 'distributor') {
+      req.user = await Distributor.findById(decoded.id);
+      req.userModel = 'Distributor';
+    } else {
+      req.user = await User.findById(decoded.id);
+      req.userModel = 'User';
+    }
+
+    // Accounts in the deletion grace period get here from login; finishing setup cancels it
+    if (!req.user || (!req.user.isActive && !accountService.isPendingDeletion(req.user))) {
+      throw new AuthenticationError('User no longer exists');
+    }
+
+    req.user.role = decoded.role;
+    req.userRole = decoded.role;
+    req.twoFactorChallenge = true;
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next(new AuthenticationError('Setup session expired. Please login again'));
+    }
+
+    next(error);
+  }
+};
+
 module.exports = {
   protect,
-  optionalAuth
+  protectAllowUnapproved,
+  optionalAuth,
+  protectTwoFactorSetup
 };
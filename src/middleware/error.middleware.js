@@ -30,6 +30,11 @@ const errorHandler = (err, req, res, next) => {
     error = new AppError(message, 400);
   }
 
+  // Multer upload errors (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    error = new AppError(err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message, 400);
+  }
+
   // JWT errors (if not already handled in auth middleware)
   if (err.name === 'JsonWebTokenError') {
     error = new AppError('Invalid token', 401);
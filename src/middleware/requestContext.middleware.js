@@ -0,0 +1,19 @@
+const { v4: uuidv4 } = require('uuid');
+const requestContext = require('../utils/requestContext');
+
+// Accept a caller-supplied request ID (e.g. from a load balancer) if it looks sane
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Assigns a request ID (echoed in the X-Request-Id header) and opens the request context
+const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  req.context = { requestId: req.id, req };
+  requestContext.run(req.context, next);
+};
+
+module.exports = {
+  requestId
+};
@@ -24,4 +24,39 @@ exports.restrictTo = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Requires every listed permission (see config/permissions.js). Permissions are
+// resolved by auth.middleware protect: distributor owners hold all distributor
+// permissions, staff hold only what their distributor granted.
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+
+    const granted = req.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+// Blocks staff from account-level actions that belong to the distributor owner
+// (profile, phone, password, two-factor settings)
+exports.accountOwnerOnly = (req, res, next) => {
+  if (req.staff) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is only available to the account owner'
+    });
+  }
+  next();
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a mutation made by an admin, distributor or distributor staff member.
+// Written by the audit plugin (utils/auditPlugin.js), never edited afterwards.
+const auditLogSchema = new mongoose.Schema({
+  // Who
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'actorModel',
+    required: true
+  },
+  actorModel: {
+    type: String,
+    enum: ['User', 'Distributor', 'DistributorStaff'],
+    required: true
+  },
+  actorName: String,
+  actorRole: String,
+
+  // What
+  action: {
+    type: String,
+    required: true  // e.g. 'user.update', 'coupon.delete'
+  },
+  targetModel: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+
+  // Request details
+  requestId: String,
+  method: String,
+  path: String,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// INDEXES for performance optimization
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const productImageSchema = require('./schemas/productImage');
+
+// Master catalog entry for a product sold by several distributors, such as
+// "UltraTech OPC 53 Grade 50kg". Distributors attach offers to it (Products with
+// catalogItem set) instead of each creating their own copy.
+const catalogItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  brand: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  modelNumber: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
+  },
+  unit: {
+    type: String,
+    required: true,
+    default: 'unit'
+  },
+  // Values for the category's attribute schema, as on Product
+  specifications: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  images: [productImageSchema],
+  // Inactive items take no new offers; existing offers stay listed
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+catalogItemSchema.index({ name: 'text', brand: 'text', modelNumber: 'text' });
+catalogItemSchema.index({ category: 1, isActive: 1 });
+// A brand's model is listed once
+catalogItemSchema.index(
+  { brand: 1, modelNumber: 1 },
+  {
+    unique: true,
+    collation: { locale: 'en', strength: 2 },
+    partialFilterExpression: { modelNumber: { $type: 'string' } }
+  }
+);
+
+// HOOK: Keep the primary image in step with the gallery
+catalogItemSchema.pre('validate', function(next) {
+  if (this.isModified('images')) {
+    this.image = this.images.length > 0 ? this.images[0].url : '';
+  }
+  next();
+});
+
+// PLUGIN: Audit log of admin changes
+catalogItemSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('CatalogItem', catalogItemSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const { ATTRIBUTE_TYPES } = require('../config/categories');
+
+// One product specification the category defines (see specification.service)
+const attributeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true
+  },
+  values: [String],   // enum
+  unit: String,       // number
+  min: Number,        // number
+  max: Number,        // number
+  required: {
+    type: Boolean,
+    default: false
+  },
+  filterable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  icon: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // HIERARCHY
+  // parent is null for top-level categories. ancestors lists the chain from the root
+  // down to the parent, so a subtree is { $or: [{ _id }, { ancestors: _id }] }.
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  level: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // SPECIFICATIONS
+  // Products in this category and its subcategories are described with these attributes
+  // (inherited attributes come first; a key is defined once along a branch)
+  attributes: [attributeSchema],
+
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Sibling names are unique (two "TMT Bars" under Steel would be ambiguous)
+categorySchema.index({ parent: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// PLUGIN: Audit log of admin changes
+categorySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const couponSchema = new mongoose.Schema({
   code: {
@@ -51,4 +52,7 @@ couponSchema.methods.isValid = function() {
          (this.usageLimit === null || this.usedCount < this.usageLimit);
 };
 
+// PLUGIN: Audit log of admin/distributor changes
+couponSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Coupon', couponSchema);
\ No newline at end of file
@@ -1,6 +1,141 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const auditPlugin = require('../utils/auditPlugin');
+const { KYC_DOCUMENT_TYPES } = require('../config/kyc');
+const { ONBOARDING_STATUSES, ONBOARDING_ACTIONS } = require('../config/onboarding');
+
+// KYC document. Each upload is reviewed by an admin; replacing the file restarts the review.
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: KYC_DOCUMENT_TYPES,
+    required: [true, 'Document type is required']
+  },
+  url: String,
+  publicId: String,  // Storage ID, used to build signed URLs and remove replaced files
+  resourceType: String,
+  fileName: String,
+  documentNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Document number cannot exceed 50 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  rejectionReason: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  expiresAt: Date,  // Licenses and certificates that lapse
+  expiryReminderSentAt: Date,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// GeoJSON polygon: coordinates[0] is the outer ring, further rings are holes
+const polygonSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Polygon'],
+    required: true
+  },
+  coordinates: {
+    type: [[[Number]]],
+    required: true
+  }
+}, { _id: false });
+
+// Named delivery area: a list of pincodes and/or a polygon (e.g. bounded by a river or highway)
+const serviceAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service area name is required'],
+    trim: true,
+    maxlength: [100, 'Service area name cannot exceed 100 characters']
+  },
+  pincodes: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: pincodes => pincodes.every(pincode => /^\d{6}$/.test(pincode)),
+      message: 'Service area pincodes must be 6-digit pincodes'
+    }
+  },
+  polygon: {
+    type: polygonSchema,
+    default: undefined
+  }
+});
+
+// Weekly opening slot in store-local time (a day may have several, e.g. around lunch)
+const businessHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    min: 0,  // Sunday
+    max: 6,
+    required: true
+  },
+  open: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be HH:mm'],
+    required: true
+  },
+  close: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be HH:mm'],
+    required: true
+  }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+  startDate: {
+    type: String,  // YYYY-MM-DD, store-local calendar date
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+// One step of the onboarding lifecycle, kept as history
+const onboardingEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ONBOARDING_ACTIONS,
+    required: true
+  },
+  from: String,
+  to: {
+    type: String,
+    enum: ONBOARDING_STATUSES,
+    required: true
+  },
+  reason: String,
+  changedBy: mongoose.Schema.Types.ObjectId,  // Admin (User) or the distributor itself
+  changedByRole: {
+    type: String,
+    enum: ['admin', 'distributor', 'system']
+  },
+  changedByName: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const distributorSchema = new mongoose.Schema({
   businessName: {
@@ -73,13 +208,38 @@ const distributorSchema = new mongoose.Schema({
       }
     }
   },
+  // 'pincode' = centroid from the offline geocoder, 'gps' = pin dropped by the distributor
+  locationSource: {
+    type: String,
+    enum: ['gps', 'pincode']
+  },
 
   // Business Details
   gstNumber: {
     type: String,
     sparse: true,
+    uppercase: true,
+    trim: true,
     match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, 'Please provide a valid GST number']
   },
+  panNumber: String,  // Extracted from the GSTIN
+  // Result of the last GSTIN check (checksum, state cross-check, registry lookup), see gstin.service
+  gstVerification: {
+    checksumValid: Boolean,
+    stateCode: String,
+    stateName: String,
+    stateMatches: Boolean,
+    lookupStatus: {
+      type: String,
+      enum: ['not_checked', 'found', 'not_found', 'error']
+    },
+    provider: String,
+    legalName: String,
+    tradeName: String,
+    registrationStatus: String,
+    registeredOn: Date,
+    checkedAt: Date
+  },
   businessLicense: String,
 
   // Bank Details for settlements
@@ -97,6 +257,30 @@ const distributorSchema = new mongoose.Schema({
     min: [1, 'Service radius must be at least 1 km'],
     max: [100, 'Service radius cannot exceed 100 km']
   },
+  // When set, these replace serviceRadius for nearby search and checkout
+  serviceAreas: [serviceAreaSchema],
+
+  // Operating hours (see storeHours.service). No hours set means always open.
+  businessHours: [businessHoursSchema],
+  holidays: [holidaySchema],
+  vacationMode: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    startedAt: Date,
+    until: Date,  // Open-ended when not set
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Vacation message cannot exceed 200 characters']
+    }
+  },
+  // Outside hours / on holidays: take orders and process them on reopening, or refuse them
+  acceptOrdersWhenClosed: {
+    type: Boolean,
+    default: true
+  },
 
   // Commission
   commission: {
@@ -125,7 +309,14 @@ const distributorSchema = new mongoose.Schema({
     immutable: true  // Cannot be changed
   },
 
-  // Approval workflow
+  // Approval workflow. isApproved mirrors onboardingStatus === 'approved' and is what
+  // access checks and public queries use. Accounts created before the lifecycle existed
+  // have no onboardingStatus; onboarding.service derives it from isApproved.
+  onboardingStatus: {
+    type: String,
+    enum: ONBOARDING_STATUSES
+  },
+  onboardingHistory: [onboardingEventSchema],
   isApproved: {
     type: Boolean,
     default: false
@@ -136,6 +327,8 @@ const distributorSchema = new mongoose.Schema({
   },
   approvedAt: Date,
   rejectionReason: String,
+  suspendedAt: Date,
+  suspensionReason: String,
 
   // Verification
   emailVerified: {
@@ -160,18 +353,31 @@ const distributorSchema = new mongoose.Schema({
   lastLogin: Date,
   lastPasswordChange: Date,
 
-  // Document uploads
-  documents: [{
-    type: {
-      type: String,
-      enum: ['business_license', 'gst_certificate', 'id_proof', 'address_proof', 'other']
-    },
-    url: String,
-    uploadedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // SECURITY ENHANCEMENTS: Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false  // Encrypted at rest, never returned in queries by default
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false  // Salted HMAC-SHA256 hashes, each usable once
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
+
+  // Document uploads (KYC)
+  documents: [documentSchema],
 
   // Profile
   profileImage: String,
@@ -180,6 +386,29 @@ const distributorSchema = new mongoose.Schema({
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
 
+  // Storefront (public at /api/stores/:slug)
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Store URL can only contain lowercase letters, numbers and hyphens']
+  },
+  previousSlugs: [String],  // Old store URLs keep resolving after a rename
+  logo: {
+    url: String,
+    publicId: String
+  },
+  banner: {
+    url: String,
+    publicId: String
+  },
+  featuredProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+
   isActive: {
     type: Boolean,
     default: true
@@ -190,16 +419,35 @@ const distributorSchema = new mongoose.Schema({
 
 // INDEXES for performance optimization
 distributorSchema.index({ location: '2dsphere' });
+distributorSchema.index({ 'serviceAreas.polygon': '2dsphere' });
+distributorSchema.index({ 'serviceAreas.pincodes': 1 });
 distributorSchema.index({ email: 1 });
 distributorSchema.index({ isApproved: 1, isActive: 1 });
+distributorSchema.index({ onboardingStatus: 1 });
+distributorSchema.index({ 'documents.status': 1, 'documents.expiresAt': 1 });
 distributorSchema.index({ pincode: 1 });
+distributorSchema.index({ phone: 1 });
 distributorSchema.index({ rating: -1 });
+distributorSchema.index({ previousSlugs: 1 });
 
 // VIRTUAL: Check if account is locked
 distributorSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// PRE-VALIDATE MIDDLEWARE: Give every distributor a storefront slug
+distributorSchema.pre('validate', async function(next) {
+  if (this.slug || !this.businessName) {
+    return next();
+  }
+
+  // Required lazily: the storefront service depends on this model
+  const storefrontService = require('../services/storefront.service');
+  this.slug = await storefrontService.generateSlug(this);
+
+  next();
+});
+
 // PRE-SAVE MIDDLEWARE: Hash password if modified
 distributorSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -280,4 +528,7 @@ distributorSchema.methods.updateRating = async function(newRating) {
   return this.save();
 };
 
+// PLUGIN: Audit log of admin/distributor changes
+distributorSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Distributor', distributorSchema);
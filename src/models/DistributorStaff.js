@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { STAFF_PERMISSIONS, STAFF_PRESETS } = require('../config/permissions');
+const auditPlugin = require('../utils/auditPlugin');
+
+const distributorStaffSchema = new mongoose.Schema({
+  distributor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distributor',
+    required: [true, 'Distributor is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    minlength: [2, 'Name must be at least 2 characters'],
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please provide a valid email']
+  },
+  password: {
+    type: String,
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false  // Set when the invitation is accepted
+  },
+  phone: {
+    type: String,
+    match: [/^[6-9]\d{9}$/, 'Please provide a valid 10-digit Indian phone number']
+  },
+
+  // Job title shown in the staff list (permissions are what actually grant access)
+  title: {
+    type: String,
+    enum: [...Object.keys(STAFF_PRESETS), 'custom'],
+    default: 'custom'
+  },
+  permissions: {
+    type: [String],
+    enum: STAFF_PERMISSIONS,
+    default: []
+  },
+
+  role: {
+    type: String,
+    default: 'distributor_staff',
+    immutable: true
+  },
+
+  // Invitation
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Distributor'
+  },
+  inviteToken: String,
+  inviteTokenExpiry: Date,
+  inviteAcceptedAt: Date,
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Security
+  resetPasswordToken: String,
+  resetPasswordExpiry: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lastLogin: Date,
+  lastPasswordChange: Date,
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+distributorStaffSchema.index({ email: 1 });
+distributorStaffSchema.index({ distributor: 1, isActive: 1 });
+
+// VIRTUAL: Check if account is locked
+distributorStaffSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// VIRTUAL: Invitation still waiting to be accepted
+distributorStaffSchema.virtual('isInvitePending').get(function() {
+  return !this.inviteAcceptedAt;
+});
+
+// PRE-SAVE MIDDLEWARE: Hash password if modified
+distributorStaffSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(12);
+  this.password = await bcrypt.hash(this.password, salt);
+  this.lastPasswordChange = Date.now();
+
+  next();
+});
+
+// METHOD: Compare password
+distributorStaffSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+// METHOD: Increment failed login attempts
+distributorStaffSchema.methods.incrementLoginAttempts = async function() {
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $set: { failedLoginAttempts: 1 },
+      $unset: { lockUntil: 1 }
+    });
+  }
+
+  const updates = { $inc: { failedLoginAttempts: 1 } };
+
+  if (this.failedLoginAttempts + 1 >= 5 && !this.lockUntil) {
+    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 };
+  }
+
+  return this.updateOne(updates);
+};
+
+// METHOD: Reset failed login attempts
+distributorStaffSchema.methods.resetLoginAttempts = async function() {
+  return this.updateOne({
+    $set: { failedLoginAttempts: 0, lastLogin: Date.now() },
+    $unset: { lockUntil: 1 }
+  });
+};
+
+// METHOD: Generate password reset token
+distributorStaffSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(resetToken)
+    .digest('hex');
+
+  this.resetPasswordExpiry = Date.now() + 10 * 60 * 1000;
+
+  return resetToken;
+};
+
+// METHOD: Generate invitation token
+distributorStaffSchema.methods.createInviteToken = function() {
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+
+  this.inviteToken = crypto
+    .createHash('sha256')
+    .update(inviteToken)
+    .digest('hex');
+
+  // Invitation expires in 7 days
+  this.inviteTokenExpiry = Date.now() + 7 * 24 * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
+// PLUGIN: Audit log of admin/distributor changes
+distributorStaffSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('DistributorStaff', distributorStaffSchema);
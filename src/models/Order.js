@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const auditPlugin = require('../utils/auditPlugin');
+const priceTierSchema = require('./schemas/priceTier');
 
 const shippingAddressSchema = new mongoose.Schema({
   fullName: {
@@ -74,6 +76,22 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: [0, 'Price cannot be negative']
     },
+    // Unit price before quantity breaks, and the tier `price` came from (null at the base price)
+    basePrice: Number,
+    priceTier: {
+      type: priceTierSchema,
+      default: null
+    },
+    // Variant bought (for products sold in variants), with its SKU and options at order time
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    sku: String,
+    variantOptions: {
+      type: Map,
+      of: String
+    },
     name: String,  // Store product name for historical record
     image: String  // Store product image for historical record
   }],
@@ -115,6 +133,8 @@ const orderSchema = new mongoose.Schema({
     type: shippingAddressSchema,
     required: [true, 'Shipping address is required']
   },
+  // Placed while the distributor was closed: when the distributor reopens to handle it
+  expectedProcessingDate: Date,
 
   // Payment details
   paymentMethod: {
@@ -165,8 +185,9 @@ const orderSchema = new mongoose.Schema({
     },
     updatedByModel: {
       type: String,
-      enum: ['User', 'Distributor']
-    }
+      enum: ['User', 'Distributor', 'DistributorStaff']
+    },
+    updatedByName: String  // Snapshot of who made the change, for display
   }],
 
   // Delivery tracking
@@ -194,7 +215,7 @@ const orderSchema = new mongoose.Schema({
   },
   cancelledByModel: {
     type: String,
-    enum: ['User', 'Distributor']
+    enum: ['User', 'Distributor', 'DistributorStaff']
   },
 
   // Additional information
@@ -256,8 +277,9 @@ orderSchema.virtual('isCompleted').get(function() {
 });
 
 // PRE-SAVE MIDDLEWARE: Add to status history when status changes
+// (skipped when a model method already recorded an attributed entry)
 orderSchema.pre('save', function(next) {
-  if (this.isModified('orderStatus')) {
+  if (this.isModified('orderStatus') && !this.$locals.statusHistoryRecorded) {
     this.statusHistory.push({
       status: this.orderStatus,
       timestamp: new Date(),
@@ -267,6 +289,11 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// POST-SAVE MIDDLEWARE: Clear the attributed-history flag for the next save
+orderSchema.post('save', function() {
+  this.$locals.statusHistoryRecorded = false;
+});
+
 // PRE-SAVE MIDDLEWARE: Validate totalAmount calculation
 orderSchema.pre('save', function(next) {
   // Skip validation if only status-related fields are being updated
@@ -309,7 +336,7 @@ orderSchema.methods.cancel = async function(reason, cancelledBy, cancelledByMode
 };
 
 // METHOD: Update status with history
-orderSchema.methods.updateStatus = async function(newStatus, note, updatedBy, updatedByModel) {
+orderSchema.methods.updateStatus = async function(newStatus, note, updatedBy, updatedByModel, updatedByName) {
   // Allow distributors to move forward to any future status or cancel
   const statusOrder = ['pending', 'confirmed', 'processing', 'shipped', 'delivered'];
   const currentIndex = statusOrder.indexOf(this.orderStatus);
@@ -343,14 +370,17 @@ orderSchema.methods.updateStatus = async function(newStatus, note, updatedBy, up
     timestamp: new Date(),
     note: note || `Status updated to ${newStatus}`,
     updatedBy,
-    updatedByModel
+    updatedByModel,
+    updatedByName
   });
+  this.$locals.statusHistoryRecorded = true;
 
   return this.save();
 };
 
 // METHOD: Approve order with delivery price
-orderSchema.methods.approveOrder = async function(distributorId, deliveryCharge) {
+// actor ({ id, model, name }) is who approved it - the distributor or one of their staff
+orderSchema.methods.approveOrder = async function(distributorId, deliveryCharge, actor) {
   if (this.approvalStatus !== 'pending') {
     throw new Error('Order has already been approved or rejected');
   }
@@ -370,11 +400,21 @@ orderSchema.methods.approveOrder = async function(distributorId, deliveryCharge)
     this.orderStatus = 'confirmed';
   }
 
+  this.statusHistory.push({
+    status: this.orderStatus,
+    timestamp: new Date(),
+    note: 'Order approved by distributor',
+    updatedBy: actor ? actor.id : distributorId,
+    updatedByModel: actor ? actor.model : 'Distributor',
+    updatedByName: actor ? actor.name : undefined
+  });
+  this.$locals.statusHistoryRecorded = true;
+
   return this.save();
 };
 
 // METHOD: Reject order
-orderSchema.methods.rejectOrder = async function(distributorId, reason) {
+orderSchema.methods.rejectOrder = async function(distributorId, reason, actor) {
   if (this.approvalStatus !== 'pending') {
     throw new Error('Order has already been approved or rejected');
   }
@@ -384,10 +424,23 @@ orderSchema.methods.rejectOrder = async function(distributorId, reason) {
   this.approvedBy = distributorId;
   this.orderStatus = 'cancelled';
   this.cancelledAt = new Date();
-  this.cancelledBy = distributorId;
-  this.cancelledByModel = 'Distributor';
+  this.cancelledBy = actor ? actor.id : distributorId;
+  this.cancelledByModel = actor ? actor.model : 'Distributor';
+
+  this.statusHistory.push({
+    status: 'cancelled',
+    timestamp: new Date(),
+    note: `Order rejected by distributor: ${reason}`,
+    updatedBy: this.cancelledBy,
+    updatedByModel: this.cancelledByModel,
+    updatedByName: actor ? actor.name : undefined
+  });
+  this.$locals.statusHistoryRecorded = true;
 
   return this.save();
 };
 
+// PLUGIN: Audit log. Registered after the status history hook so the history entry is in the diff
+orderSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Order', orderSchema);
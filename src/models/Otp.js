@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One pending OTP per phone and purpose. The code itself is never stored, only its HMAC.
+const otpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true,
+    match: [/^[6-9]\d{9}$/, 'Please provide a valid 10-digit Indian phone number']
+  },
+  purpose: {
+    type: String,
+    enum: ['verify_phone', 'login'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+// TTL: MongoDB removes OTPs once they expire
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Otp', otpSchema);
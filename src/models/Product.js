@@ -1,4 +1,54 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const productImageSchema = require('./schemas/productImage');
+const priceTierSchema = require('./schemas/priceTier');
+
+// One purchasable version of a product, e.g. TMT bars in 12mm
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  // Value for each of the product's option axes: { Diameter: '12mm' }
+  options: {
+    type: Map,
+    of: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  priceTiers: [priceTierSchema],
+  stock: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  minQuantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  maxQuantity: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  image: {
+    type: String,
+    default: ''
+  },
+  imagePublicId: String,  // Storage key of an uploaded image, deleted when it is replaced
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -6,6 +56,21 @@ const productSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Distributor's own code for a product without variants (variants carry their own);
+  // bulk imports match rows on it
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  brand: {
+    type: String,
+    trim: true
+  },
+  modelNumber: {
+    type: String,
+    trim: true
+  },
   description: {
     type: String,
     required: true
@@ -15,15 +80,22 @@ const productSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Lower unit prices from a quantity up, e.g. [{ minQuantity: 100, price: 360 }]. Products
+  // with variants have them per variant instead.
+  priceTiers: [priceTierSchema],
   category: {
-    type: String,
-    required: true,
-    enum: ['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other']
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
   },
+  // Primary image URL, kept equal to images[0].url (products from before the gallery
+  // may only have this)
   image: {
     type: String,
     default: ''
   },
+  // Gallery in display order; the first image is the primary one
+  images: [productImageSchema],
   stock: {
     type: Number,
     required: true,
@@ -71,6 +143,46 @@ const productSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+
+  // Values for the category's attribute schema: { grade: 'OPC 53', isi_marked: true }
+  specifications: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+
+  // VARIANTS
+  // Option axes such as [{ name: 'Diameter', values: ['8mm', '10mm', '12mm'] }] and one
+  // variant per combination sold. With variants, price and stock above are derived
+  // (lowest active price, total stock) so listings, filters and sorting keep working.
+  options: [{
+    _id: false,
+    name: { type: String, required: true, trim: true },
+    values: [{ type: String, trim: true }]
+  }],
+  variants: [variantSchema],
+
+  // OFFER
+  // A product linked to a master catalog item is one distributor's offer for it: name,
+  // brand, description, category, unit, specifications and images are copied from the
+  // item (see catalog.service) and price, stock and delivery terms are the distributor's.
+  catalogItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CatalogItem'
+  },
+  // Quoted delivery terms, used to compare offers by landed price. The charge on an order
+  // is still confirmed by the distributor when approving it.
+  delivery: {
+    charge: { type: Number, min: 0, default: 0 },
+    freeAbove: { type: Number, min: 0, default: null },  // Order value with free delivery
+    days: { type: Number, min: 0, default: null }        // Usual days to deliver
+  },
+
+  // Hidden from buyers while the distributor is suspended; isActive is left as the distributor set it
+  distributorSuspended: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -78,6 +190,40 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ category: 1 });
 productSchema.index({ distributor: 1 });
+productSchema.index({ distributorSuspended: 1, isActive: 1 });
 productSchema.index({ name: 'text', description: 'text' });
+productSchema.index({ 'specifications.$**': 1 });
+// One offer per distributor for a catalog item
+productSchema.index(
+  { catalogItem: 1, distributor: 1 },
+  { unique: true, partialFilterExpression: { catalogItem: { $exists: true } } }
+);
+// SKUs are unique within a distributor's catalog
+productSchema.index(
+  { distributor: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+  { distributor: 1, 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// HOOK: Keep the primary image and product-level price and stock in step with the
+// gallery and the variants
+productSchema.pre('validate', function(next) {
+  if (this.isModified('images')) {
+    this.image = this.images.length > 0 ? this.images[0].url : '';
+  }
+
+  if (this.variants && this.variants.length > 0) {
+    const active = this.variants.filter(variant => variant.isActive);
+    this.price = Math.min(...(active.length > 0 ? active : this.variants).map(variant => variant.price));
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
+// PLUGIN: Audit log of admin/distributor changes
+productSchema.plugin(auditPlugin);
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One document per signed-in device. The refresh token rotates on every use;
+// previously issued hashes are kept so reuse of a stolen token can be detected.
+const sessionSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'accountModel',
+    required: true
+  },
+  accountModel: {
+    type: String,
+    enum: ['User', 'Distributor', 'DistributorStaff'],
+    required: true
+  },
+  role: {
+    type: String,
+    required: true
+  },
+
+  // Token family: every refresh token rotated out of the same login shares it
+  family: {
+    type: String,
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  usedTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+
+  // Device details
+  device: String,
+  ip: String,
+  userAgent: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_change', 'account_disabled', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+// INDEXES for performance optimization
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ account: 1, revokedAt: 1 });
+sessionSchema.index({ family: 1 });
+// TTL: MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// VIRTUAL: Check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// METHOD: Revoke session
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
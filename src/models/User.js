@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const { ADMIN_ROLES } = require('../config/permissions');
+const auditPlugin = require('../utils/auditPlugin');
 
 const addressSchema = new mongoose.Schema({
   fullName: {
@@ -57,7 +59,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Anonymized accounts (see account.service) have no password
+    required: [function() { return !this.anonymizedAt; }, 'Password is required'],
     minlength: [8, 'Password must be at least 8 characters'],
     select: false  // SECURITY FIX: Password never returned in queries by default
   },
@@ -71,6 +74,11 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'distributor', 'admin'],
     default: 'user'
   },
+  // Admin sub-role (only meaningful when role is 'admin'), see config/permissions.js
+  adminRole: {
+    type: String,
+    enum: ADMIN_ROLES
+  },
   addresses: [addressSchema],
   location: {
     type: {
@@ -101,6 +109,11 @@ const userSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Product variant (_id in product.variants), for products sold in variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
     quantity: {
       type: Number,
       default: 1,
@@ -117,6 +130,12 @@ const userSchema = new mongoose.Schema({
   verificationToken: String,
   verificationTokenExpiry: Date,
 
+  // Phone verification (OTP)
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+
   // SECURITY ENHANCEMENTS: Password reset
   resetPasswordToken: String,
   resetPasswordExpiry: Date,
@@ -130,6 +149,29 @@ const userSchema = new mongoose.Schema({
   lastLogin: Date,
   lastPasswordChange: Date,
 
+  // SECURITY ENHANCEMENTS: Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false  // Encrypted at rest, never returned in queries by default
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false  // Salted HMAC-SHA256 hashes, each usable once
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorEnabledAt: Date,
+
   // ADDITIONAL FIELDS
   profileImage: {
     type: String,
@@ -139,7 +181,12 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+
+  // Account deletion (DPDP): deactivated on request, anonymized after the grace period
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  anonymizedAt: Date
 }, {
   timestamps: true
 });
@@ -149,6 +196,8 @@ userSchema.index({ location: '2dsphere' });
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1, isActive: 1 });
 userSchema.index({ 'addresses.pincode': 1 });
+userSchema.index({ phone: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
 
 // VIRTUAL: Check if account is locked
 userSchema.virtual('isLocked').get(function() {
@@ -254,4 +303,7 @@ userSchema.methods.createVerificationToken = function() {
   return verificationToken;
 };
 
+// PLUGIN: Audit log of admin/distributor changes
+userSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Quantity break: `price` per unit from `minQuantity` units up (see services/pricing.service.js)
+const priceTierSchema = new mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 2
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+module.exports = priceTierSchema;
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Gallery image with its derived sizes (see services/productImage.service.js), used by
+// products and catalog items
+const productImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  thumbnailUrl: String,
+  mediumUrl: String,
+  width: Number,
+  height: Number
+});
+
+module.exports = productImageSchema;
@@ -3,40 +3,131 @@ const router = express.Router();
 const adminController = require('../controllers/admin.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
+const { validators, validate, body } = require('../utils/validators');
+const { ADMIN_ROLES } = require('../config/permissions');
+const { ONBOARDING_ACTIONS } = require('../config/onboarding');
+const { upload } = require('../config/upload');
+const { MAX_PRODUCT_IMAGES } = require('../config/productImages');
 
-// All routes require authentication and admin role
+const { requirePermission } = roleMiddleware;
+
+// All routes require authentication and admin role.
+// Each route additionally requires a capability of the admin's sub-role (config/permissions.js)
 router.use(authMiddleware.protect);
 router.use(roleMiddleware.authorize('admin'));
 
 // Dashboard stats
-router.get('/stats', adminController.getAdminStats);
+router.get('/stats', requirePermission('stats:read'), adminController.getAdminStats);
 
 // User management
-router.get('/users', adminController.getAllUsers);
-router.put('/users/:userId', adminController.updateUser);
-router.delete('/users/:userId', adminController.deleteUser);
+router.get('/users', requirePermission('users:read'), adminController.getAllUsers);
+router.put('/users/:userId', requirePermission('users:write'), adminController.updateUser);
+router.delete('/users/:userId', requirePermission('users:delete'), adminController.deleteUser);
 
 // Distributor management
-router.get('/distributors', adminController.getAllDistributors);
-router.put('/distributors/:distributorId/approve', adminController.approveDistributor);
-router.put('/distributors/:distributorId', adminController.updateDistributor);
-router.delete('/distributors/:distributorId', adminController.deleteDistributor);
+router.get('/distributors', requirePermission('distributors:read'), adminController.getAllDistributors);
+router.put('/distributors/:distributorId/approve', requirePermission('distributors:approve'), adminController.approveDistributor);
+router.post('/distributors/:distributorId/status',
+  requirePermission('distributors:approve'),
+  validators.mongoId('distributorId'),
+  body('action').isIn(ONBOARDING_ACTIONS.filter(action => action !== 'resubmit'))
+    .withMessage('Action must be one of: start_review, approve, reject, suspend, reinstate'),
+  validate,
+  adminController.updateDistributorStatus
+);
+router.put('/distributors/:distributorId', requirePermission('distributors:write'), adminController.updateDistributor);
+router.get('/distributors/:distributorId/documents', requirePermission('distributors:read'), adminController.getDistributorDocuments);
+router.put('/distributors/:distributorId/documents/:documentId/review',
+  requirePermission('distributors:approve'),
+  validators.mongoId('distributorId'),
+  validators.mongoId('documentId'),
+  body('status').isIn(['verified', 'rejected']).withMessage('Status must be verified or rejected'),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  validate,
+  adminController.reviewDistributorDocument
+);
+router.post('/distributors/:distributorId/gstin/verify',
+  requirePermission('distributors:approve'),
+  validators.mongoId('distributorId'),
+  validate,
+  adminController.verifyDistributorGstin
+);
+router.delete('/distributors/:distributorId', requirePermission('distributors:delete'), adminController.deleteDistributor);
 
 // Product management
-router.get('/products', adminController.getAllProducts);
-router.delete('/products/:productId', adminController.deleteProduct);
+router.get('/products', requirePermission('products:read'), adminController.getAllProducts);
+router.delete('/products/:productId', requirePermission('products:delete'), adminController.deleteProduct);
+
+// Category management
+router.get('/categories', requirePermission('products:read'), adminController.getCategoryTree);
+router.post('/categories', requirePermission('categories:write'), adminController.createCategory);
+router.put('/categories/:categoryId', requirePermission('categories:write'), validators.mongoId('categoryId'), validate, adminController.updateCategory);
+router.delete('/categories/:categoryId', requirePermission('categories:write'), validators.mongoId('categoryId'), validate, adminController.deleteCategory);
+
+// Master catalog
+router.get('/catalog', requirePermission('products:read'), adminController.getCatalogItems);
+router.post('/catalog', requirePermission('catalog:write'), upload.array('images', MAX_PRODUCT_IMAGES), adminController.createCatalogItem);
+router.put('/catalog/:itemId', requirePermission('catalog:write'), validators.mongoId('itemId'), validate, adminController.updateCatalogItem);
+router.delete('/catalog/:itemId', requirePermission('catalog:write'), validators.mongoId('itemId'), validate, adminController.deleteCatalogItem);
+router.post('/catalog/:itemId/images',
+  requirePermission('catalog:write'),
+  upload.array('images', MAX_PRODUCT_IMAGES),
+  validators.mongoId('itemId'),
+  validate,
+  adminController.addCatalogItemImages
+);
+router.delete('/catalog/:itemId/images/:imageId',
+  requirePermission('catalog:write'),
+  validators.mongoId('itemId'),
+  validators.mongoId('imageId'),
+  validate,
+  adminController.deleteCatalogItemImage
+);
 
 // Coupon management
-router.post('/coupons', adminController.createCoupon);
-router.get('/coupons', adminController.getAllCoupons);
-router.put('/coupons/:couponId', adminController.updateCoupon);
-router.delete('/coupons/:couponId', adminController.deleteCoupon);
+router.post('/coupons', requirePermission('coupons:write'), adminController.createCoupon);
+router.get('/coupons', requirePermission('coupons:read'), adminController.getAllCoupons);
+router.put('/coupons/:couponId', requirePermission('coupons:write'), adminController.updateCoupon);
+router.delete('/coupons/:couponId', requirePermission('coupons:write'), adminController.deleteCoupon);
 
 // Order management
-router.get('/orders', adminController.getAllOrders);
-router.put('/orders/:orderId', adminController.updateOrderStatus);
+router.get('/orders', requirePermission('orders:read'), adminController.getAllOrders);
+router.put('/orders/:orderId', requirePermission('orders:write'), adminController.updateOrderStatus);
 
 // Transaction reports
-router.get('/transactions', adminController.getTransactionReports);
+router.get('/transactions', requirePermission('transactions:read'), adminController.getTransactionReports);
+router.get('/settlements', requirePermission('settlements:read'), adminController.getSettlementReport);
+
+// Audit log
+router.get('/audit-logs', requirePermission('audit:read'), adminController.getAuditLogs);
+router.get('/audit-logs/export', requirePermission('audit:read'), adminController.exportAuditLogs);
+
+// Admin account management (super-admin only)
+router.get('/admins', requirePermission('admins:manage'), adminController.getAllAdmins);
+router.post('/admins',
+  requirePermission('admins:manage'),
+  validators.name('name'),
+  validators.email(),
+  validators.password(),
+  validators.phone(),
+  body('adminRole').isIn(ADMIN_ROLES).withMessage(`Admin role must be one of: ${ADMIN_ROLES.join(', ')}`),
+  validate,
+  adminController.createAdmin
+);
+router.put('/admins/:adminId',
+  requirePermission('admins:manage'),
+  validators.mongoId('adminId'),
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+  body('adminRole').optional().isIn(ADMIN_ROLES).withMessage(`Admin role must be one of: ${ADMIN_ROLES.join(', ')}`),
+  body('isActive').optional().isBoolean({ strict: true }).withMessage('isActive must be a boolean value'),
+  validate,
+  adminController.updateAdmin
+);
+router.delete('/admins/:adminId',
+  requirePermission('admins:manage'),
+  validators.mongoId('adminId'),
+  validate,
+  adminController.deleteAdmin
+);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -8,10 +8,29 @@ const {
   addAddress,
   updateAddress,
   deleteAddress,
+  resendVerificationEmail,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  sendPhoneVerificationOtp,
+  verifyPhone,
+  sendLoginOtp,
+  setupTwoFactor,
+  confirmTwoFactor,
+  verifyTwoFactorLogin,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  refreshAccessToken,
+  getSessions,
+  revokeSession,
+  acceptStaffInvite,
+  exportMyData,
+  deleteMyAccount,
   logout
 } = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth.middleware');
-const { validators, validate, body } = require('../utils/validators');
+const { protect, protectTwoFactorSetup } = require('../middleware/auth.middleware');
+const { accountOwnerOnly } = require('../middleware/role.middleware');
+const { validators, validate, body, param } = require('../utils/validators');
 
 // @route   POST /api/auth/register
 // @desc    Register new user
@@ -26,20 +45,189 @@ router.post('/register',
 );
 
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user (email + password, or phone + OTP)
 // @access  Public
 router.post('/login',
+  body('email').if(body('phone').not().exists())
+    .trim()
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('password').if(body('phone').not().exists())
+    .notEmpty().withMessage('Password is required'),
+  body('phone').optional()
+    .trim()
+    .matches(/^[6-9]\d{9}$/).withMessage('Please provide a valid 10-digit Indian phone number'),
+  body('otp').if(body('phone').exists())
+    .matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
+  validate,
+  login
+);
+
+// @route   POST /api/auth/otp/send
+// @desc    Send login OTP to phone
+// @access  Public
+router.post('/otp/send',
+  validators.phone(),
+  validate,
+  sendLoginOtp
+);
+
+// @route   POST /api/auth/phone/send-otp
+// @desc    Send OTP to verify current account's phone
+// @access  Private
+router.post('/phone/send-otp', protect, accountOwnerOnly, sendPhoneVerificationOtp);
+
+// @route   POST /api/auth/phone/verify
+// @desc    Verify current account's phone with OTP
+// @access  Private
+router.post('/phone/verify',
+  protect,
+  accountOwnerOnly,
+  body('otp').matches(/^\d{6}$/).withMessage('OTP must be 6 digits'),
+  validate,
+  verifyPhone
+);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Resend email verification link
+// @access  Public
+router.post('/verify-email/resend',
   validators.email(),
+  validate,
+  resendVerificationEmail
+);
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address
+// @access  Public
+router.get('/verify-email/:token',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid verification token'),
+  validate,
+  verifyEmail
+);
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset link
+// @access  Public
+router.post('/forgot-password',
+  validators.email(),
+  validate,
+  forgotPassword
+);
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using emailed token
+// @access  Public
+router.post('/reset-password/:token',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid reset token'),
+  validators.password(),
+  validate,
+  resetPassword
+);
+
+// @route   POST /api/auth/staff/accept-invite/:token
+// @desc    Accept staff invitation and set password
+// @access  Public
+router.post('/staff/accept-invite/:token',
+  param('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid invitation token'),
+  validators.password(),
+  validate,
+  acceptStaffInvite
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP two-factor enrollment
+// @access  Private (or 2FA setup challenge token)
+router.post('/2fa/setup', protectTwoFactorSetup, accountOwnerOnly, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm TOTP enrollment, receive backup codes
+// @access  Private (or 2FA setup challenge token)
+router.post('/2fa/confirm',
+  protectTwoFactorSetup,
+  accountOwnerOnly,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  validate,
+  confirmTwoFactor
+);
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete login with TOTP or backup code
+// @access  Public (2FA login challenge token)
+router.post('/2fa/verify',
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('backupCode').not().exists())
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  body('backupCode').optional().trim().notEmpty().withMessage('Backup code cannot be empty'),
+  validate,
+  verifyTwoFactorLogin
+);
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Regenerate backup codes
+// @access  Private
+router.post('/2fa/backup-codes',
+  protect,
+  accountOwnerOnly,
+  body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+  validate,
+  regenerateBackupCodes
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable',
+  protect,
+  accountOwnerOnly,
   body('password').notEmpty().withMessage('Password is required'),
+  body('code').if(body('backupCode').not().exists())
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
   validate,
-  login
+  disableTwoFactor
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Rotate refresh token and issue new access token
+// @access  Public (refresh token cookie)
+router.post('/refresh', refreshAccessToken);
+
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear cookie)
+// @desc    Logout user (revoke session, clear cookies)
 // @access  Private
 router.post('/logout', protect, logout);
 
+// @route   GET /api/auth/sessions
+// @desc    List active sessions
+// @access  Private
+router.get('/sessions', protect, getSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a session
+// @access  Private
+router.delete('/sessions/:id',
+  protect,
+  validators.mongoId('id'),
+  validate,
+  revokeSession
+);
+
+// @route   POST /api/auth/me/export
+// @desc    Download all personal data of the account (JSON)
+// @access  Private
+router.post('/me/export', protect, accountOwnerOnly, exportMyData);
+
+// @route   DELETE /api/auth/me
+// @desc    Delete account (anonymized after grace period)
+// @access  Private
+router.delete('/me',
+  protect,
+  accountOwnerOnly,
+  body('password').notEmpty().withMessage('Password is required to delete your account'),
+  validate,
+  deleteMyAccount
+);
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -50,6 +238,7 @@ router.get('/profile', protect, getProfile);
 // @access  Private
 router.put('/profile',
   protect,
+  accountOwnerOnly,
   // Optional fields, only validate if present
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
   body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Invalid phone number'),
@@ -1,31 +1,162 @@
 const express = require('express');
 const router = express.Router();
 const distributorController = require('../controllers/distributor.controller');
+const staffController = require('../controllers/staff.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const roleMiddleware = require('../middleware/role.middleware');
-const { upload } = require('../config/cloudinary');
+const { upload, documentUpload, importUpload } = require('../config/upload');
+const { validators, validate, body } = require('../utils/validators');
+const { KYC_DOCUMENT_TYPES } = require('../config/kyc');
+const { MAX_PRODUCT_IMAGES } = require('../config/productImages');
 
-// All routes require authentication and distributor role
+const { requirePermission } = roleMiddleware;
+
+// Product forms: `image` is the primary image, `images` further gallery images
+const productImageUpload = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_PRODUCT_IMAGES }
+]);
+
+// KYC documents: open to distributors awaiting approval so they can complete onboarding
+router.get('/documents',
+  authMiddleware.protectAllowUnapproved,
+  roleMiddleware.authorize('distributor'),
+  distributorController.getDocuments
+);
+router.post('/documents',
+  authMiddleware.protectAllowUnapproved,
+  roleMiddleware.authorize('distributor'),
+  requirePermission('profile:write'),
+  documentUpload.single('document'),
+  body('type').isIn(KYC_DOCUMENT_TYPES).withMessage(`Document type must be one of: ${KYC_DOCUMENT_TYPES.join(', ')}`),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  validate,
+  distributorController.uploadDocument
+);
+router.put('/documents/:documentId',
+  authMiddleware.protectAllowUnapproved,
+  roleMiddleware.authorize('distributor'),
+  requirePermission('profile:write'),
+  documentUpload.single('document'),
+  validators.mongoId('documentId'),
+  body('expiresAt').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+  validate,
+  distributorController.replaceDocument
+);
+
+// Onboarding status, also open to distributors awaiting approval, rejected or suspended
+router.get('/onboarding',
+  authMiddleware.protectAllowUnapproved,
+  roleMiddleware.authorize('distributor'),
+  distributorController.getOnboarding
+);
+router.post('/onboarding/resubmit',
+  authMiddleware.protectAllowUnapproved,
+  roleMiddleware.authorize('distributor'),
+  requirePermission('profile:write'),
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters'),
+  validate,
+  distributorController.resubmitApplication
+);
+
+// All other routes require authentication and an approved distributor (owner or staff)
 router.use(authMiddleware.protect);
 router.use(roleMiddleware.authorize('distributor'));
 
 // Dashboard stats
-router.get('/stats', distributorController.getDistributorStats);
+router.get('/stats', requirePermission('stats:read'), distributorController.getDistributorStats);
 
 // Product management
-router.get('/products', distributorController.getDistributorProducts);
-router.post('/products', upload.single('image'), distributorController.addProduct);
-router.put('/products/:productId', upload.single('image'), distributorController.updateProduct);
-router.delete('/products/:productId', distributorController.deleteProduct);
+router.get('/products', requirePermission('products:read'), distributorController.getDistributorProducts);
+router.get('/products/export', requirePermission('products:read'), distributorController.exportProducts);
+router.get('/products/import/template', requirePermission('products:read'), distributorController.getImportTemplate);
+router.post('/products/import', requirePermission('products:write'), importUpload.single('file'), distributorController.importProducts);
+router.post('/products', requirePermission('products:write'), productImageUpload, distributorController.addProduct);
+router.put('/products/:productId', requirePermission('products:write'), productImageUpload, distributorController.updateProduct);
+router.put('/products/:productId/variants/:variantId/image',
+  requirePermission('products:write'),
+  upload.single('image'),
+  validators.mongoId('productId'),
+  validators.mongoId('variantId'),
+  validate,
+  distributorController.uploadVariantImage
+);
+router.post('/products/:productId/images',
+  requirePermission('products:write'),
+  upload.array('images', MAX_PRODUCT_IMAGES),
+  validators.mongoId('productId'),
+  validate,
+  distributorController.addProductImages
+);
+router.put('/products/:productId/images/order',
+  requirePermission('products:write'),
+  validators.mongoId('productId'),
+  body('imageIds').isArray({ min: 1 }).withMessage('imageIds must be a non-empty array'),
+  validate,
+  distributorController.reorderProductImages
+);
+router.put('/products/:productId/images/:imageId/primary',
+  requirePermission('products:write'),
+  validators.mongoId('productId'),
+  validators.mongoId('imageId'),
+  validate,
+  distributorController.setPrimaryProductImage
+);
+router.delete('/products/:productId/images/:imageId',
+  requirePermission('products:write'),
+  validators.mongoId('productId'),
+  validators.mongoId('imageId'),
+  validate,
+  distributorController.deleteProductImage
+);
+router.delete('/products/:productId', requirePermission('products:write'), distributorController.deleteProduct);
+
+// Master catalog: offer items other distributors sell too
+router.get('/catalog', requirePermission('products:read'), distributorController.getCatalog);
+router.post('/catalog/:itemId/offers',
+  requirePermission('products:write'),
+  validators.mongoId('itemId'),
+  validate,
+  distributorController.createCatalogOffer
+);
 
 // Order management
-router.get('/orders', distributorController.getDistributorOrders);
-router.put('/orders/:orderId', distributorController.updateOrderStatus);
-router.put('/orders/:orderId/approve', distributorController.approveOrder);
-router.put('/orders/:orderId/reject', distributorController.rejectOrder);
+router.get('/orders', requirePermission('orders:read'), distributorController.getDistributorOrders);
+router.put('/orders/:orderId', requirePermission('orders:status'), distributorController.updateOrderStatus);
+router.put('/orders/:orderId/approve', requirePermission('orders:approve'), distributorController.approveOrder);
+router.put('/orders/:orderId/reject', requirePermission('orders:approve'), distributorController.rejectOrder);
 
 // Profile management
 router.get('/profile', distributorController.getProfile);
-router.put('/profile', distributorController.updateProfile);
+router.put('/profile', requirePermission('profile:write'), distributorController.updateProfile);
+
+// Delivery service areas
+router.get('/service-areas', distributorController.getServiceAreas);
+router.post('/service-areas', requirePermission('profile:write'), distributorController.addServiceArea);
+router.put('/service-areas/:areaId',
+  requirePermission('profile:write'),
+  validators.mongoId('areaId'),
+  validate,
+  distributorController.updateServiceArea
+);
+router.delete('/service-areas/:areaId',
+  requirePermission('profile:write'),
+  validators.mongoId('areaId'),
+  validate,
+  distributorController.deleteServiceArea
+);
+
+// Storefront
+router.get('/storefront', distributorController.getStorefront);
+router.put('/storefront', requirePermission('profile:write'), distributorController.updateStorefront);
+router.put('/storefront/logo', requirePermission('profile:write'), upload.single('logo'), distributorController.uploadStoreImage('logo'));
+router.put('/storefront/banner', requirePermission('profile:write'), upload.single('banner'), distributorController.uploadStoreImage('banner'));
+
+// Staff management (owner only)
+router.get('/staff', requirePermission('staff:manage'), staffController.getStaff);
+router.post('/staff', requirePermission('staff:manage'), staffController.inviteStaff);
+router.put('/staff/:staffId', requirePermission('staff:manage'), staffController.updateStaff);
+router.post('/staff/:staffId/resend-invite', requirePermission('staff:manage'), staffController.resendInvite);
+router.delete('/staff/:staffId', requirePermission('staff:manage'), staffController.removeStaff);
 
 module.exports = router;
\ No newline at end of file
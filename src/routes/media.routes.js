@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const mediaController = require('../controllers/media.controller');
+
+// Files stored by the local storage driver (STORAGE_DRIVER=local)
+router.get('/private/*', mediaController.servePrivateFile);
+router.use(mediaController.servePublicFile);
+
+module.exports = router;
@@ -24,11 +24,13 @@ router.post('/apply-coupon', orderController.applyCoupon);
 // Distributor routes
 router.get('/distributor/orders', 
   roleMiddleware.authorize('distributor'),
+  roleMiddleware.requirePermission('orders:read'),
   orderController.getDistributorOrders
 );
 
 router.put('/distributor/orders/:orderId',
   roleMiddleware.authorize('distributor'),
+  roleMiddleware.requirePermission('orders:status'),
   orderController.updateOrderStatus
 );
 
@@ -8,6 +8,7 @@ const authMiddleware = require('../middleware/auth.middleware');
 // Public routes - NO authentication needed
 router.get('/', productController.getAllProducts);
 router.get('/categories', productController.getCategories);
+router.get('/categories/:categoryId/attributes', productController.getCategoryAttributes);
 router.get('/category/:categoryId', productController.getProductsByCategory);
 router.get('/distributor/:distributorId', productController.getProductsByDistributor);
 
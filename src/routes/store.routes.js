@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const storeController = require('../controllers/store.controller');
+
+// Public storefronts, resolved by slug
+router.get('/:slug', storeController.getStorefront);
+router.get('/:slug/products', storeController.getStoreProducts);
+
+module.exports = router;
@@ -6,5 +6,9 @@ const userController = require('../controllers/user.controller');
 router.get('/distributors', userController.getAllDistributors);
 router.get('/distributors/nearby', userController.getNearbyDistributors);
 router.get('/distributors/:id', userController.getDistributorProfile);
+router.get('/distributors/:id/serviceability', userController.checkServiceability);
+
+// Offline pincode lookup
+router.get('/pincodes/:pincode', userController.lookupPincode);
 
 module.exports = router;
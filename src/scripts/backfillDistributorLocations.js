@@ -0,0 +1,55 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Distributor = require('../models/Distributor');
+const geocoderService = require('../services/geocoder.service');
+
+// Sets `location` from the pincode for distributors registered without one, so they
+// appear in nearby searches. Distributors whose pincode isn't in the dataset are listed.
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const backfillDistributorLocations = async () => {
+  await connectDB();
+
+  try {
+    const distributors = await Distributor.find({
+      $or: [{ 'location.coordinates': { $exists: false } }, { 'location.coordinates': { $size: 0 } }]
+    }).select('businessName pincode location locationSource');
+
+    let updated = 0;
+    const unknown = [];
+
+    for (const distributor of distributors) {
+      const point = geocoderService.toPoint(distributor.pincode);
+
+      if (!point) {
+        unknown.push(`${distributor.businessName} (${distributor.pincode})`);
+        continue;
+      }
+
+      distributor.location = point;
+      distributor.locationSource = 'pincode';
+      await distributor.save({ validateBeforeSave: false });
+      updated++;
+    }
+
+    console.log(`Backfilled location for ${updated} of ${distributors.length} distributor(s)`);
+    if (unknown.length > 0) {
+      console.log(`Pincode not in dataset: ${unknown.join(', ')}`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling distributor locations:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillDistributorLocations();
@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Distributor = require('../models/Distributor');
+const storefrontService = require('../services/storefront.service');
+
+// Gives distributors created before storefronts existed a slug (new ones get it on save)
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const backfillStoreSlugs = async () => {
+  await connectDB();
+
+  try {
+    const distributors = await Distributor.find({ slug: { $exists: false } }).select('businessName city');
+
+    for (const distributor of distributors) {
+      const slug = await storefrontService.generateSlug(distributor);
+      await Distributor.updateOne({ _id: distributor._id }, { $set: { slug } });
+      console.log(`${distributor.businessName}: /api/stores/${slug}`);
+    }
+
+    console.log(`Assigned slugs to ${distributors.length} distributor(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error assigning store slugs:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillStoreSlugs();
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const geocoderService = require('../services/geocoder.service');
+
+// Builds the geocoder dataset (src/data/pincodes.json) from the India Post "All India Pincode
+// Directory" (data.gov.in): one row per post office with pincode, district, statename,
+// latitude, longitude. Reads the directory CSV, or the same directory as JSON records; without
+// an input it uses the copy in the india-pincode dependency. Runs on `npm install` (postinstall);
+// the output is not kept in git.
+// Usage: npm run build-pincodes -- [directory.csv|directory.json(.gz)] [output.json]
+const [input = null, output = path.join(__dirname, '..', 'data', 'pincodes.json')] = process.argv.slice(2);
+
+// Gzipped JSON copy of the directory bundled with the india-pincode package
+const packagedDirectory = () => {
+  try {
+    return path.join(path.dirname(require.resolve('india-pincode')), '..', 'data', 'pincodes.json.gz');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Abbreviated keys used by that copy, mapped to the directory's column names
+const JSON_COLUMNS = {
+  o: 'officename', p: 'pincode', i: 'district', s: 'statename', a: 'latitude', n: 'longitude',
+  r: 'regionname', v: 'divisionname'
+};
+
+// Minimal CSV line parser (quoted fields may contain commas)
+const parseLine = (line) => {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+
+  return fields.map(value => value.trim());
+};
+
+// The directory is upper case ("NEW DELHI"); store names in title case
+const titleCase = (value) => {
+  return value.toLowerCase().replace(/\b([a-z])/g, char => char.toUpperCase());
+};
+
+// "Connaught Place S.O" -> "Connaught Place"
+const localityName = (officeName) => {
+  return titleCase(officeName.replace(/\s+[BSH]\.?O\.?$/i, '').trim());
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// "NA" marks a missing value; "The Dadra And Nagar Haveli..." is listed without "The"
+const cleanName = (value) => {
+  const name = String(value || '').trim();
+  return /^n\.?a\.?$/i.test(name) ? '' : titleCase(name.replace(/^the\s+/i, ''));
+};
+
+// Postal divisions and regions are mostly named after their city ("Bangalore East Division",
+// "Gurgaon Division"), often under the city's older name; keep them as locality names
+const areaName = (name) => {
+  const area = cleanName(String(name || '').replace(/\b(division|region|circle)\b/gi, ''));
+  return area.length > 2 ? area : '';
+};
+
+const mostCommon = (counts) => {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+};
+
+const MAX_LOCALITIES = 20;
+
+// The directory's coordinates and labels are not always right: some offices share a junk
+// coordinate, some are placed hundreds of km away, a few carry another district's name.
+// A pincode's first three digits (its sorting district) are reliable, so offices are
+// checked against the centre of their pincode prefix (or, for places like Lakshadweep far
+// from the rest of their prefix, of their district).
+const MAX_PREFIX_KM = 250;
+// A latitude (or longitude) seen with this many different partners is a placeholder value
+const PLACEHOLDER_SPREAD = 60;
+
+// [lng, lat] median of points, so a few misplaced offices don't move it
+const centreOf = (points) => [median(points.map(point => point[0])), median(points.map(point => point[1]))];
+
+const nearest = (point, candidates) => {
+  return candidates.reduce((best, candidate) => {
+    const distance = geocoderService.distanceKm(point, candidate.centre);
+    return !best || distance < best.distance ? { ...candidate, distance } : best;
+  }, null);
+};
+
+// Post office rows of the directory CSV, keyed by lower-case column name
+async function* csvRows(file) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file) });
+  let columns = null;
+
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+
+    const fields = parseLine(line);
+    if (!columns) {
+      columns = fields.map(name => name.toLowerCase());
+      continue;
+    }
+
+    const row = {};
+    columns.forEach((name, i) => { row[name] = fields[i]; });
+    yield row;
+  }
+}
+
+// Post office rows of a JSON array of directory records
+function* jsonRows(file) {
+  const raw = fs.readFileSync(file);
+  const records = JSON.parse((file.endsWith('.gz') ? zlib.gunzipSync(raw) : raw).toString('utf8'));
+
+  for (const record of records) {
+    const row = {};
+    for (const [key, value] of Object.entries(record)) {
+      row[JSON_COLUMNS[key] || key.toLowerCase()] = value === null || value === undefined ? '' : String(value).trim();
+    }
+    yield row;
+  }
+}
+
+const buildPincodeDataset = async () => {
+  const file = input || packagedDirectory();
+  if (!file) {
+    console.error('Usage: npm run build-pincodes -- [directory.csv|directory.json(.gz)] [output.json]');
+    console.error('Without an input file, install dependencies first (npm install)');
+    process.exit(1);
+  }
+
+  const source = /\.json(\.gz)?$/i.test(file) ? jsonRows(file) : csvRows(file);
+  const groups = {};
+  let rows = 0;
+
+  for await (const row of source) {
+    rows++;
+
+    const pincode = row.pincode;
+    if (!/^\d{6}$/.test(pincode || '')) continue;
+
+    const group = groups[pincode] || (groups[pincode] = {
+      points: [], districts: {}, states: {}, localities: new Set(), areas: new Set()
+    });
+
+    const lat = parseFloat(row.latitude);
+    const lng = parseFloat(row.longitude);
+    // Some rows have missing or swapped/out-of-India coordinates
+    if (lat >= 6 && lat <= 38 && lng >= 68 && lng <= 98) {
+      group.points.push([lng, lat]);
+    }
+
+    const district = cleanName(row.district);
+    const state = cleanName(row.statename);
+    if (district) group.districts[district] = (group.districts[district] || 0) + 1;
+    if (state) group.states[state] = (group.states[state] || 0) + 1;
+    if (row.officename && group.localities.size < MAX_LOCALITIES) group.localities.add(localityName(row.officename));
+    for (const area of [areaName(row.divisionname), areaName(row.regionname), district]) {
+      if (area) group.areas.add(area);
+    }
+  }
+
+  // Coordinate values shared by offices all over the country
+  const partners = { lat: {}, lng: {} };
+  for (const group of Object.values(groups)) {
+    for (const [lng, lat] of group.points) {
+      (partners.lat[lat] = partners.lat[lat] || new Set()).add(lng);
+      (partners.lng[lng] = partners.lng[lng] || new Set()).add(lat);
+    }
+  }
+  const isPlaceholder = ([lng, lat]) => partners.lat[lat].size >= PLACEHOLDER_SPREAD || partners.lng[lng].size >= PLACEHOLDER_SPREAD;
+
+  // Prefix and district centres of all offices, then each pincode's offices near either
+  const prefixPoints = {};
+  const labelPoints = {};
+  for (const [pincode, group] of Object.entries(groups)) {
+    group.points = group.points.filter(point => !isPlaceholder(point));
+    group.district = Object.keys(group.districts).length ? mostCommon(group.districts) : null;
+    group.state = Object.keys(group.states).length ? mostCommon(group.states) : null;
+
+    const prefix = pincode.slice(0, 3);
+    (prefixPoints[prefix] = prefixPoints[prefix] || []).push(...group.points);
+    if (group.district && group.state) {
+      const key = `${group.district}|${group.state}`;
+      (labelPoints[key] = labelPoints[key] || []).push(...group.points);
+    }
+  }
+  const centresOf = (pointsByKey) => Object.fromEntries(
+    Object.entries(pointsByKey).filter(([, points]) => points.length > 0).map(([key, points]) => [key, centreOf(points)])
+  );
+  const prefixCentres = centresOf(prefixPoints);
+  const labelCentres = centresOf(labelPoints);
+
+  const districtPoints = {};
+  for (const [pincode, group] of Object.entries(groups)) {
+    const references = [
+      prefixCentres[pincode.slice(0, 3)],
+      group.district && group.state ? labelCentres[`${group.district}|${group.state}`] : null
+    ].filter(Boolean);
+    const points = group.points.filter(point =>
+      references.some(reference => geocoderService.distanceKm(point, reference) <= MAX_PREFIX_KM)
+    );
+
+    group.centre = points.length > 0 ? centreOf(points) : null;
+
+    if (group.centre && group.district && group.state) {
+      const key = `${group.district}|${group.state}`;
+      (districtPoints[key] = districtPoints[key] || []).push(group.centre);
+    }
+  }
+
+  const districts = Object.entries(districtPoints).map(([key, points]) => {
+    const [district, state] = key.split('|');
+    return { key, district, state, centre: centreOf(points) };
+  });
+  const districtCentres = Object.fromEntries(districts.map(entry => [entry.key, entry.centre]));
+
+  const pincodes = {};
+  let skipped = 0;
+  let relocated = 0;
+  let relabelled = 0;
+
+  for (const pincode of Object.keys(groups).sort()) {
+    const group = groups[pincode];
+    const prefixCentre = prefixCentres[pincode.slice(0, 3)];
+    const labelled = group.district && group.state ? districtCentres[`${group.district}|${group.state}`] : null;
+    let { centre, district, state } = group;
+
+    // No usable office coordinates: use the district centre, or the prefix centre
+    if (!centre && (labelled || prefixCentre)) {
+      centre = labelled || prefixCentre;
+      relocated++;
+    }
+
+    // Missing labels, or labels of a district far from the pincode: take the nearest
+    // district with offices under the same prefix
+    const mislabelled = centre && (!labelled || geocoderService.distanceKm(centre, labelled) > MAX_PREFIX_KM);
+    if (mislabelled) {
+      const candidates = districts.filter(entry => prefixCentre && geocoderService.distanceKm(entry.centre, prefixCentre) <= MAX_PREFIX_KM);
+      const match = nearest(centre, candidates);
+      if (match && match.distance <= MAX_PREFIX_KM) {
+        ({ district, state } = match);
+        relabelled++;
+      }
+    }
+
+    // A pincode without a location, district or state can't be geocoded
+    if (!centre || !district || !state) {
+      skipped++;
+      continue;
+    }
+
+    pincodes[pincode] = [
+      Number(centre[1].toFixed(4)),
+      Number(centre[0].toFixed(4)),
+      district,
+      state,
+      // Other districts of the pincode's offices, and division/region names, also count as its city
+      [...new Set([...group.localities, ...group.areas])].filter(name => name !== district)
+    ];
+  }
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, JSON.stringify({
+    source: `India Post pincode directory (${input ? path.basename(input) : 'india-pincode package'})`,
+    pincodes
+  }));
+
+  console.log(`Read ${rows} post offices; wrote ${Object.keys(pincodes).length} pincodes to ${output} (${skipped} skipped, ${relocated} placed at a district or prefix centre, ${relabelled} relabelled)`);
+};
+
+buildPincodeDataset().catch(error => {
+  console.error('Error building pincode dataset:', error.message);
+  process.exit(1);
+});
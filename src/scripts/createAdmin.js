@@ -2,6 +2,8 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
 
+// Bootstraps the first super-admin. Further admins are managed by a super-admin
+// through the API (/api/admin/admins).
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGODB_URI);
@@ -15,32 +17,38 @@ const connectDB = async () => {
 const createAdmin = async () => {
   await connectDB();
 
+  const email = process.env.ADMIN_EMAIL || 'admin@buildmat.com';
+  const password = process.env.ADMIN_PASSWORD || 'admin123';
+
   try {
-    const adminExists = await User.findOne({ email: 'admin@buildmat.com' });
+    const adminExists = await User.exists({ role: 'admin' });
     
     if (adminExists) {
-      console.log('Admin already exists!');
+      console.log('An admin already exists!');
+      console.log('Use POST /api/admin/admins as a super-admin to add more admins.');
       process.exit(0);
     }
 
-    const admin = await User.create({
-      name: 'Admin',
-      email: 'admin@buildmat.com',
-      password: 'admin123',
-      phone: '9999999999',
+    await User.create({
+      name: process.env.ADMIN_NAME || 'Admin',
+      email,
+      password,
+      phone: process.env.ADMIN_PHONE || '9999999999',
       role: 'admin',
-      pincode: '302001',
-      address: 'BuildAdda HQ, Jaipur',
+      adminRole: 'super_admin',
+      emailVerified: true,
       location: {
         type: 'Point',
         coordinates: [75.7873, 26.9124]
       }
     });
 
-    console.log('Admin created successfully!');
-    console.log('Email: admin@buildmat.com');
-    console.log('Password: admin123');
-    console.log('Please change the password after first login.');
+    console.log('Super-admin created successfully!');
+    console.log(`Email: ${email}`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.log(`Password: ${password}`);
+      console.log('Please change the password after first login.');
+    }
     
     process.exit(0);
   } catch (error) {
@@ -49,4 +57,4 @@ const createAdmin = async () => {
   }
 };
 
-createAdmin();
\ No newline at end of file
+createAdmin();
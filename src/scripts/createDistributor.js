@@ -38,6 +38,7 @@ const createDistributor = async () => {
         coordinates: [75.7873, 26.9124]
       },
       isApproved: true,
+      onboardingStatus: 'approved',
       isActive: true
     });
 
@@ -0,0 +1,49 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const categoryService = require('../services/category.service');
+
+// Moves products from the old category enum strings ('Cement', 'Steel', ...) to
+// Category references, creating the top-level categories first. Safe to re-run.
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const migrateCategories = async () => {
+  await connectDB();
+
+  try {
+    const categories = await categoryService.ensureDefaults();
+    console.log(`Top-level categories: ${[...categories.values()].map(c => c.name).join(', ')}`);
+
+    // Product.category is an ObjectId now, so the legacy strings are read and
+    // rewritten through the raw collection to avoid casting
+    const legacyNames = await Product.collection.distinct('category', { category: { $type: 'string' } });
+    let migrated = 0;
+
+    for (const name of legacyNames) {
+      const category = categories.get(name.toLowerCase()) || categories.get('other');
+      const result = await Product.collection.updateMany(
+        { category: name },
+        { $set: { category: category._id } }
+      );
+
+      migrated += result.modifiedCount;
+      console.log(`${name} -> ${category.name}: ${result.modifiedCount} product(s)`);
+    }
+
+    console.log(`Migrated ${migrated} product(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating categories:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const accountService = require('../services/account.service');
+
+// Anonymizes accounts whose deletion grace period has ended.
+// Schedule it daily, e.g. cron: 0 3 * * * npm run purge-deleted-accounts
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const purgeDeletedAccounts = async () => {
+  await connectDB();
+
+  try {
+    const count = await accountService.purgeExpiredDeletions();
+    console.log(`Anonymized ${count} deleted account(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error purging deleted accounts:', error.message);
+    process.exit(1);
+  }
+};
+
+purgeDeletedAccounts();
@@ -2,6 +2,7 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
 const Distributor = require('../models/Distributor');
+const categoryService = require('../services/category.service');
 
 const connectDB = async () => {
   try {
@@ -128,8 +129,12 @@ const seedProducts = async () => {
     await Product.deleteMany({});
     console.log('Existing products cleared');
 
+    // Sample products name a top-level default category
+    const categories = await categoryService.ensureDefaults();
+
     const productsToCreate = sampleProducts.map(product => ({
       ...product,
+      category: categories.get(product.category.toLowerCase())._id,
       distributor: distributor._id,
       isActive: true
     }));
@@ -139,7 +144,8 @@ const seedProducts = async () => {
     console.log(`${products.length} products created successfully!`);
     console.log('\nSample Products:');
     products.forEach(p => {
-      console.log(`- ${p.name} (${p.category}) - ₹${p.price}/${p.unit}`);
+      const category = sampleProducts.find(sample => sample.name === p.name).category;
+      console.log(`- ${p.name} (${category}) - ₹${p.price}/${p.unit}`);
     });
     
     process.exit(0);
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const kycService = require('../services/kyc.service');
+
+// Marks lapsed KYC documents as expired and emails reminders for documents expiring
+// within KYC_EXPIRY_REMINDER_DAYS. Schedule it daily, e.g. cron: 0 8 * * * npm run kyc-expiry-reminders
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const sendKycExpiryReminders = async () => {
+  await connectDB();
+
+  try {
+    const { expired, reminded } = await kycService.processExpiringDocuments();
+    console.log(`Marked ${expired} document(s) expired, sent ${reminded} expiry reminder(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error processing expiring documents:', error.message);
+    process.exit(1);
+  }
+};
+
+sendKycExpiryReminders();
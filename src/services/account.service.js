@@ -0,0 +1,222 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const Session = require('../models/Session');
+const Otp = require('../models/Otp');
+const AuditLog = require('../models/AuditLog');
+const sessionService = require('./session.service');
+const { ValidationError } = require('../utils/errors');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+
+// Orders in these states still need the customer's contact details
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+
+// Never included in a data export
+const EXPORT_EXCLUDED_FIELDS = [
+  '-password',
+  '-verificationToken',
+  '-verificationTokenExpiry',
+  '-resetPasswordToken',
+  '-resetPasswordExpiry',
+  '-failedLoginAttempts',
+  '-lockUntil',
+  '-__v'
+].join(' ');
+
+const ANONYMIZED_NAME = 'Deleted User';
+// Placeholders must pass the User and Order validators, so anonymized records can still be saved
+const ANONYMIZED_PHONE = '9000000000';
+const anonymizedEmail = (userId) => `deleted-${userId}@deleted.example.com`;
+
+// Personal fields in audit log snapshots of the account and of its orders
+const USER_PII_FIELDS = ['name', 'email', 'phone', 'addresses', 'location', 'profileImage'];
+const ORDER_PII_FIELDS = ['shippingAddress', 'deliveryNotes'];
+
+const unsetSnapshotFields = (fields) => Object.fromEntries(
+  fields.flatMap(field => [[`changes.before.${field}`, 1], [`changes.after.${field}`, 1]])
+);
+
+class AccountService {
+  get deletionGraceDays() {
+    return DELETION_GRACE_DAYS;
+  }
+
+  // Everything stored about a customer account, as one JSON document
+  async buildDataExport(userId) {
+    const [profile, orders, transactions, sessions] = await Promise.all([
+      User.findById(userId)
+        .select(EXPORT_EXCLUDED_FIELDS)
+        .populate('wishlist', 'name price')
+        .populate('cart.product', 'name price')
+        .lean(),
+      Order.find({ user: userId })
+        .populate('distributor', 'businessName')
+        .select('-razorpaySignature -__v')
+        .sort('-createdAt')
+        .lean(),
+      Transaction.find({ user: userId })
+        .select('-razorpaySignature -__v')
+        .sort('-createdAt')
+        .lean(),
+      Session.find({ account: userId })
+        .select('device ip userAgent createdAt lastUsedAt expiresAt revokedAt revokedReason')
+        .sort('-createdAt')
+        .lean()
+    ]);
+
+    const { addresses, cart, wishlist, ...account } = profile;
+
+    return {
+      exportedAt: new Date().toISOString(),
+      account,
+      addresses,
+      cart,
+      wishlist,
+      orders,
+      transactions,
+      sessions
+    };
+  }
+
+  // Deactivate now, anonymize once the grace period ends
+  async requestDeletion(user) {
+    const openOrders = await Order.countDocuments({
+      user: user._id,
+      orderStatus: { $in: OPEN_ORDER_STATUSES }
+    });
+
+    if (openOrders > 0) {
+      throw new ValidationError('You have orders in progress. Please wait until they are delivered or cancel them first');
+    }
+
+    user.isActive = false;
+    user.deletionRequestedAt = new Date();
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    await sessionService.revokeAllSessions(user._id, 'account_deleted');
+
+    return user.deletionScheduledFor;
+  }
+
+  // Signing in again during the grace period cancels the deletion
+  async cancelDeletion(user) {
+    user.isActive = true;
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  isPendingDeletion(user) {
+    return !!(user.deletionScheduledFor && !user.anonymizedAt && user.deletionScheduledFor > Date.now());
+  }
+
+  // Strip PII from the account and its orders. Orders and transactions themselves are
+  // kept (amounts, GST state, payment IDs) so the books still balance.
+  async anonymizeAccount(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.anonymizedAt) return false;
+
+    await Order.updateMany(
+      { user: userId },
+      {
+        $set: {
+          'shippingAddress.fullName': ANONYMIZED_NAME,
+          'shippingAddress.phone': ANONYMIZED_PHONE,
+          'shippingAddress.address': 'Redacted',
+          deliveryNotes: ''
+        }
+      }
+    );
+
+    // Names snapshotted in status history entries made by the customer
+    await Order.updateMany(
+      { user: userId, 'statusHistory.updatedBy': userId },
+      { $set: { 'statusHistory.$[entry].updatedByName': ANONYMIZED_NAME } },
+      { arrayFilters: [{ 'entry.updatedBy': userId }] }
+    );
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          name: ANONYMIZED_NAME,
+          email: anonymizedEmail(userId),
+          phone: ANONYMIZED_PHONE,
+          addresses: [],
+          cart: [],
+          wishlist: [],
+          profileImage: null,
+          emailVerified: false,
+          phoneVerified: false,
+          twoFactorEnabled: false,
+          isActive: false,
+          anonymizedAt: new Date()
+        },
+        $unset: {
+          password: 1,
+          location: 1,
+          verificationToken: 1,
+          verificationTokenExpiry: 1,
+          resetPasswordToken: 1,
+          resetPasswordExpiry: 1,
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorBackupCodes: 1,
+          twoFactorLastUsedStep: 1,
+          twoFactorEnabledAt: 1
+        }
+      }
+    );
+
+    await this.scrubAuditLogs(userId);
+
+    await Session.deleteMany({ account: userId });
+    if (user.phone) {
+      await Otp.deleteMany({ phone: user.phone });
+    }
+
+    return true;
+  }
+
+  // Audit log entries keep the action and who made it, without the customer's details
+  async scrubAuditLogs(userId) {
+    const orderIds = await Order.distinct('_id', { user: userId });
+
+    await AuditLog.updateMany(
+      { targetModel: 'User', target: userId },
+      { $unset: unsetSnapshotFields(USER_PII_FIELDS) }
+    );
+
+    if (orderIds.length > 0) {
+      await AuditLog.updateMany(
+        { targetModel: 'Order', target: { $in: orderIds } },
+        { $unset: unsetSnapshotFields(ORDER_PII_FIELDS) }
+      );
+    }
+
+    // Changes the account made itself (admins are users too)
+    await AuditLog.updateMany(
+      { actor: userId },
+      { $set: { actorName: ANONYMIZED_NAME }, $unset: { ip: 1, userAgent: 1 } }
+    );
+  }
+
+  // Anonymize every account whose grace period has ended (run from scripts/purgeDeletedAccounts.js)
+  async purgeExpiredDeletions() {
+    const due = await User.find({
+      deletionScheduledFor: { $lte: new Date() },
+      anonymizedAt: null
+    }).select('_id');
+
+    let count = 0;
+    for (const { _id } of due) {
+      if (await this.anonymizeAccount(_id)) count++;
+    }
+
+    return count;
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const requestContext = require('../utils/requestContext');
+const { escapeFormula } = require('../utils/csv');
+const { ValidationError } = require('../utils/errors');
+
+// Only mutations by these roles are audited (distributor staff act with role 'distributor')
+const AUDITED_ROLES = ['admin', 'distributor'];
+
+// Never copied into the log
+const REDACTED_FIELDS = [
+  'password',
+  'verificationToken',
+  'resetPasswordToken',
+  'inviteToken',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorBackupCodes',
+  'razorpaySignature'
+];
+
+// Bookkeeping fields that are not worth a log entry on their own
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'twoFactorLastUsedStep', 'lastLogin'];
+
+const REDACTED = '[REDACTED]';
+
+const EXPORT_LIMIT = 50000;
+
+const CSV_COLUMNS = [
+  'createdAt', 'requestId', 'actor', 'actorModel', 'actorName', 'actorRole',
+  'action', 'targetModel', 'target', 'method', 'path', 'ip', 'changes'
+];
+
+// Quoted when needed; names, paths and the like can't start a spreadsheet formula
+const csvEscape = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = escapeFormula(value instanceof Date ? value.toISOString() : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+class AuditService {
+  // Actor of the current request, or null if it should not be audited
+  currentActor() {
+    const context = requestContext.get();
+    const req = context && context.req;
+
+    if (!req || !req.actor || !AUDITED_ROLES.includes(req.userRole)) {
+      return null;
+    }
+
+    return { ...req.actor, role: req.staff ? 'distributor_staff' : req.userRole };
+  }
+
+  // Top-level fields worth recording from a list of modified paths
+  auditableFields(paths) {
+    const fields = new Set(paths.map(path => path.split('.')[0]));
+    return [...fields].filter(field => !IGNORED_FIELDS.includes(field));
+  }
+
+  // Pick fields from a plain object, redacting secrets. Explicitly requested secret
+  // fields are always shown as redacted so the entry still says they changed.
+  snapshot(source, fields = null) {
+    if (!source) return null;
+
+    const keys = (fields || Object.keys(source)).filter(key => !IGNORED_FIELDS.includes(key));
+
+    return keys.reduce((result, key) => {
+      if (REDACTED_FIELDS.includes(key)) {
+        if (fields || source[key] !== undefined) result[key] = REDACTED;
+      } else {
+        result[key] = source[key];
+      }
+      return result;
+    }, {});
+  }
+
+  // Fields that can be read from the database for the "before" copy
+  readableFields(fields) {
+    return fields.filter(field => !REDACTED_FIELDS.includes(field));
+  }
+
+  // Write an entry for the current request. Failures are logged, never thrown,
+  // so auditing can't break the mutation it describes.
+  async record({ action, targetModel, target, before = null, after = null }) {
+    const actor = this.currentActor();
+    if (!actor) return null;
+
+    const { req, requestId } = requestContext.get();
+
+    try {
+      return await AuditLog.create({
+        actor: actor.id,
+        actorModel: actor.model,
+        actorName: actor.name,
+        actorRole: actor.role,
+        action,
+        targetModel,
+        target,
+        changes: { before, after },
+        requestId,
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+    } catch (error) {
+      console.error(`Failed to write audit log (${action}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // Build a query filter from request query params
+  buildFilter(query) {
+    const { actor, actorModel, actorRole, action, targetModel, target, requestId, startDate, endDate } = query;
+    const filter = {};
+
+    for (const [field, value] of Object.entries({ actor, target })) {
+      if (value) {
+        if (!mongoose.isValidObjectId(value)) {
+          throw new ValidationError(`Invalid ${field} ID`);
+        }
+        filter[field] = value;
+      }
+    }
+
+    if (actorModel) filter.actorModel = actorModel;
+    if (actorRole) filter.actorRole = actorRole;
+    if (targetModel) filter.targetModel = targetModel;
+    if (requestId) filter.requestId = requestId;
+
+    // 'order' matches every order action, 'order.update' only that one
+    if (action) {
+      filter.action = action.includes('.')
+        ? action
+        : { $regex: `^${action.replace(/[^A-Za-z0-9_]/g, '')}\\.` };
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        throw new ValidationError('Invalid date range');
+      }
+      if (startDate && endDate && filter.createdAt.$gte > filter.createdAt.$lte) {
+        throw new ValidationError('Start date must be before end date');
+      }
+    }
+
+    return filter;
+  }
+
+  async findLogs(filter, { page, limit }) {
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort('-createdAt')
+        .limit(limit)
+        .skip((page - 1) * limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    return { logs, total };
+  }
+
+  // Stream matching entries to the response as CSV or JSON
+  async exportLogs(filter, format, res) {
+    const cursor = AuditLog.find(filter).sort('-createdAt').limit(EXPORT_LIMIT).lean().cursor();
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${stamp}.csv"`);
+      res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+      for await (const log of cursor) {
+        const row = CSV_COLUMNS.map(column => csvEscape(
+          column === 'changes' ? JSON.stringify(log.changes) : log[column]
+        ));
+        res.write(`${row.join(',')}\n`);
+      }
+    } else {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-logs-${stamp}.json"`);
+      res.write('[');
+
+      let first = true;
+      for await (const log of cursor) {
+        res.write(`${first ? '' : ','}\n${JSON.stringify(log)}`);
+        first = false;
+      }
+      res.write('\n]');
+    }
+
+    res.end();
+  }
+}
+
+module.exports = new AuditService();
@@ -1,13 +1,140 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Distributor = require('../models/Distributor');
+const DistributorStaff = require('../models/DistributorStaff');
 
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Short-lived access token. sid ties it to a Session so revocation takes effect immediately.
+const generateToken = (id, role, sessionId) => {
+  const payload = { id, role };
+  if (sessionId) {
+    payload.sid = sessionId.toString();
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Short-lived token proving the first factor passed; only accepted by the 2FA endpoints.
+// Signed with a derived secret so it can never be used as an access token.
+const challengeSecret = () => `${process.env.JWT_SECRET}:2fa-challenge`;
+
+const generateChallengeToken = (id, role, purpose) => {
+  return jwt.sign({ id, role, purpose }, challengeSecret(), { expiresIn: '5m' });
+};
+
+const verifyChallengeToken = (token, purpose) => {
+  const decoded = jwt.verify(token, challengeSecret());
+  if (decoded.purpose !== purpose) {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// 2FA policy: roles listed in TWO_FACTOR_REQUIRED_ROLES must enroll before they can sign in
+const isTwoFactorRequired = (role) => {
+  const requiredRoles = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+    .split(',')
+    .map(r => r.trim())
+    .filter(Boolean);
+  return requiredRoles.includes(role);
+};
+
+// Tokens are emailed in plain form and stored as SHA-256 hashes
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Mongoose model name for each JWT role
+const accountModelForRole = (role) => {
+  if (role === 'distributor') return 'Distributor';
+  if (role === 'distributor_staff') return 'DistributorStaff';
+  return 'User';
+};
+
+const getAccountModel = (modelName) => {
+  return { User, Distributor, DistributorStaff }[modelName];
+};
+
+// Look up an account by email across User, Distributor and DistributorStaff collections
+const findAccountByEmail = async (email, select = '') => {
+  const user = await User.findOne({ email }).select(select);
+  if (user) {
+    return { account: user, role: user.role || 'user' };
+  }
+
+  const distributor = await Distributor.findOne({ email }).select(select);
+  if (distributor) {
+    return { account: distributor, role: 'distributor' };
+  }
+
+  const staff = await DistributorStaff.findOne({ email }).select(select);
+  if (staff) {
+    return { account: staff, role: 'distributor_staff' };
+  }
+
+  return null;
+};
+
+// Look up the account that has verified this phone number, if any
+const findVerifiedPhoneOwner = async (phone) => {
+  const user = await User.findOne({ phone, phoneVerified: true });
+  if (user) {
+    return { account: user, role: user.role || 'user' };
+  }
+
+  const distributor = await Distributor.findOne({ phone, phoneVerified: true });
+  if (distributor) {
+    return { account: distributor, role: 'distributor' };
+  }
+
+  return null;
+};
+
+// Look up the account to sign in with a phone number. SECURITY: only an account that verified
+// the number (verify-phone flow) can use OTP login, as an unverified number may be mistyped or
+// someone else's. Verification keeps one owner per number; should several accounts still have
+// it verified, the number is treated like an unknown one (no hint that accounts share it).
+const findAccountByPhone = async (phone) => {
+  const [users, distributors] = await Promise.all([
+    User.find({ phone, phoneVerified: true, anonymizedAt: null }),
+    Distributor.find({ phone, phoneVerified: true })
+  ]);
+
+  const matches = [
+    ...users.map(user => ({ account: user, role: user.role || 'user' })),
+    ...distributors.map(distributor => ({ account: distributor, role: 'distributor' }))
+  ];
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+// Look up an account holding an unexpired hashed token (verification, password reset)
+const findAccountByToken = async (tokenField, expiryField, token) => {
+  const query = {
+    [tokenField]: hashToken(token),
+    [expiryField]: { $gt: Date.now() }
+  };
+
+  const user = await User.findOne(query);
+  if (user) {
+    return { account: user, role: user.role || 'user' };
+  }
+
+  const distributor = await Distributor.findOne(query);
+  if (distributor) {
+    return { account: distributor, role: 'distributor' };
+  }
+
+  const staff = await DistributorStaff.findOne(query);
+  if (staff) {
+    return { account: staff, role: 'distributor_staff' };
+  }
+
+  return null;
+};
+
 const registerUser = async (userData) => {
   const { role, ...data } = userData;
 
@@ -79,5 +206,15 @@ const loginUser = async (email, password) => {
 module.exports = {
   registerUser,
   loginUser,
-  generateToken
+  generateToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+  accountModelForRole,
+  getAccountModel,
+  hashToken,
+  findAccountByEmail,
+  findVerifiedPhoneOwner,
+  findAccountByPhone,
+  findAccountByToken
 };
\ No newline at end of file
@@ -0,0 +1,341 @@
+const CatalogItem = require('../models/CatalogItem');
+const Product = require('../models/Product');
+const categoryService = require('./category.service');
+const specificationService = require('./specification.service');
+const distributorProductService = require('./distributorProduct.service');
+const productImageService = require('./productImage.service');
+const serviceabilityService = require('./serviceability.service');
+const storeHoursService = require('./storeHours.service');
+const geocoderService = require('./geocoder.service');
+const variantService = require('./variant.service');
+const pricingService = require('./pricing.service');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const escapeRegex = (text) => text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+const toPlain = (specifications) => {
+  if (!specifications) return undefined;
+  return specifications instanceof Map ? Object.fromEntries(specifications) : { ...specifications };
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class CatalogService {
+  async findOrFail(itemId, { activeOnly = false } = {}) {
+    const filter = { _id: itemId };
+    if (activeOnly) {
+      filter.isActive = true;
+    }
+
+    const item = await CatalogItem.findOne(filter);
+    if (!item) {
+      throw new NotFoundError('Catalog item not found');
+    }
+    return item;
+  }
+
+  // Search the catalog by name, brand or model, within a category (and its subcategories)
+  async list({ search, category, includeInactive = false, page = 1, limit = 20 } = {}) {
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const filter = includeInactive ? {} : { isActive: true };
+    if (category) {
+      filter.category = await categoryService.productFilter(category, { activeOnly: !includeInactive });
+    }
+    if (search) {
+      filter.$text = { $search: String(search) };
+    }
+
+    const [items, total] = await Promise.all([
+      CatalogItem.find(filter)
+        .populate('category', 'name slug')
+        .sort(search ? { score: { $meta: 'textScore' } } : 'brand name')
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      CatalogItem.countDocuments(filter)
+    ]);
+
+    return {
+      items,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      }
+    };
+  }
+
+  // A brand's model is listed once
+  async assertModelAvailable(brand, modelNumber, exceptId = null) {
+    if (!modelNumber) return;
+
+    const filter = {
+      brand: { $regex: `^${escapeRegex(brand)}$`, $options: 'i' },
+      modelNumber: { $regex: `^${escapeRegex(modelNumber)}$`, $options: 'i' }
+    };
+    if (exceptId) {
+      filter._id = { $ne: exceptId };
+    }
+
+    const existing = await CatalogItem.findOne(filter).select('name');
+    if (existing) {
+      throw new ConflictError(`${brand} ${modelNumber} is already in the catalog as ${existing.name}`);
+    }
+  }
+
+  // Name, brand, model, description, category, unit, specifications and isActive from the admin body
+  async applyDetails(item, data) {
+    for (const [field, label] of [['name', 'Name'], ['brand', 'Brand'], ['description', 'Description']]) {
+      if (data[field] !== undefined || item.isNew) {
+        const value = data[field] ? String(data[field]).trim() : '';
+        if (!value) {
+          throw new ValidationError(`${label} is required`);
+        }
+        item[field] = value;
+      }
+    }
+
+    if (data.modelNumber !== undefined) {
+      item.modelNumber = data.modelNumber ? String(data.modelNumber).trim() : undefined;
+    }
+
+    if (data.unit !== undefined) {
+      item.unit = data.unit ? String(data.unit).trim() : 'unit';
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        throw new ValidationError('isActive must be a boolean value');
+      }
+      item.isActive = data.isActive;
+    }
+
+    let category = null;
+    if (data.category !== undefined || item.isNew) {
+      if (!data.category) {
+        throw new ValidationError('Category is required');
+      }
+      category = await categoryService.resolveForProduct(data.category);
+      item.category = category._id;
+    }
+
+    // Specifications follow the category's attribute schema, as for products
+    if (data.specifications !== undefined || item.isModified('category')) {
+      category = category || await categoryService.findOrFail(item.category);
+      await specificationService.applyToProduct(item, category, data.specifications);
+    }
+
+    if (item.isNew || item.isModified('brand') || item.isModified('modelNumber')) {
+      await this.assertModelAvailable(item.brand, item.modelNumber, item.isNew ? null : item._id);
+    }
+  }
+
+  async create(data, { createdBy, files } = {}) {
+    const item = new CatalogItem({ createdBy });
+    await this.applyDetails(item, data);
+    const uploaded = await productImageService.addImages(item, { others: files || [] });
+    await productImageService.saveWithImages(item, uploaded);
+    return item;
+  }
+
+  async update(item, data) {
+    await this.applyDetails(item, data);
+    await item.save();
+    await this.syncOffers(item);
+    return item;
+  }
+
+  async addImages(item, files) {
+    if (!files || files.length === 0) {
+      throw new ValidationError('Please upload at least one image');
+    }
+
+    const uploaded = await productImageService.addImages(item, { others: files });
+    await productImageService.saveWithImages(item, uploaded);
+    await this.syncOffers(item);
+    return item;
+  }
+
+  async removeImage(item, imageId) {
+    const publicId = productImageService.remove(item, imageId);
+    await item.save();
+    productImageService.deleteStored([publicId]);
+    await this.syncOffers(item);
+    return item;
+  }
+
+  // Items with offers can only be deactivated
+  async remove(item) {
+    const offerCount = await Product.countDocuments({ catalogItem: item._id });
+    if (offerCount > 0) {
+      throw new ConflictError(`${offerCount} distributor offer(s) use this item. Deactivate it instead`);
+    }
+
+    await item.deleteOne();
+    productImageService.deleteStored(productImageService.storedIds(item));
+  }
+
+  // What an offer copies from its catalog item
+  contentOf(item) {
+    return {
+      name: item.name,
+      brand: item.brand,
+      modelNumber: item.modelNumber,
+      description: item.description,
+      category: item.category,
+      unit: item.unit,
+      specifications: toPlain(item.specifications),
+      image: item.image,
+      images: item.images.map(image => (image.toObject ? image.toObject() : image))
+    };
+  }
+
+  // Copy catalog changes to every offer on the item
+  async syncOffers(item) {
+    await Product.updateMany({ catalogItem: item._id }, { $set: this.contentOf(item) });
+  }
+
+  // Attach the distributor's offer to a catalog item: a new product, or (with productId) one
+  // of their existing products, which then takes the item's content
+  async createOffer(distributorId, item, data) {
+    if (!item.isActive) {
+      throw new ValidationError('This catalog item is not taking new offers');
+    }
+
+    if (await Product.exists({ catalogItem: item._id, distributor: distributorId })) {
+      throw new ConflictError('You already have an offer for this item. Update that product instead');
+    }
+
+    const { productId, ...offer } = data;
+    let product;
+
+    if (productId) {
+      product = await Product.findOne({ _id: productId, distributor: distributorId });
+      if (!product) {
+        throw new NotFoundError('Product not found or access denied');
+      }
+      if (product.catalogItem) {
+        throw new ValidationError('This product is already an offer on a catalog item');
+      }
+      if (variantService.hasVariants(product)) {
+        throw new ValidationError('Products with variants cannot be attached to a catalog item');
+      }
+    } else {
+      if (offer.price === undefined || offer.price === null || offer.price === '') {
+        throw new ValidationError('Product price must be greater than 0');
+      }
+      if (offer.stock === undefined || offer.stock === null || offer.stock === '') {
+        throw new ValidationError('Stock must be 0 or greater');
+      }
+      product = new Product({ distributor: distributorId, price: 0, stock: 0 });
+    }
+
+    // An attached product's own gallery is replaced by the item's
+    const content = this.contentOf(item);
+    const kept = new Set(content.images.map(image => image.publicId).filter(Boolean));
+    const replaced = product.images.map(image => image.publicId).filter(publicId => publicId && !kept.has(publicId));
+
+    product.set(content);
+    product.catalogItem = item._id;
+
+    await distributorProductService.applyChanges(product, distributorProductService.ownFields(product, offer));
+
+    try {
+      await product.save();
+    } catch (error) {
+      // Lost a race with another request for the same item (unique catalogItem + distributor)
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.catalogItem) {
+        throw new ConflictError('You already have an offer for this item. Update that product instead');
+      }
+      throw error;
+    }
+
+    productImageService.deleteStored(replaced);
+    return product;
+  }
+
+  // Every listed offer on a catalog item for `quantity` units, cheapest landed price first.
+  // Landed price is the items (at the offer's quantity-break price) plus the quoted delivery charge; with a pincode or coordinates,
+  // offers also get a distance and whether the distributor delivers there. Offers that can't
+  // be bought (out of stock, outside the delivery area, quantity limits) go last.
+  async getOffers(catalogItemId, { pincode, coordinates, quantity } = {}) {
+    const products = await Product.find({
+      catalogItem: catalogItemId,
+      isActive: true,
+      distributorSuspended: { $ne: true }
+    }).populate('distributor', `businessName city state rating pincode location serviceRadius serviceAreas isApproved isActive ${storeHoursService.statusFields}`);
+
+    const place = pincode ? geocoderService.lookup(pincode) : null;
+    const point = coordinates || (place && place.coordinates);
+    const requested = Math.max(1, parseInt(quantity) || 1);
+
+    const offers = products
+      .filter(product => product.distributor && product.distributor.isApproved && product.distributor.isActive)
+      .map(product => {
+        const distributor = product.distributor;
+        const units = Math.max(requested, product.minQuantity || 1);
+        const delivery = product.delivery || {};
+
+        const { price: unitPrice, tier } = pricingService.priceFor(product, units);
+        const itemsTotal = pricingService.lineTotal(product, units);
+        const deliveryCharge = delivery.freeAbove !== null && delivery.freeAbove !== undefined && itemsTotal >= delivery.freeAbove
+          ? 0
+          : delivery.charge || 0;
+        const landedPrice = roundMoney(itemsTotal + deliveryCharge);
+
+        const origin = serviceabilityService.originFor(distributor);
+        const distance = point && origin
+          ? Math.round(geocoderService.distanceKm(origin, point) * 10) / 10
+          : null;
+        // null when it can't be checked; checkout refuses those, so they aren't available
+        const check = pincode ? serviceabilityService.checkPincode(distributor, pincode) : null;
+        const serviceable = check && check.verified ? check.serviceable : null;
+        const available = product.stock >= units && (!product.maxQuantity || units <= product.maxQuantity) && (!check || serviceable === true);
+
+        return {
+          product: product._id,
+          distributor: {
+            _id: distributor._id,
+            businessName: distributor.businessName,
+            city: distributor.city,
+            state: distributor.state,
+            rating: distributor.rating
+          },
+          storeStatus: storeHoursService.getStatus(distributor),
+          sku: product.sku,
+          price: product.price,
+          priceTiers: product.priceTiers,
+          unitPrice,
+          priceTier: tier,
+          unit: product.unit,
+          stock: product.stock,
+          minQuantity: product.minQuantity,
+          maxQuantity: product.maxQuantity,
+          acceptedPaymentMethods: product.acceptedPaymentMethods,
+          quantity: units,
+          deliveryCharge,
+          deliveryDays: delivery.days ?? null,
+          landedPrice,
+          landedUnitPrice: roundMoney(landedPrice / units),
+          distance,
+          serviceable,
+          available
+        };
+      });
+
+    offers.sort((a, b) =>
+      (b.available - a.available) ||
+      (a.landedUnitPrice - b.landedUnitPrice) ||
+      ((a.distance ?? Infinity) - (b.distance ?? Infinity))
+    );
+
+    return {
+      offers,
+      bestOffer: offers.find(offer => offer.available) || null
+    };
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,355 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const specificationService = require('./specification.service');
+const { slugify, SLUG_PATTERN } = require('../utils/slugify');
+const { DEFAULT_CATEGORIES, MAX_CATEGORY_DEPTH } = require('../config/categories');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const escapeRegex = (text) => text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+// What clients see of a category
+const toNode = (category) => ({
+  _id: category._id,
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  icon: category.icon,
+  parent: category.parent,
+  level: category.level,
+  sortOrder: category.sortOrder,
+  isActive: category.isActive,
+  attributes: category.attributes || []
+});
+
+class CategoryService {
+  // A category by ID or slug, or null
+  async find(idOrSlug, { activeOnly = false } = {}) {
+    const value = String(idOrSlug || '').trim();
+    if (!value) return null;
+
+    const filter = OBJECT_ID_PATTERN.test(value) ? { _id: value } : { slug: value.toLowerCase() };
+    if (activeOnly) {
+      filter.isActive = true;
+    }
+
+    return Category.findOne(filter);
+  }
+
+  async findOrFail(idOrSlug) {
+    const category = await this.find(idOrSlug);
+    if (!category) {
+      throw new NotFoundError('Category not found');
+    }
+    return category;
+  }
+
+  // The category a distributor files a product under (ID or slug); must be active
+  async resolveForProduct(idOrSlug) {
+    const category = await this.find(idOrSlug, { activeOnly: true });
+    if (!category) {
+      throw new ValidationError('Category not found or no longer in use');
+    }
+    return category;
+  }
+
+  // IDs of the category and every category below it
+  async subtreeIds(category, { activeOnly = false } = {}) {
+    const filter = { ancestors: category._id };
+    if (activeOnly) {
+      filter.isActive = true;
+    }
+
+    const descendants = await Category.find(filter).distinct('_id');
+    return [category._id, ...descendants];
+  }
+
+  // Product.category condition for a category filter; browsing a parent includes its subcategories
+  async productFilter(idOrSlug, { activeOnly = false } = {}) {
+    const category = await this.find(idOrSlug, { activeOnly });
+    if (!category) {
+      throw new ValidationError('Invalid category');
+    }
+    return { $in: await this.subtreeIds(category, { activeOnly }) };
+  }
+
+  // Number of listed products filed directly under each category
+  async productCounts() {
+    const counts = await Product.aggregate([
+      { $match: { isActive: true, distributorSuspended: { $ne: true } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+  }
+
+  // Nested category tree. Children of an inactive category are left out with it.
+  // With counts, productCount includes products in subcategories.
+  async getTree({ includeInactive = false, withCounts = false } = {}) {
+    const categories = await Category.find(includeInactive ? {} : { isActive: true })
+      .sort('sortOrder name')
+      .lean();
+    const counts = withCounts ? await this.productCounts() : null;
+
+    const nodes = new Map(categories.map(category => [String(category._id), { ...toNode(category), children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      if (!node.parent) {
+        roots.push(node);
+      } else if (nodes.has(String(node.parent))) {
+        nodes.get(String(node.parent)).children.push(node);
+      }
+    }
+
+    if (counts) {
+      const total = (node) => {
+        node.productCount = (counts.get(String(node._id)) || 0) +
+          node.children.reduce((sum, child) => sum + total(child), 0);
+        return node.productCount;
+      };
+      roots.forEach(total);
+    }
+
+    return roots;
+  }
+
+  // Root-to-category chain, for breadcrumbs
+  async getPath(category) {
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug level').lean();
+    return [...ancestors.sort((a, b) => a.level - b.level), { _id: category._id, name: category.name, slug: category.slug }];
+  }
+
+  async findParent(parentId) {
+    const parent = await this.find(parentId);
+    if (!parent) {
+      throw new ValidationError('Parent category not found');
+    }
+    return parent;
+  }
+
+  async assertNameAvailable(name, parentId, exceptId = null) {
+    const filter = { parent: parentId || null, name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' } };
+    if (exceptId) {
+      filter._id = { $ne: exceptId };
+    }
+
+    if (await Category.exists(filter)) {
+      throw new ConflictError(`A category named ${name} already exists here`);
+    }
+  }
+
+  // Requested slug, or one derived from the name ("TMT Bars" under Steel -> "tmt-bars", then "steel-tmt-bars")
+  async chooseSlug(requested, name, parent, exceptId = null) {
+    const isFree = async (slug) => {
+      const filter = { slug };
+      if (exceptId) {
+        filter._id = { $ne: exceptId };
+      }
+      return !(await Category.exists(filter));
+    };
+
+    if (requested !== undefined && requested !== null && requested !== '') {
+      const slug = String(requested).trim().toLowerCase();
+      if (!SLUG_PATTERN.test(slug) || slug.length > 80) {
+        throw new ValidationError('Category slug must be lowercase letters, numbers and single hyphens');
+      }
+      if (!(await isFree(slug))) {
+        throw new ConflictError('This category slug is already taken');
+      }
+      return slug;
+    }
+
+    const base = slugify(name, 80) || 'category';
+    const candidates = [base];
+    if (parent) {
+      candidates.push(slugify(`${parent.slug}-${base}`, 80));
+    }
+
+    for (const candidate of candidates) {
+      if (await isFree(candidate)) return candidate;
+    }
+
+    for (let n = 2; ; n++) {
+      if (await isFree(`${base}-${n}`)) return `${base}-${n}`;
+    }
+  }
+
+  // Levels below the category (0 for a leaf)
+  async subtreeHeight(category) {
+    const deepest = await Category.findOne({ ancestors: category._id }).sort('-level').select('level').lean();
+    return deepest ? deepest.level - category.level : 0;
+  }
+
+  // Hierarchy fields for a category placed under `parent` (null for top level)
+  placeUnder(category, parent) {
+    category.parent = parent ? parent._id : null;
+    category.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+    category.level = parent ? parent.level + 1 : 0;
+  }
+
+  applyDetails(category, { description, icon, sortOrder, isActive }) {
+    if (description !== undefined) {
+      category.description = description ? String(description).trim() : undefined;
+    }
+    if (icon !== undefined) {
+      category.icon = icon ? String(icon).trim() : '';
+    }
+    if (sortOrder !== undefined) {
+      const order = parseInt(sortOrder);
+      if (isNaN(order)) {
+        throw new ValidationError('Sort order must be a number');
+      }
+      category.sortOrder = order;
+    }
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        throw new ValidationError('isActive must be a boolean value');
+      }
+      category.isActive = isActive;
+    }
+  }
+
+  async create(data) {
+    const name = data.name ? String(data.name).trim() : '';
+    if (!name) {
+      throw new ValidationError('Category name is required');
+    }
+
+    const parent = data.parent ? await this.findParent(data.parent) : null;
+    if (parent && parent.level + 1 >= MAX_CATEGORY_DEPTH) {
+      throw new ValidationError(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+    }
+
+    await this.assertNameAvailable(name, parent && parent._id);
+
+    const category = new Category({ name, slug: await this.chooseSlug(data.slug, name, parent) });
+    this.placeUnder(category, parent);
+    this.applyDetails(category, data);
+    await this.applyAttributes(category, data.attributes);
+
+    await category.save();
+    return category;
+  }
+
+  // Update details and/or move the category (with its subtree) under another parent
+  async update(category, data) {
+    let parent = category.parent ? await Category.findById(category.parent) : null;
+    const moving = data.parent !== undefined && String(data.parent || '') !== String(category.parent || '');
+
+    if (moving) {
+      parent = data.parent ? await this.findParent(data.parent) : null;
+
+      if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+        throw new ValidationError('A category cannot be moved under itself or one of its subcategories');
+      }
+
+      const newLevel = parent ? parent.level + 1 : 0;
+      if (newLevel + await this.subtreeHeight(category) >= MAX_CATEGORY_DEPTH) {
+        throw new ValidationError(`Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`);
+      }
+    }
+
+    const name = data.name !== undefined ? String(data.name || '').trim() : category.name;
+    if (!name) {
+      throw new ValidationError('Category name cannot be empty');
+    }
+
+    if (moving || name !== category.name) {
+      await this.assertNameAvailable(name, parent && parent._id, category._id);
+    }
+
+    if (data.slug !== undefined && data.slug !== category.slug) {
+      category.slug = await this.chooseSlug(data.slug, name, parent, category._id);
+    }
+
+    category.name = name;
+    this.applyDetails(category, data);
+
+    const previousAncestors = category.ancestors.length;
+    if (moving) {
+      this.placeUnder(category, parent);
+    }
+
+    if (data.attributes !== undefined) {
+      await this.applyAttributes(category, data.attributes);
+    } else if (moving) {
+      // Its own attributes must not clash with those inherited from the new parent
+      await specificationService.assertKeysAvailable(category, category.attributes);
+    }
+
+    await category.save();
+
+    if (moving) {
+      await this.rebaseDescendants(category, previousAncestors);
+    }
+
+    return category;
+  }
+
+  // After a move, swap the old ancestor prefix of every descendant for the category's new one
+  async rebaseDescendants(category, previousAncestors) {
+    const descendants = await Category.find({ ancestors: category._id }).select('ancestors').lean();
+    if (descendants.length === 0) return;
+
+    await Category.bulkWrite(descendants.map(descendant => {
+      const ancestors = [...category.ancestors, ...descendant.ancestors.slice(previousAncestors)];
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { $set: { ancestors, level: ancestors.length } }
+        }
+      };
+    }));
+  }
+
+  // Product specification schema of the category (see specification.service)
+  async applyAttributes(category, input) {
+    if (input === undefined) return;
+
+    const attributes = specificationService.normalizeAttributes(input);
+    await specificationService.assertKeysAvailable(category, attributes);
+    category.attributes = attributes;
+  }
+
+  // Only empty leaf categories can be deleted; deactivate the others instead
+  async remove(category) {
+    if (await Category.exists({ parent: category._id })) {
+      throw new ConflictError('Move or delete its subcategories first');
+    }
+
+    const productCount = await Product.countDocuments({ category: category._id });
+    if (productCount > 0) {
+      throw new ConflictError(`${productCount} product(s) use this category. Move them to another category or deactivate it instead`);
+    }
+
+    await category.deleteOne();
+  }
+
+  // Top-level defaults (see config/categories), created if missing. Returns them by lowercase name.
+  async ensureDefaults() {
+    const byName = new Map();
+
+    for (const [index, { name, icon }] of DEFAULT_CATEGORIES.entries()) {
+      let category = await Category.findOne({
+        parent: null,
+        name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' }
+      });
+
+      if (!category) {
+        category = await Category.create({
+          name,
+          slug: await this.chooseSlug(undefined, name, null),
+          icon,
+          sortOrder: index
+        });
+      }
+
+      byName.set(name.toLowerCase(), category);
+    }
+
+    return byName;
+  }
+}
+
+module.exports = new CategoryService();
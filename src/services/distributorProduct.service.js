@@ -0,0 +1,298 @@
+const Product = require('../models/Product');
+const categoryService = require('./category.service');
+const variantService = require('./variant.service');
+const specificationService = require('./specification.service');
+const pricingService = require('./pricing.service');
+const { ValidationError } = require('../utils/errors');
+
+const PAYMENT_METHODS = ['COD', 'Online'];
+
+// Fields an offer takes from its catalog item (see catalog.service)
+const CATALOG_FIELDS = ['name', 'brand', 'modelNumber', 'description', 'category', 'unit', 'specifications', 'images', 'options', 'variants'];
+
+// Multipart product forms send objects as JSON strings
+const parseJson = (value, label) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new ValidationError(`Invalid ${label} format`);
+  }
+};
+
+const optionalText = (value) => (value ? String(value).trim() : undefined);
+
+// Field rules for a distributor's products, shared by the product form and bulk import
+class DistributorProductService {
+  parsePaymentMethods(acceptedPaymentMethods) {
+    let parsedPaymentMethods = acceptedPaymentMethods;
+    // Parse if it's a JSON string (from FormData)
+    if (typeof acceptedPaymentMethods === 'string') {
+      try {
+        parsedPaymentMethods = JSON.parse(acceptedPaymentMethods);
+      } catch (e) {
+        throw new ValidationError('Invalid payment methods format');
+      }
+    }
+
+    if (!Array.isArray(parsedPaymentMethods) || parsedPaymentMethods.length === 0) {
+      throw new ValidationError('At least one payment method must be selected');
+    }
+    const invalidMethods = parsedPaymentMethods.filter(method => !PAYMENT_METHODS.includes(method));
+    if (invalidMethods.length > 0) {
+      throw new ValidationError(`Invalid payment methods: ${invalidMethods.join(', ')}`);
+    }
+    return parsedPaymentMethods;
+  }
+
+  // Quoted delivery terms { charge, freeAbove, days }; empty values clear a term
+  applyDelivery(product, input) {
+    if (input === undefined) return;
+
+    const delivery = parseJson(input, 'delivery terms');
+    if (!delivery || typeof delivery !== 'object' || Array.isArray(delivery)) {
+      throw new ValidationError('Delivery terms must be an object of { charge, freeAbove, days }');
+    }
+
+    const labels = { charge: 'Delivery charge', freeAbove: 'Free delivery threshold', days: 'Delivery days' };
+    const terms = {};
+
+    for (const [field, label] of Object.entries(labels)) {
+      const raw = delivery[field];
+      if (raw === undefined) {
+        terms[field] = product.delivery ? product.delivery[field] : undefined;
+        continue;
+      }
+      if (raw === null || raw === '') {
+        terms[field] = field === 'charge' ? 0 : null;
+        continue;
+      }
+
+      const value = field === 'days' ? parseInt(raw) : parseFloat(raw);
+      if (isNaN(value) || value < 0) {
+        throw new ValidationError(`${label} must be 0 or greater`);
+      }
+      terms[field] = value;
+    }
+
+    product.delivery = terms;
+  }
+
+  // Quantity breaks on the product price. Products with variants have them per variant;
+  // a price change re-checks the existing tiers.
+  applyPriceTiers(product, input) {
+    if (variantService.hasVariants(product)) {
+      const tiers = input !== undefined ? parseJson(input, 'price tiers') : null;
+      if (Array.isArray(tiers) && tiers.length > 0) {
+        throw new ValidationError('Set price tiers on each variant of a product with variants');
+      }
+      if (product.priceTiers.length > 0) {
+        product.priceTiers = [];
+      }
+      return;
+    }
+
+    if (input !== undefined || (product.isModified('price') && product.priceTiers.length > 0)) {
+      product.priceTiers = pricingService.normalizeTiers(input !== undefined ? input : product.priceTiers, product.price);
+    }
+  }
+
+  // Offers can't change what comes from their catalog item
+  assertOwnContent(product, fields) {
+    if (!product.catalogItem) return;
+
+    const locked = fields.filter(field => CATALOG_FIELDS.includes(field));
+    if (locked.length > 0) {
+      throw new ValidationError(`This product is an offer on a catalog item; ${locked.join(', ')} come from the catalog`);
+    }
+  }
+
+  // `data` without the fields an offer takes from its catalog item
+  ownFields(product, data) {
+    if (!product.catalogItem) return data;
+    return Object.fromEntries(Object.entries(data).filter(([field]) => !CATALOG_FIELDS.includes(field)));
+  }
+
+  // New product from the add-product fields, validated but not saved
+  async build(distributorId, data) {
+    const { sku, name, brand, modelNumber, description, price, priceTiers, category, stock, unit, minQuantity, maxQuantity, acceptedPaymentMethods, options, variants, specifications, delivery } = data;
+
+    // Validate required fields
+    if (!name || !name.trim()) {
+      throw new ValidationError('Product name is required');
+    }
+
+    if (!description || !description.trim()) {
+      throw new ValidationError('Product description is required');
+    }
+
+    // Products with variants take their price and stock from the variants
+    if (variants === undefined && (!price || price <= 0)) {
+      throw new ValidationError('Product price must be greater than 0');
+    }
+
+    if (!category) {
+      throw new ValidationError('Product category is required');
+    }
+
+    // Category ID or slug from the category tree
+    const productCategory = await categoryService.resolveForProduct(category);
+
+    if (variants === undefined && (stock === undefined || stock < 0)) {
+      throw new ValidationError('Stock must be 0 or greater');
+    }
+
+    // Validate min/max quantity
+    if (minQuantity !== undefined && minQuantity < 1) {
+      throw new ValidationError('Minimum quantity must be at least 1');
+    }
+
+    if (maxQuantity !== undefined && maxQuantity !== null && minQuantity !== undefined && maxQuantity < minQuantity) {
+      throw new ValidationError('Maximum quantity must be greater than or equal to minimum quantity');
+    }
+
+    const parsedPaymentMethods = acceptedPaymentMethods ? this.parsePaymentMethods(acceptedPaymentMethods) : null;
+
+    // Create product with field whitelisting
+    const product = new Product({
+      sku: sku ? variantService.normalizeSku(sku) : undefined,
+      name: name.trim(),
+      brand: optionalText(brand),
+      modelNumber: optionalText(modelNumber),
+      description: description.trim(),
+      price: parseFloat(price) || 0,
+      category: productCategory._id,
+      stock: parseInt(stock) || 0,
+      unit: unit || 'unit',
+      distributor: distributorId,
+      minQuantity: minQuantity !== undefined ? parseInt(minQuantity) : 1,
+      maxQuantity: maxQuantity !== undefined && maxQuantity !== null ? parseInt(maxQuantity) : null,
+      acceptedPaymentMethods: parsedPaymentMethods || [...PAYMENT_METHODS],
+      isActive: true
+    });
+
+    this.applyDelivery(product, delivery);
+
+    // Specifications are checked against the category's attribute schema
+    await specificationService.applyToProduct(product, productCategory, specifications);
+
+    variantService.applyToProduct(product, { options, variants });
+    if (!variantService.hasVariants(product) && product.price <= 0) {
+      throw new ValidationError('Product price must be greater than 0');
+    }
+    this.applyPriceTiers(product, priceTiers);
+    await variantService.assertSkusAvailable(product);
+
+    return product;
+  }
+
+  // Apply update-product fields to an existing product, without saving
+  async applyChanges(product, data) {
+    const { sku, name, brand, modelNumber, description, price, priceTiers, category, stock, unit, isActive, minQuantity, maxQuantity, acceptedPaymentMethods, options, variants, specifications, delivery } = data;
+
+    this.assertOwnContent(product, Object.keys(data).filter(field => data[field] !== undefined));
+
+    // Field whitelisting - only update allowed fields
+    if (sku !== undefined) {
+      product.sku = sku === null || sku === '' ? undefined : variantService.normalizeSku(sku);
+    }
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        throw new ValidationError('Product name cannot be empty');
+      }
+      product.name = name.trim();
+    }
+
+    if (brand !== undefined) {
+      product.brand = optionalText(brand);
+    }
+
+    if (modelNumber !== undefined) {
+      product.modelNumber = optionalText(modelNumber);
+    }
+
+    if (description !== undefined) {
+      if (!description.trim()) {
+        throw new ValidationError('Product description cannot be empty');
+      }
+      product.description = description.trim();
+    }
+
+    if (price !== undefined) {
+      const priceNum = parseFloat(price);
+      if (priceNum <= 0) {
+        throw new ValidationError('Product price must be greater than 0');
+      }
+      product.price = priceNum;
+    }
+
+    // Specifications follow the category's attribute schema; a category change re-checks them
+    let productCategory = null;
+    if (category !== undefined) {
+      productCategory = await categoryService.resolveForProduct(category);
+      product.category = productCategory._id;
+    }
+    if (specifications !== undefined || product.isModified('category')) {
+      productCategory = productCategory || await categoryService.findOrFail(product.category);
+      await specificationService.applyToProduct(product, productCategory, specifications);
+    }
+
+    if (stock !== undefined) {
+      const stockNum = parseInt(stock);
+      if (stockNum < 0) {
+        throw new ValidationError('Stock cannot be negative');
+      }
+      product.stock = stockNum;
+    }
+
+    if (unit !== undefined) {
+      product.unit = unit;
+    }
+
+    if (typeof isActive === 'boolean') {
+      product.isActive = isActive;
+    }
+
+    // Update min/max quantity
+    if (minQuantity !== undefined) {
+      const minQty = parseInt(minQuantity);
+      if (minQty < 1) {
+        throw new ValidationError('Minimum quantity must be at least 1');
+      }
+      product.minQuantity = minQty;
+    }
+
+    if (maxQuantity !== undefined) {
+      if (maxQuantity === null || maxQuantity === '') {
+        product.maxQuantity = null;
+      } else {
+        const maxQty = parseInt(maxQuantity);
+        if (maxQty < 1) {
+          throw new ValidationError('Maximum quantity must be at least 1');
+        }
+        if (maxQty < product.minQuantity) {
+          throw new ValidationError('Maximum quantity must be greater than or equal to minimum quantity');
+        }
+        product.maxQuantity = maxQty;
+      }
+    }
+
+    // Update payment methods
+    if (acceptedPaymentMethods !== undefined) {
+      product.acceptedPaymentMethods = this.parsePaymentMethods(acceptedPaymentMethods);
+    }
+
+    this.applyDelivery(product, delivery);
+
+    // Option axes and variants (price and stock of a product with variants follow its variants)
+    variantService.applyToProduct(product, { options, variants });
+    this.applyPriceTiers(product, priceTiers);
+    await variantService.assertSkusAvailable(product);
+
+    return product;
+  }
+}
+
+module.exports = new DistributorProductService();
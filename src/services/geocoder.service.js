@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { GST_STATE_CODES } = require('../utils/gstin');
+const { ValidationError } = require('../utils/errors');
+
+const DEFAULT_DATASET = path.join(__dirname, '..', 'data', 'pincodes.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+// A city named like a district with a pincode this close is taken as the same city
+const CITY_MATCH_KM = 40;
+
+// Former and short city names still used in addresses (normalized), with the names the
+// postal directory uses
+const CITY_ALIASES = {
+  amdavad: ['ahmadabad', 'ahmedabad'],
+  banaras: ['varanasi'],
+  bangalore: ['bengaluru'],
+  baroda: ['vadodara'],
+  benares: ['varanasi'],
+  bombay: ['mumbai'],
+  calcutta: ['kolkata'],
+  cochin: ['ernakulam', 'kochi'],
+  gurgaon: ['gurugram'],
+  hubli: ['hubballi', 'dharwad'],
+  jullundur: ['jalandhar'],
+  kochi: ['ernakulam'],
+  madgaon: ['southgoa'],
+  madras: ['chennai'],
+  mangalore: ['mangaluru', 'dakshinakannada'],
+  margao: ['southgoa'],
+  mohali: ['sasnagar'],
+  mysore: ['mysuru'],
+  nasik: ['nashik'],
+  newdelhi: ['delhi'],
+  noida: ['gautambuddhanagar'],
+  panaji: ['northgoa'],
+  panjim: ['northgoa'],
+  pondicherry: ['puducherry'],
+  poona: ['pune'],
+  puducherry: ['pondicherry'],
+  trichy: ['tiruchirappalli'],
+  trivandrum: ['thiruvananthapuram'],
+  vizag: ['visakhapatnam', 'visakhapatanam']
+};
+
+const normalizeName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z]/g, '');
+};
+
+// Alternate state spellings ("Orissa", "NCT of Delhi") resolve to the same GST state code
+const stateCodesFor = (state) => {
+  const normalized = normalizeName(state);
+  return Object.keys(GST_STATE_CODES).filter(code =>
+    GST_STATE_CODES[code].some(name => normalizeName(name) === normalized)
+  );
+};
+
+const sameState = (a, b) => {
+  if (normalizeName(a) === normalizeName(b)) return true;
+  const codes = stateCodesFor(b);
+  return stateCodesFor(a).some(code => codes.includes(code));
+};
+
+// Offline pincode -> coordinates/district/state lookups.
+//
+// Dataset (src/data/pincodes.json, or PINCODE_DATA_FILE):
+//   { "pincodes": { "<pincode>": [lat, lng, district, state, [locality names]] } }
+// The file is generated from the India Post directory on `npm install` (`npm run build-pincodes`)
+// and checked at startup. Pincodes missing from it are treated as unknown rather than invalid.
+class GeocoderService {
+  constructor() {
+    this.pincodes = null;
+    this.districts = null;
+  }
+
+  get datasetFile() {
+    return process.env.PINCODE_DATA_FILE || DEFAULT_DATASET;
+  }
+
+  hasDataset() {
+    return fs.existsSync(this.datasetFile);
+  }
+
+  // Loaded on first use so env vars are read after dotenv has loaded
+  getDataset() {
+    if (!this.pincodes) {
+      this.pincodes = JSON.parse(fs.readFileSync(this.datasetFile, 'utf8')).pincodes || {};
+    }
+    return this.pincodes;
+  }
+
+  lookup(pincode) {
+    const key = String(pincode || '').trim();
+    const entry = this.getDataset()[key];
+
+    if (!entry) return null;
+
+    const [lat, lng, district, state, localities = []] = entry;
+    return {
+      pincode: key,
+      lat,
+      lng,
+      district,
+      state,
+      localities,
+      coordinates: [lng, lat]  // GeoJSON order
+    };
+  }
+
+  // Normalized district name -> centroids of its pincodes. Locality names are left out:
+  // village and office names repeat across the country.
+  getDistricts() {
+    if (!this.districts) {
+      this.districts = new Map();
+      for (const [lat, lng, district] of Object.values(this.getDataset())) {
+        const name = normalizeName(district);
+        if (!name) continue;
+        if (!this.districts.has(name)) this.districts.set(name, []);
+        this.districts.get(name).push([lng, lat]);
+      }
+    }
+    return this.districts;
+  }
+
+  // Does a user-entered city fit the place? True when it names the district, a locality or
+  // (for Delhi, Chandigarh...) the state, or a district bordering the pincode; false when it
+  // names a district far away; null for a name the dataset doesn't know as a district.
+  cityMatches(place, city) {
+    const normalized = normalizeName(city);
+    if (!normalized) return false;
+
+    const names = [normalized, ...(CITY_ALIASES[normalized] || [])];
+    const matchesPlace = [place.district, place.state, ...place.localities].some(name => {
+      const candidate = normalizeName(name);
+      return !!candidate && names.some(cityName => candidate.includes(cityName) || cityName.includes(candidate));
+    });
+    if (matchesPlace) return true;
+
+    const points = names.flatMap(name => this.getDistricts().get(name) || []);
+    if (points.length === 0) return null;
+
+    return points.some(point => this.distanceKm(point, place.coordinates) <= CITY_MATCH_KM);
+  }
+
+  // GeoJSON Point for the pincode centroid, or null when the pincode is unknown
+  toPoint(pincode) {
+    const place = this.lookup(pincode);
+    return place ? { type: 'Point', coordinates: place.coordinates } : null;
+  }
+
+  // Compare a user-entered city/state with the pincode (see cityMatches)
+  checkLocality(pincode, { city, state } = {}) {
+    const place = this.lookup(pincode);
+
+    if (!place) {
+      return { known: false, place: null, cityMatches: null, stateMatches: null, errors: [] };
+    }
+
+    const errors = [];
+    let stateMatches = null;
+    let cityMatches = null;
+
+    if (state) {
+      stateMatches = sameState(state, place.state);
+      if (!stateMatches) {
+        errors.push(`Pincode ${place.pincode} is in ${place.state}, not ${state}`);
+      }
+    }
+
+    if (city) {
+      cityMatches = this.cityMatches(place, city);
+      if (cityMatches === false) {
+        errors.push(`Pincode ${place.pincode} is in ${place.district} district, not ${city}`);
+      }
+    }
+
+    return { known: true, place, cityMatches, stateMatches, errors };
+  }
+
+  // Throws when a known pincode contradicts the city/state; returns the place (or null)
+  assertLocality(pincode, { city, state } = {}) {
+    const result = this.checkLocality(pincode, { city, state });
+
+    if (result.errors.length > 0) {
+      throw new ValidationError(result.errors.join('. '));
+    }
+
+    return result.place;
+  }
+
+  // Great-circle distance in km between two [lng, lat] pairs
+  distanceKm([lng1, lat1], [lng2, lat2]) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  }
+}
+
+module.exports = new GeocoderService();
@@ -0,0 +1,119 @@
+const { createGstLookupProvider } = require('../config/gstLookup');
+const { validateGstin } = require('../utils/gstin');
+const { ValidationError } = require('../utils/errors');
+
+class GstinService {
+  constructor() {
+    this.provider = undefined;
+  }
+
+  // Lazily create the provider so env vars are read after dotenv has loaded (null = lookups disabled)
+  getProvider() {
+    if (this.provider === undefined) {
+      this.provider = createGstLookupProvider();
+    }
+    return this.provider;
+  }
+
+  // Swap the provider (e.g. with an in-memory one in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Registry lookup. Provider failures are recorded on the result, never thrown,
+  // so an outage doesn't block onboarding; admins see the status in review.
+  async lookup(gstin) {
+    const provider = this.getProvider();
+
+    if (!provider) {
+      return { lookupStatus: 'not_checked' };
+    }
+
+    try {
+      const result = await provider.lookup(gstin);
+
+      if (!result || !result.found) {
+        return { lookupStatus: 'not_found', provider: provider.name };
+      }
+
+      return {
+        lookupStatus: 'found',
+        provider: provider.name,
+        legalName: result.legalName,
+        tradeName: result.tradeName,
+        registrationStatus: result.registrationStatus,
+        registeredOn: result.registeredOn
+      };
+    } catch (error) {
+      console.error(`GSTIN lookup failed for ${gstin}: ${error.message}`);
+      return { lookupStatus: 'error', provider: provider.name };
+    }
+  }
+
+  // Validate checksum and state, then look the GSTIN up. Throws on typos or a state mismatch.
+  async verify(gstin, state) {
+    const result = validateGstin(gstin, state);
+
+    if (!result.valid) {
+      throw new ValidationError(result.errors.join('. '));
+    }
+
+    const lookup = await this.lookup(result.gstin);
+
+    if (lookup.lookupStatus === 'not_found') {
+      throw new ValidationError('GSTIN is not registered. Please check the number');
+    }
+
+    if (lookup.registrationStatus && lookup.registrationStatus !== 'Active') {
+      throw new ValidationError(`GST registration is ${lookup.registrationStatus.toLowerCase()}`);
+    }
+
+    return {
+      gstin: result.gstin,
+      pan: result.pan,
+      verification: {
+        checksumValid: result.checksumValid,
+        stateCode: result.stateCode,
+        stateName: result.stateName,
+        stateMatches: result.stateMatches,
+        ...lookup,
+        checkedAt: new Date()
+      }
+    };
+  }
+
+  // Verify and store the GSTIN, extracted PAN and verification result on the distributor
+  async applyToDistributor(distributor, gstin) {
+    const { gstin: normalized, pan, verification } = await this.verify(gstin, distributor.state);
+
+    distributor.gstNumber = normalized;
+    distributor.panNumber = pan;
+    distributor.gstVerification = verification;
+
+    return verification;
+  }
+
+  // Re-run the checks for an admin review. Unlike verify() this records failures
+  // instead of throwing, so a cancelled registration shows up on the distributor.
+  async refreshDistributor(distributor) {
+    if (!distributor.gstNumber) {
+      throw new ValidationError('Distributor has not provided a GST number');
+    }
+
+    const result = validateGstin(distributor.gstNumber, distributor.state);
+    const lookup = result.checksumValid ? await this.lookup(result.gstin) : { lookupStatus: 'not_checked' };
+
+    distributor.gstVerification = {
+      checksumValid: result.checksumValid,
+      stateCode: result.stateCode,
+      stateName: result.stateName,
+      stateMatches: result.stateMatches,
+      ...lookup,
+      checkedAt: new Date()
+    };
+
+    return { ...result, verification: distributor.gstVerification };
+  }
+}
+
+module.exports = new GstinService();
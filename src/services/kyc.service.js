@@ -0,0 +1,235 @@
+const Distributor = require('../models/Distributor');
+const mailService = require('./mail.service');
+const storageService = require('./storage.service');
+const {
+  REQUIRED_KYC_DOCUMENTS,
+  EXPIRING_KYC_DOCUMENTS,
+  KYC_EXPIRY_REMINDER_DAYS
+} = require('../config/kyc');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class KycService {
+  isDocumentValid(document) {
+    return document.status === 'verified' && (!document.expiresAt || document.expiresAt > Date.now());
+  }
+
+  // Overall KYC state: which required documents are still missing or unverified
+  getKycStatus(distributor) {
+    const documents = distributor.documents || [];
+
+    const missing = REQUIRED_KYC_DOCUMENTS.filter(type => !documents.some(doc => doc.type === type));
+    const unverified = REQUIRED_KYC_DOCUMENTS.filter(type =>
+      !missing.includes(type) && !documents.some(doc => doc.type === type && this.isDocumentValid(doc))
+    );
+
+    return {
+      required: REQUIRED_KYC_DOCUMENTS,
+      missing,
+      unverified,
+      complete: missing.length === 0 && unverified.length === 0
+    };
+  }
+
+  // SECURITY: Documents are private; each response carries a signed URL
+  toDocumentResponse(document) {
+    return {
+      _id: document._id,
+      type: document.type,
+      fileName: document.fileName,
+      documentNumber: document.documentNumber,
+      status: document.status,
+      rejectionReason: document.rejectionReason,
+      reviewedAt: document.reviewedAt,
+      expiresAt: document.expiresAt,
+      uploadedAt: document.uploadedAt,
+      url: document.publicId
+        ? storageService.signedUrl(document.publicId, { resourceType: document.resourceType })
+        : document.url
+    };
+  }
+
+  parseExpiry(type, expiresAt) {
+    if (!expiresAt) {
+      if (EXPIRING_KYC_DOCUMENTS.includes(type)) {
+        throw new ValidationError(`Expiry date is required for ${type.replace(/_/g, ' ')}`);
+      }
+      return undefined;
+    }
+
+    const date = new Date(expiresAt);
+    if (isNaN(date)) {
+      throw new ValidationError('Invalid expiry date');
+    }
+    if (date <= Date.now()) {
+      throw new ValidationError('Document has already expired');
+    }
+    return date;
+  }
+
+  // Upload a document. Uploading a type that already exists replaces it (except 'other').
+  async uploadDocument(distributor, { type, documentNumber, expiresAt, documentId }, file) {
+    if (!file) {
+      throw new ValidationError('Document file is required');
+    }
+
+    let document;
+    if (documentId) {
+      document = distributor.documents.id(documentId);
+      if (!document) {
+        throw new NotFoundError('Document not found');
+      }
+    } else if (type !== 'other') {
+      document = distributor.documents.find(doc => doc.type === type);
+    }
+
+    const documentType = document ? document.type : type;
+    // A replacement file is a new document, so its expiry date is given again
+    const expiry = this.parseExpiry(documentType, expiresAt);
+
+    let result;
+    try {
+      result = await storageService.put(file, { folder: `buildmat/kyc/${distributor._id}`, access: 'private' });
+    } catch (error) {
+      throw new ValidationError('Document upload failed. Please try again.');
+    }
+
+    const previous = document && document.publicId
+      ? { publicId: document.publicId, resourceType: document.resourceType }
+      : null;
+
+    const fields = {
+      type: documentType,
+      url: result.url,
+      publicId: result.key,
+      resourceType: result.resourceType,
+      fileName: file.originalname,
+      documentNumber: documentNumber !== undefined ? documentNumber : document && document.documentNumber,
+      expiresAt: expiry,
+      // A new file always goes back to review
+      status: 'pending',
+      rejectionReason: undefined,
+      reviewedBy: undefined,
+      reviewedAt: undefined,
+      expiryReminderSentAt: undefined,
+      uploadedAt: new Date()
+    };
+
+    if (document) {
+      document.set(fields);
+    } else {
+      distributor.documents.push(fields);
+      document = distributor.documents[distributor.documents.length - 1];
+    }
+
+    await distributor.save();
+
+    // Remove the replaced file; a failure only leaves an orphaned private file
+    if (previous) {
+      storageService.delete(previous.publicId, { access: 'private', resourceType: previous.resourceType })
+        .catch(error => console.error(`Failed to delete replaced KYC document: ${error.message}`));
+    }
+
+    return document;
+  }
+
+  // Admin review of a single document
+  async reviewDocument(distributor, documentId, { status, rejectionReason, expiresAt }, adminId) {
+    const document = distributor.documents.id(documentId);
+
+    if (!document) {
+      throw new NotFoundError('Document not found');
+    }
+
+    if (status === 'rejected' && (!rejectionReason || !rejectionReason.trim())) {
+      throw new ValidationError('Rejection reason is required when rejecting a document');
+    }
+
+    // The admin can correct or add the expiry date read from the document
+    if (expiresAt !== undefined) {
+      document.expiresAt = this.parseExpiry(document.type, expiresAt);
+    } else if (status === 'verified' && EXPIRING_KYC_DOCUMENTS.includes(document.type) && !document.expiresAt) {
+      throw new ValidationError(`Expiry date is required for ${document.type.replace(/_/g, ' ')}`);
+    }
+
+    document.status = status;
+    document.rejectionReason = status === 'rejected' ? rejectionReason.trim() : undefined;
+    document.reviewedBy = adminId;
+    document.reviewedAt = new Date();
+
+    await distributor.save();
+
+    if (status === 'rejected') {
+      try {
+        await mailService.sendDocumentRejectedEmail(distributor, document);
+      } catch (error) {
+        console.error(`Failed to send document rejection email to ${distributor.email}: ${error.message}`);
+      }
+    }
+
+    return document;
+  }
+
+  // Approval gate used by admin approveDistributor
+  assertApprovable(distributor) {
+    const status = this.getKycStatus(distributor);
+
+    if (!status.complete) {
+      const pending = [...status.missing, ...status.unverified].map(type => type.replace(/_/g, ' '));
+      throw new ValidationError(`All required documents must be verified before approval. Pending: ${pending.join(', ')}`);
+    }
+  }
+
+  // Mark lapsed documents expired and remind distributors of documents about to lapse
+  // (run daily from scripts/sendKycExpiryReminders.js)
+  async processExpiringDocuments() {
+    const now = new Date();
+    const reminderCutoff = new Date(now.getTime() + KYC_EXPIRY_REMINDER_DAYS * DAY_MS);
+
+    const distributors = await Distributor.find({
+      documents: {
+        $elemMatch: {
+          status: 'verified',
+          expiresAt: { $lte: reminderCutoff }
+        }
+      }
+    });
+
+    const summary = { expired: 0, reminded: 0 };
+
+    for (const distributor of distributors) {
+      const expired = [];
+      const expiring = [];
+
+      for (const document of distributor.documents) {
+        if (document.status !== 'verified' || !document.expiresAt) continue;
+
+        if (document.expiresAt <= now) {
+          document.status = 'expired';
+          expired.push(document);
+        } else if (document.expiresAt <= reminderCutoff && !document.expiryReminderSentAt) {
+          document.expiryReminderSentAt = now;
+          expiring.push(document);
+        }
+      }
+
+      if (expired.length === 0 && expiring.length === 0) continue;
+
+      await distributor.save({ validateBeforeSave: false });
+
+      try {
+        await mailService.sendDocumentExpiryEmail(distributor, { expired, expiring });
+      } catch (error) {
+        console.error(`Failed to send document expiry email to ${distributor.email}: ${error.message}`);
+      }
+
+      summary.expired += expired.length;
+      summary.reminded += expiring.length;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new KycService();
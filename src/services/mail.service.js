@@ -0,0 +1,169 @@
+const { createTransport, mailFrom } = require('../config/mail');
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' };
+
+// Names, reasons and other user-supplied values go into HTML bodies through this
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+class MailService {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Lazily create the transport so env vars are read after dotenv has loaded
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport();
+    }
+    return this.transport;
+  }
+
+  // Swap the transport (e.g. with an in-memory one in tests)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  // Build a link to a frontend page
+  buildFrontendUrl(pathname) {
+    const baseUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${baseUrl}${pathname}`;
+  }
+
+  // Send a raw message (without html, the text is sent as escaped HTML too)
+  async send({ to, subject, text, html }) {
+    return await this.getTransport().send({
+      from: mailFrom,
+      to,
+      subject,
+      text,
+      html: html || `<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`
+    });
+  }
+
+  // Email verification link
+  async sendVerificationEmail(account, token) {
+    const verifyUrl = this.buildFrontendUrl(`/verify-email/${token}`);
+    const name = account.name || account.businessName;
+
+    return await this.send({
+      to: account.email,
+      subject: 'Verify your BuildAdda email address',
+      text: `Hi ${name},\n\nPlease verify your email address by opening the link below. ` +
+        `The link expires in 24 hours.\n\n${verifyUrl}\n\n` +
+        'If you did not create a BuildAdda account, you can ignore this email.',
+      html: `<p>Hi ${escapeHtml(name)},</p>` +
+        '<p>Please verify your email address by clicking the link below. The link expires in 24 hours.</p>' +
+        `<p><a href="${escapeHtml(verifyUrl)}">Verify email address</a></p>` +
+        '<p>If you did not create a BuildAdda account, you can ignore this email.</p>'
+    });
+  }
+
+  // Password reset link
+  async sendPasswordResetEmail(account, token) {
+    const resetUrl = this.buildFrontendUrl(`/reset-password/${token}`);
+    const name = account.name || account.businessName;
+
+    return await this.send({
+      to: account.email,
+      subject: 'Reset your BuildAdda password',
+      text: `Hi ${name},\n\nWe received a request to reset your password. ` +
+        `Open the link below to choose a new one. The link expires in 10 minutes.\n\n${resetUrl}\n\n` +
+        'If you did not request a password reset, you can ignore this email.',
+      html: `<p>Hi ${escapeHtml(name)},</p>` +
+        '<p>We received a request to reset your password. Click the link below to choose a new one. ' +
+        'The link expires in 10 minutes.</p>' +
+        `<p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>` +
+        '<p>If you did not request a password reset, you can ignore this email.</p>'
+    });
+  }
+
+  // Notify the account owner that their password changed
+  async sendPasswordChangedEmail(account) {
+    const name = account.name || account.businessName;
+
+    return await this.send({
+      to: account.email,
+      subject: 'Your BuildAdda password was changed',
+      text: `Hi ${name},\n\nThe password for your BuildAdda account was just changed ` +
+        'and all existing sessions have been signed out.\n\n' +
+        'If you did not make this change, please contact support immediately.'
+    });
+  }
+
+  // Invitation for a distributor staff member to set up their login
+  async sendStaffInviteEmail(staff, distributor, token) {
+    const inviteUrl = this.buildFrontendUrl(`/staff/accept-invite/${token}`);
+
+    return await this.send({
+      to: staff.email,
+      subject: `${distributor.businessName} invited you to BuildAdda`,
+      text: `Hi ${staff.name},\n\n${distributor.businessName} has invited you to manage their store on BuildAdda. ` +
+        `Open the link below to set your password. The invitation expires in 7 days.\n\n${inviteUrl}`,
+      html: `<p>Hi ${escapeHtml(staff.name)},</p>` +
+        `<p>${escapeHtml(distributor.businessName)} has invited you to manage their store on BuildAdda. ` +
+        'Click the link below to set your password. The invitation expires in 7 days.</p>' +
+        `<p><a href="${escapeHtml(inviteUrl)}">Accept invitation</a></p>`
+    });
+  }
+
+  // KYC document rejected by an admin
+  async sendDocumentRejectedEmail(distributor, document) {
+    const documentsUrl = this.buildFrontendUrl('/distributor/documents');
+    const label = document.type.replace(/_/g, ' ');
+
+    return await this.send({
+      to: distributor.email,
+      subject: `Your ${label} was not accepted`,
+      text: `Hi ${distributor.businessName},\n\nYour ${label} could not be verified for the following reason:\n\n` +
+        `${document.rejectionReason}\n\nPlease upload a new copy:\n\n${documentsUrl}`,
+      html: `<p>Hi ${escapeHtml(distributor.businessName)},</p>` +
+        `<p>Your ${escapeHtml(label)} could not be verified for the following reason:</p>` +
+        `<p><em>${escapeHtml(document.rejectionReason)}</em></p>` +
+        `<p><a href="${escapeHtml(documentsUrl)}">Upload a new copy</a></p>`
+    });
+  }
+
+  // Onboarding decisions: approved, rejected, suspended or reinstated
+  async sendOnboardingStatusEmail(distributor, action, reason) {
+    const onboardingUrl = this.buildFrontendUrl('/distributor/onboarding');
+    const messages = {
+      approve: ['Your BuildAdda store is approved', 'Your distributor account has been approved. You can now list products and accept orders.'],
+      reject: ['Your BuildAdda application needs changes', 'Your distributor application was not approved.'],
+      suspend: ['Your BuildAdda store has been suspended', 'Your store has been suspended. Your products are hidden and new orders are paused.'],
+      reinstate: ['Your BuildAdda store is active again', 'Your store has been reinstated. Your products are visible again.']
+    };
+    const [subject, summary] = messages[action];
+    const reasonText = reason ? `\n\nReason: ${reason}` : '';
+
+    return await this.send({
+      to: distributor.email,
+      subject,
+      text: `Hi ${distributor.businessName},\n\n${summary}${reasonText}\n\nDetails: ${onboardingUrl}`,
+      html: `<p>Hi ${escapeHtml(distributor.businessName)},</p><p>${escapeHtml(summary)}</p>` +
+        (reason ? `<p>Reason: <em>${escapeHtml(reason)}</em></p>` : '') +
+        `<p><a href="${escapeHtml(onboardingUrl)}">View your account status</a></p>`
+    });
+  }
+
+  // KYC documents that have lapsed or are about to
+  async sendDocumentExpiryEmail(distributor, { expired, expiring }) {
+    const documentsUrl = this.buildFrontendUrl('/distributor/documents');
+    const describe = (document) => `${document.type.replace(/_/g, ' ')} (expires ${document.expiresAt.toDateString()})`;
+    const lines = [
+      ...expired.map(document => `Expired: ${describe(document)}`),
+      ...expiring.map(document => `Expiring soon: ${describe(document)}`)
+    ];
+
+    return await this.send({
+      to: distributor.email,
+      subject: expired.length > 0 ? 'Your BuildAdda documents have expired' : 'Your BuildAdda documents are expiring soon',
+      text: `Hi ${distributor.businessName},\n\n${lines.join('\n')}\n\n` +
+        `Please upload renewed documents to keep your store verified:\n\n${documentsUrl}`,
+      html: `<p>Hi ${escapeHtml(distributor.businessName)},</p>` +
+        `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` +
+        `<p><a href="${escapeHtml(documentsUrl)}">Upload renewed documents</a> to keep your store verified.</p>`
+    });
+  }
+}
+
+module.exports = new MailService();
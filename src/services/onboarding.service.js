@@ -0,0 +1,204 @@
+const Product = require('../models/Product');
+const mailService = require('./mail.service');
+const kycService = require('./kyc.service');
+const { ONBOARDING_TRANSITIONS } = require('../config/onboarding');
+const { ValidationError } = require('../utils/errors');
+
+// Decisions the distributor is emailed about
+const NOTIFIED_ACTIONS = ['approve', 'reject', 'suspend', 'reinstate'];
+
+const STATUS_MESSAGES = {
+  applied: 'Upload the required documents to submit your application',
+  under_review: 'Your application is being reviewed',
+  approved: 'Your store is live',
+  rejected: 'Your application was not approved. Fix the issues below and resubmit',
+  suspended: 'Your store is suspended. Products are hidden and new orders are paused'
+};
+
+class OnboardingService {
+  // Accounts from before the lifecycle existed have no onboardingStatus
+  currentStatus(distributor) {
+    if (distributor.onboardingStatus) return distributor.onboardingStatus;
+    if (distributor.isApproved) return 'approved';
+    return distributor.rejectionReason ? 'rejected' : 'applied';
+  }
+
+  // Why an unapproved distributor (or its staff) is refused access to the store routes
+  accessDeniedMessage(distributor) {
+    switch (this.currentStatus(distributor)) {
+      case 'suspended':
+        return 'Your distributor account is suspended';
+      case 'rejected':
+        return 'Your distributor application was rejected';
+      default:
+        return 'Your distributor account is pending approval';
+    }
+  }
+
+  // Query for a lifecycle status, including accounts that predate onboardingStatus
+  statusFilter(status) {
+    const legacy = {
+      approved: { isApproved: true },
+      rejected: { isApproved: false, rejectionReason: { $nin: [null, ''] } },
+      applied: { isApproved: false, rejectionReason: { $in: [null, ''] } }
+    }[status];
+
+    if (!legacy) {
+      return { onboardingStatus: status };
+    }
+
+    return {
+      $or: [
+        { onboardingStatus: status },
+        { onboardingStatus: { $exists: false }, ...legacy }
+      ]
+    };
+  }
+
+  // Move the distributor along the lifecycle, recording who did it and why.
+  // `actor` is { _id, name, role } with role 'admin', 'distributor' or 'system'.
+  async transition(distributor, action, { reason, actor }) {
+    const rule = ONBOARDING_TRANSITIONS[action];
+
+    if (!rule) {
+      throw new ValidationError(`Unknown action ${action}`);
+    }
+
+    const from = this.currentStatus(distributor);
+
+    if (!rule.by.includes(actor.role)) {
+      throw new ValidationError(`Action ${action} is not available to ${actor.role}`);
+    }
+
+    if (!rule.from.includes(from)) {
+      throw new ValidationError(`Cannot ${action.replace(/_/g, ' ')} a distributor that is ${from.replace(/_/g, ' ')}`);
+    }
+
+    const trimmedReason = reason ? String(reason).trim() : '';
+    if (rule.reasonRequired && !trimmedReason) {
+      throw new ValidationError(`A reason is required to ${action}`);
+    }
+
+    // Approval requires every required KYC document to be verified
+    if (rule.to === 'approved') {
+      kycService.assertApprovable(distributor);
+    }
+    if (action === 'resubmit') {
+      this.assertDocumentsSubmitted(distributor);
+    }
+
+    const now = new Date();
+    distributor.onboardingStatus = rule.to;
+    distributor.isApproved = rule.to === 'approved';
+    distributor.onboardingHistory.push({
+      action,
+      from,
+      to: rule.to,
+      reason: trimmedReason || undefined,
+      changedBy: actor._id,
+      changedByRole: actor.role,
+      changedByName: actor.name,
+      at: now
+    });
+
+    if (action === 'approve') {
+      distributor.approvedBy = actor._id;
+      distributor.approvedAt = now;
+      distributor.rejectionReason = undefined;
+    } else if (action === 'reject') {
+      distributor.rejectionReason = trimmedReason;
+    } else if (action === 'suspend') {
+      distributor.suspendedAt = now;
+      distributor.suspensionReason = trimmedReason;
+    } else if (action === 'reinstate') {
+      distributor.suspendedAt = undefined;
+      distributor.suspensionReason = undefined;
+    }
+
+    distributor.$locals.auditAction = `distributor.${action}`;
+    await distributor.save();
+
+    // Suspension hides products without touching their own isActive flag
+    if (action === 'suspend' || action === 'reinstate') {
+      await Product.updateMany(
+        { distributor: distributor._id },
+        { $set: { distributorSuspended: action === 'suspend' } }
+      );
+    }
+
+    if (NOTIFIED_ACTIONS.includes(action)) {
+      try {
+        await mailService.sendOnboardingStatusEmail(distributor, action, trimmedReason);
+      } catch (error) {
+        console.error(`Failed to send onboarding email to ${distributor.email}: ${error.message}`);
+      }
+    }
+
+    return distributor;
+  }
+
+  assertDocumentsSubmitted(distributor) {
+    const { missing } = kycService.getKycStatus(distributor);
+    const rejected = (distributor.documents || []).filter(doc => doc.status === 'rejected');
+
+    if (missing.length > 0) {
+      throw new ValidationError(`Upload all required documents first. Missing: ${missing.map(t => t.replace(/_/g, ' ')).join(', ')}`);
+    }
+    if (rejected.length > 0) {
+      throw new ValidationError(`Replace rejected documents first: ${rejected.map(doc => doc.type.replace(/_/g, ' ')).join(', ')}`);
+    }
+  }
+
+  // Once every required document is uploaded, a new application goes to review
+  async onDocumentsUpdated(distributor) {
+    if (this.currentStatus(distributor) !== 'applied') return;
+    if (kycService.getKycStatus(distributor).missing.length > 0) return;
+
+    await this.transition(distributor, 'start_review', {
+      reason: 'All required documents uploaded',
+      actor: { role: 'system', name: 'System' }
+    });
+  }
+
+  // What the distributor sees: where they are, what is left to do, and the decision history
+  getOnboarding(distributor) {
+    const status = this.currentStatus(distributor);
+    const kyc = kycService.getKycStatus(distributor);
+    const rejectedDocuments = (distributor.documents || [])
+      .filter(doc => doc.status === 'rejected')
+      .map(doc => ({ type: doc.type, reason: doc.rejectionReason }));
+
+    const checklist = [
+      { step: 'email_verified', done: !!distributor.emailVerified },
+      { step: 'phone_verified', done: !!distributor.phoneVerified },
+      {
+        step: 'business_details',
+        done: !!(distributor.businessName && distributor.address && distributor.city && distributor.state && distributor.pincode)
+      },
+      { step: 'documents_uploaded', done: kyc.missing.length === 0, missing: kyc.missing },
+      { step: 'documents_verified', done: kyc.complete, pending: kyc.unverified, rejected: rejectedDocuments }
+    ];
+
+    return {
+      status,
+      message: STATUS_MESSAGES[status],
+      isApproved: !!distributor.isApproved,
+      rejectionReason: status === 'rejected' ? distributor.rejectionReason : undefined,
+      suspensionReason: status === 'suspended' ? distributor.suspensionReason : undefined,
+      suspendedAt: status === 'suspended' ? distributor.suspendedAt : undefined,
+      canResubmit: status === 'rejected',
+      checklist,
+      missing: checklist.filter(item => !item.done).map(item => item.step),
+      history: (distributor.onboardingHistory || []).map(event => ({
+        action: event.action,
+        from: event.from,
+        to: event.to,
+        reason: event.reason,
+        changedByRole: event.changedByRole,
+        at: event.at
+      }))
+    };
+  }
+}
+
+module.exports = new OnboardingService();
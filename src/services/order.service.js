@@ -1,7 +1,10 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const Coupon = require('../models/Coupon');
 const Transaction = require('../models/Transaction');
+const Product = require('../models/Product');
+const variantService = require('./variant.service');
+const pricingService = require('./pricing.service');
+const { ValidationError, NotFoundError } = require('../utils/errors');
 
 class OrderService {
   // Generate unique order number
@@ -11,6 +14,60 @@ class OrderService {
     return `ORD${timestamp}${random}`;
   }
 
+  // Order lines for [{ product, variant, quantity }] at current prices, after stock and
+  // quantity checks. The unit price is the quantity-break tier reached, if any. With
+  // `distributor`, every product must be sold by that distributor.
+  async priceItems(items, { distributor } = {}) {
+    const lines = [];
+    let subtotal = 0;
+
+    for (const item of items) {
+      if (!item.product || !item.quantity) {
+        throw new ValidationError('Each item must have product and quantity');
+      }
+
+      // Fetch product to validate price and stock
+      const product = await Product.findById(item.product);
+
+      if (!product) {
+        throw new NotFoundError(`Product ${item.product} not found`);
+      }
+
+      if (!product.isActive || product.distributorSuspended) {
+        throw new ValidationError(`Product ${product.name} is not available`);
+      }
+
+      // An order goes to one distributor, whose suspension, delivery area and hours were checked
+      if (distributor && !product.distributor.equals(distributor)) {
+        throw new ValidationError(`Product ${product.name} is not sold by this distributor`);
+      }
+
+      // Price, stock and quantity limits come from the variant when the product has variants
+      const purchase = variantService.resolve(product, item.variant);
+      variantService.assertQuantity(purchase, item.quantity);
+
+      const { price, tier } = pricingService.priceFor(purchase, item.quantity);
+
+      lines.push({
+        product: product._id,
+        distributor: product.distributor,
+        variant: purchase.variant,
+        sku: purchase.sku,
+        variantOptions: purchase.options,
+        quantity: item.quantity,
+        price,  // Use current price from DB
+        basePrice: purchase.price,
+        priceTier: tier,
+        name: purchase.name,
+        image: purchase.image
+      });
+
+      subtotal += pricingService.lineTotal(purchase, item.quantity);
+    }
+
+    return { items: lines, subtotal };
+  }
+
   // Create new order
   async createOrder(orderData) {
     // Use the orderData passed from controller which already has validated items and calculations
@@ -19,11 +76,19 @@ class OrderService {
       ...orderData  // Spread all fields from orderData (includes paymentMethod, distributor, etc.)
     });
 
-    // Update product stock
+    // A coupon use is only counted for an order that exists; without a use left, no order
+    if (orderData.coupon) {
+      try {
+        await this.redeemCoupon(orderData.coupon);
+      } catch (error) {
+        await Order.deleteOne({ _id: order._id });
+        throw error;
+      }
+    }
+
+    // Update product (variant) stock
     for (const item of orderData.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity }
-      });
+      await variantService.adjustStock(item.product, item.variant, -item.quantity);
     }
 
     return await this.getOrderById(order._id);
@@ -110,9 +175,7 @@ class OrderService {
     // If order is cancelled, restore stock
     if (status === 'cancelled') {
       for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity }
-        });
+        await variantService.adjustStock(item.product, item.variant, item.quantity);
       }
     }
 
@@ -153,20 +216,21 @@ class OrderService {
     return await this.getOrderById(orderId);
   }
 
-  // Apply coupon
-  async applyCoupon(couponCode, totalAmount) {
+  // Discount a coupon gives on an amount, without using it up: the checkout preview and
+  // createOrder both check with this, and createOrder then redeems the coupon
+  async validateCoupon(couponCode, totalAmount) {
     const coupon = await Coupon.findOne({
       code: couponCode.toUpperCase(),
       isActive: true,
       expiryDate: { $gte: new Date() }
     });
 
-    if (!coupon) {
-      throw new Error('Invalid or expired coupon');
+    if (!coupon || !coupon.isValid()) {
+      throw new ValidationError('Invalid or expired coupon');
     }
 
     if (totalAmount < coupon.minPurchase) {
-      throw new Error(`Minimum purchase of ₹${coupon.minPurchase} required`);
+      throw new ValidationError(`Minimum purchase of ₹${coupon.minPurchase} required`);
     }
 
     let discount = 0;
@@ -181,11 +245,29 @@ class OrderService {
       discount = coupon.discountValue;
     }
 
-    // Increment usage count
-    coupon.usageCount += 1;
-    await coupon.save();
+    return {
+      discount,
+      couponId: coupon._id,
+      coupon: { code: coupon.code, discountType: coupon.discountType, discountValue: coupon.discountValue }
+    };
+  }
+
+  // Count one use of a coupon, atomically against its usage limit
+  async redeemCoupon(couponId) {
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: couponId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    if (!coupon) {
+      throw new ValidationError('This coupon has reached its usage limit');
+    }
 
-    return discount;
+    return coupon;
   }
 
   // Get order statistics for distributor
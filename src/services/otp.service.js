@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { createSmsProvider } = require('../config/sms');
+const { ValidationError, RateLimitError } = require('../utils/errors');
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRES_MINUTES || '5', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+
+const messages = {
+  verify_phone: (code) => `${code} is your BuildAdda phone verification code. It expires in ${OTP_EXPIRY_MINUTES} minutes.`,
+  login: (code) => `${code} is your BuildAdda login code. It expires in ${OTP_EXPIRY_MINUTES} minutes. Do not share it with anyone.`
+};
+
+class OtpService {
+  constructor() {
+    this.provider = null;
+  }
+
+  // Lazily create the provider so env vars are read after dotenv has loaded
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createSmsProvider();
+    }
+    return this.provider;
+  }
+
+  // Swap the provider (e.g. with an in-memory one in tests)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  generateCode() {
+    return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  }
+
+  // HMAC keyed with the server secret, so a leaked OTP collection can't be brute-forced offline
+  hashCode(phone, purpose, code) {
+    return crypto
+      .createHmac('sha256', process.env.JWT_SECRET)
+      .update(`${phone}:${purpose}:${code}`)
+      .digest('hex');
+  }
+
+  // Generate and send a new OTP, enforcing the resend cooldown
+  async sendOtp(phone, purpose) {
+    const existing = await Otp.findOne({ phone, purpose });
+
+    if (existing && existing.expiresAt > Date.now()) {
+      const secondsSinceLastSend = (Date.now() - existing.lastSentAt.getTime()) / 1000;
+      if (secondsSinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+        const wait = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend);
+        throw new RateLimitError(`Please wait ${wait} seconds before requesting a new OTP`);
+      }
+    }
+
+    const code = this.generateCode();
+
+    // A new code replaces the old one and resets the attempt counter
+    await Otp.findOneAndUpdate(
+      { phone, purpose },
+      {
+        codeHash: this.hashCode(phone, purpose, code),
+        attempts: 0,
+        lastSentAt: new Date(),
+        expiresAt: new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.getProvider().send({ to: phone, message: messages[purpose](code) });
+
+    return {
+      expiresIn: OTP_EXPIRY_MINUTES * 60,
+      resendIn: OTP_RESEND_COOLDOWN_SECONDS
+    };
+  }
+
+  // Check an OTP. The OTP is consumed on success and discarded after too many wrong attempts.
+  async verifyOtp(phone, purpose, code) {
+    const current = { phone, purpose, expiresAt: { $gt: new Date() } };
+
+    // SECURITY: Count the attempt atomically before comparing, so parallel guesses can't
+    // all read the same counter and get past OTP_MAX_ATTEMPTS
+    const otp = await Otp.findOneAndUpdate(
+      { ...current, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    ).select('+codeHash');
+
+    if (!otp) {
+      const exhausted = await Otp.findOneAndDelete(current);
+      if (exhausted) {
+        throw new RateLimitError('Too many incorrect attempts. Please request a new OTP');
+      }
+      throw new ValidationError('OTP is invalid or has expired. Please request a new one');
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(this.hashCode(phone, purpose, String(code)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        await Otp.deleteOne({ _id: otp._id });
+        throw new RateLimitError('Too many incorrect attempts. Please request a new OTP');
+      }
+
+      throw new ValidationError(`Incorrect OTP. ${OTP_MAX_ATTEMPTS - otp.attempts} attempts remaining`);
+    }
+
+    // Single use: only the request that removes the OTP gets through
+    const { deletedCount } = await Otp.deleteOne({ _id: otp._id });
+    if (deletedCount === 0) {
+      throw new ValidationError('OTP is invalid or has expired. Please request a new one');
+    }
+    return true;
+  }
+}
+
+module.exports = new OtpService();
@@ -0,0 +1,83 @@
+const { ValidationError } = require('../utils/errors');
+
+const MAX_PRICE_TIERS = 5;
+
+// Multipart product forms send arrays as JSON strings
+const parseJson = (value, label) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new ValidationError(`Invalid ${label} format`);
+  }
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class PricingService {
+  // Quantity breaks [{ minQuantity: 100, price: 360 }] for a product or variant sold at
+  // `basePrice`, sorted by quantity. Each tier must be cheaper than the one below it.
+  normalizeTiers(input, basePrice, label = 'this product') {
+    const tiers = parseJson(input, 'price tiers');
+    if (tiers === null || tiers === '') return [];
+
+    if (!Array.isArray(tiers)) {
+      throw new ValidationError('Price tiers must be an array of { minQuantity, price }');
+    }
+    if (tiers.length > MAX_PRICE_TIERS) {
+      throw new ValidationError(`A price can have at most ${MAX_PRICE_TIERS} quantity tiers`);
+    }
+
+    const normalized = tiers
+      .map(tier => {
+        const minQuantity = parseInt(tier && tier.minQuantity);
+        const price = parseFloat(tier && tier.price);
+
+        if (isNaN(minQuantity) || minQuantity < 2) {
+          throw new ValidationError(`Price tiers of ${label} must start at 2 units or more`);
+        }
+        if (isNaN(price) || price <= 0) {
+          throw new ValidationError(`Tier prices of ${label} must be greater than 0`);
+        }
+        return { minQuantity, price };
+      })
+      .sort((a, b) => a.minQuantity - b.minQuantity);
+
+    normalized.forEach((tier, index) => {
+      const below = index > 0 ? normalized[index - 1] : { minQuantity: 1, price: basePrice };
+      if (tier.minQuantity === below.minQuantity) {
+        throw new ValidationError(`Two price tiers of ${label} start at ${tier.minQuantity} units`);
+      }
+      if (tier.price >= below.price) {
+        throw new ValidationError(`Price of ${label} from ${tier.minQuantity} units must be lower than ₹${below.price}`);
+      }
+    });
+
+    return normalized;
+  }
+
+  // Unit price for `quantity` of a product, variant or resolved item ({ price, priceTiers }):
+  // the highest tier reached, otherwise the base price
+  priceFor(item, quantity) {
+    const tier = [...(item.priceTiers || [])]
+      .reverse()
+      .find(candidate => quantity >= candidate.minQuantity);
+
+    return tier
+      ? { price: tier.price, tier: { minQuantity: tier.minQuantity, price: tier.price } }
+      : { price: item.price, tier: null };
+  }
+
+  // The next break above `quantity`, so carts can show "from 100 units: ₹360"
+  nextTier(item, quantity) {
+    const tier = (item.priceTiers || []).find(candidate => candidate.minQuantity > quantity);
+    return tier ? { minQuantity: tier.minQuantity, price: tier.price } : null;
+  }
+
+  lineTotal(item, quantity) {
+    return roundMoney(this.priceFor(item, quantity).price * quantity);
+  }
+}
+
+module.exports = new PricingService();
@@ -1,4 +1,5 @@
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const User = require('../models/User');
 
 class ProductService {
@@ -51,10 +52,9 @@ class ProductService {
       .sort('-createdAt');
   }
 
-  // Get all categories
+  // Get all active categories (flat; see category.service for the tree)
   async getCategories() {
-    const Category = require('../models/Category');
-    return await Category.find({ isActive: true }).sort('name');
+    return await Category.find({ isActive: true }).sort('sortOrder name');
   }
 
   // Wishlist operations
@@ -0,0 +1,124 @@
+const storageService = require('./storage.service');
+const { MAX_PRODUCT_IMAGES, PRODUCT_IMAGE_SIZES } = require('../config/productImages');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+class ProductImageService {
+  // Upload one image together with its derived sizes
+  async upload(file) {
+    const result = await storageService.put(file, { folder: 'buildmat/products', sizes: PRODUCT_IMAGE_SIZES });
+
+    return {
+      url: result.url,
+      publicId: result.key,
+      thumbnailUrl: result.sizes.thumbnail,
+      mediumUrl: result.sizes.medium,
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  // Add uploads to the gallery; `primary` goes first, the others at the end
+  async addImages(product, { primary, others = [] } = {}) {
+    const files = [...(primary ? [primary] : []), ...others];
+    if (files.length === 0) return [];
+
+    // Products from before the gallery keep their single image as the first entry
+    if (product.images.length === 0 && product.image) {
+      product.images.push({ url: product.image });
+    }
+
+    if (product.images.length + files.length > MAX_PRODUCT_IMAGES) {
+      throw new ValidationError(`A product can have at most ${MAX_PRODUCT_IMAGES} images (${product.images.length} already uploaded)`);
+    }
+
+    // One failed upload fails them all; the ones that made it are deleted again
+    const results = await Promise.allSettled(files.map(file => this.upload(file)));
+    const uploaded = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+    if (uploaded.length < files.length) {
+      this.deleteStored(uploaded.map(image => image.publicId));
+      throw new ValidationError('Image upload failed. Please try again.');
+    }
+
+    if (primary) {
+      const [first, ...rest] = uploaded;
+      product.images.unshift(first);
+      product.images.push(...rest);
+    } else {
+      product.images.push(...uploaded);
+    }
+
+    return uploaded;
+  }
+
+  findImage(product, imageId) {
+    const image = product.images.id(imageId);
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+    return image;
+  }
+
+  // New display order; imageIds must list every image of the product once
+  reorder(product, imageIds) {
+    if (!Array.isArray(imageIds)) {
+      throw new ValidationError('imageIds must be an array');
+    }
+
+    const ids = imageIds.map(String);
+    const current = product.images.map(image => image._id.toString());
+
+    if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+      throw new ValidationError('imageIds must list every image of the product exactly once');
+    }
+
+    product.images = ids.map(id => product.images.id(id).toObject());
+  }
+
+  setPrimary(product, imageId) {
+    const image = this.findImage(product, imageId).toObject();
+    product.images = [image, ...product.images.filter(other => !other._id.equals(image._id)).map(other => other.toObject())];
+  }
+
+  // Remove from the gallery. Returns the stored asset's publicId, to be deleted with
+  // deleteStored once the product is saved.
+  remove(product, imageId) {
+    const image = this.findImage(product, imageId);
+    const { publicId } = image;
+
+    product.images.pull(image._id);
+
+    return publicId;
+  }
+
+  // Save after addImages; when the save fails, the new uploads are deleted again
+  async saveWithImages(product, uploaded) {
+    try {
+      await product.save();
+    } catch (error) {
+      this.deleteStored(uploaded.map(image => image.publicId));
+      throw error;
+    }
+  }
+
+  // Stored assets of a product's gallery and variant images, to delete with the product. An
+  // offer on a catalog item shows the item's images, which stay with the item.
+  storedIds(product) {
+    if (product.catalogItem) return [];
+    return [
+      ...(product.images || []).map(image => image.publicId),
+      ...(product.variants || []).map(variant => variant.imagePublicId)
+    ].filter(Boolean);
+  }
+
+  // Delete stored assets (with their derived sizes) in the background; failures are logged
+  deleteStored(publicIds) {
+    for (const publicId of publicIds.filter(Boolean)) {
+      storageService.delete(publicId).catch(error => {
+        console.error(`Failed to delete product image ${publicId}: ${error.message}`);
+      });
+    }
+  }
+}
+
+module.exports = new ProductImageService();
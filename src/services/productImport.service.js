@@ -0,0 +1,393 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Product = require('../models/Product');
+const distributorProductService = require('./distributorProduct.service');
+const variantService = require('./variant.service');
+const { escapeFormula, unescapeFormula } = require('../utils/csv');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+
+const MAX_IMPORT_ROWS = 2000;
+const SPEC_PREFIX = 'spec.';
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+const FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { contentType: 'text/csv' }
+};
+
+// Spreadsheet columns. Specification values go in extra `spec.<attribute key>` columns.
+const COLUMNS = [
+  { key: 'sku', width: 18, help: 'Required. Rows are matched on SKU: a known product or variant SKU is updated, a new one creates a product' },
+  { key: 'productId', width: 26, help: 'Optional. Gives an existing product without a SKU the SKU of this row' },
+  { key: 'name', width: 30, help: 'Product name (required for new products)' },
+  { key: 'description', width: 40, help: 'Product description (required for new products)' },
+  { key: 'category', width: 20, help: 'Category slug or ID (required for new products)' },
+  { key: 'price', width: 10, help: 'Price per unit, greater than 0' },
+  { key: 'priceTiers', width: 20, help: 'Quantity breaks as units=price, comma separated, e.g. 100=360, 500=350 (each lower than the last); none removes them' },
+  { key: 'stock', width: 10, help: 'Units in stock, 0 or more' },
+  { key: 'unit', width: 10, help: 'Selling unit, e.g. bag, kg, piece' },
+  { key: 'minQuantity', width: 12, help: 'Minimum order quantity (default 1)' },
+  { key: 'maxQuantity', width: 12, help: 'Maximum order quantity (empty for no limit)' },
+  { key: 'paymentMethods', width: 16, help: 'COD, Online or both, comma separated' },
+  { key: 'isActive', width: 10, help: 'true or false' },
+  { key: 'variantOptions', width: 28, help: 'Export only. Options of a variant row; variant rows update price, price tiers, stock, quantities and isActive only' }
+];
+
+// Fields a variant row can change (see variantService.updateVariant)
+const VARIANT_FIELDS = ['price', 'priceTiers', 'stock', 'minQuantity', 'maxQuantity', 'isActive'];
+
+// A cell as trimmed text ('' when empty); handles rich text, formulas and hyperlinks
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return '';
+  }
+  return String(value).trim();
+};
+
+const parseBoolean = (text, label) => {
+  const value = text.toLowerCase();
+  if (['true', 'yes', '1'].includes(value)) return true;
+  if (['false', 'no', '0'].includes(value)) return false;
+  throw new ValidationError(`${label} must be true or false`);
+};
+
+// "100=360, 500=350" as [{ minQuantity: '100', price: '360' }, ...] (checked by pricingService).
+// = rather than : so spreadsheets don't read the breaks as times.
+const parseTiers = (text) => {
+  if (text.toLowerCase() === 'none') return [];
+
+  return text.split(',').map(part => {
+    const [minQuantity, price, extra] = part.split('=').map(value => value.trim());
+    if (!minQuantity || !price || extra !== undefined) {
+      throw new ValidationError('priceTiers must look like 100=360, 500=350');
+    }
+    return { minQuantity, price };
+  });
+};
+
+const formatTiers = (tiers) => (tiers || []).map(tier => `${tier.minQuantity}=${tier.price}`).join(', ');
+
+class ProductImportService {
+  formatOf(value) {
+    const format = String(value || 'xlsx').toLowerCase();
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+  }
+
+  // Rows of an uploaded CSV or XLSX file as { row, values } keyed by column name
+  async readRows(file) {
+    if (!file) {
+      throw new ValidationError('Please upload a CSV or XLSX file');
+    }
+
+    const isCsv = /\.csv$/i.test(file.originalname || '') || file.mimetype === 'text/csv';
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    try {
+      if (isCsv) {
+        // Keep cells as text so SKUs like 0012 or 2024-01 survive
+        worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+      } else {
+        await workbook.xlsx.load(file.buffer);
+        worksheet = workbook.worksheets[0];
+      }
+    } catch (error) {
+      throw new ValidationError('Could not read the file. Upload a CSV or XLSX file exported from a spreadsheet');
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw new ValidationError('The file has no product rows');
+    }
+
+    const known = new Map(COLUMNS.map(column => [column.key.toLowerCase(), column.key]));
+    const headers = [];
+    worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      const header = cellText(cell.value);
+      headers[columnNumber] = header.toLowerCase().startsWith(SPEC_PREFIX)
+        ? `${SPEC_PREFIX}${header.slice(SPEC_PREFIX.length).trim()}`
+        : known.get(header.toLowerCase()) || null;
+    });
+
+    if (!headers.includes('sku')) {
+      throw new ValidationError('The file needs a sku column. Download the template to see the expected columns');
+    }
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      row.eachCell({ includeEmpty: false }, (cell, columnNumber) => {
+        const header = headers[columnNumber];
+        const text = cellText(cell.value);
+        if (header && text) {
+          values[header] = isCsv ? unescapeFormula(text) : text;
+        }
+      });
+
+      if (Object.keys(values).length > 0) {
+        rows.push({ row: rowNumber, values });
+      }
+    });
+
+    if (rows.length === 0) {
+      throw new ValidationError('The file has no product rows');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`A file can have at most ${MAX_IMPORT_ROWS} product rows`);
+    }
+
+    return { rows, hasSpecColumns: headers.some(header => header && header.startsWith(SPEC_PREFIX)) };
+  }
+
+  // Product fields of a row, in the shape the add/update product rules expect
+  toProductData(values, hasSpecColumns) {
+    const data = {
+      name: values.name,
+      description: values.description,
+      category: values.category,
+      price: values.price,
+      priceTiers: values.priceTiers ? parseTiers(values.priceTiers) : undefined,
+      stock: values.stock,
+      unit: values.unit,
+      minQuantity: values.minQuantity,
+      maxQuantity: values.maxQuantity,
+      acceptedPaymentMethods: values.paymentMethods
+        ? values.paymentMethods.split(',').map(method => method.trim()).filter(Boolean)
+        : undefined,
+      isActive: values.isActive ? parseBoolean(values.isActive, 'isActive') : undefined
+    };
+
+    // With spec columns in the file, a row's specifications are replaced by its spec cells
+    if (hasSpecColumns) {
+      data.specifications = Object.fromEntries(
+        Object.entries(values)
+          .filter(([key]) => key.startsWith(SPEC_PREFIX))
+          .map(([key, value]) => [key.slice(SPEC_PREFIX.length), value])
+      );
+    }
+
+    return data;
+  }
+
+  // Validate one row and, unless dry run, save it. Returns 'create' or 'update'.
+  async importRow(distributorId, values, { hasSpecColumns, dryRun }) {
+    const sku = variantService.normalizeSku(values.sku);
+    const data = this.toProductData(values, hasSpecColumns);
+
+    let product = await Product.findOne({
+      distributor: distributorId,
+      $or: [{ sku }, { 'variants.sku': sku }]
+    });
+    let action = 'update';
+
+    if (product && product.sku !== sku) {
+      const variant = product.variants.find(v => v.sku === sku);
+      const changes = Object.fromEntries(
+        VARIANT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])
+      );
+      variantService.updateVariant(product, variant._id, changes);
+    } else if (product) {
+      // Offers on a catalog item keep the catalog's name, description and specifications
+      await distributorProductService.applyChanges(product, distributorProductService.ownFields(product, data));
+    } else if (values.productId) {
+      if (!OBJECT_ID_PATTERN.test(values.productId)) {
+        throw new ValidationError('Invalid productId');
+      }
+      product = await Product.findOne({ _id: values.productId, distributor: distributorId });
+      if (!product) {
+        throw new NotFoundError('Product not found or access denied');
+      }
+      if (product.sku) {
+        throw new ValidationError(`Product already has SKU ${product.sku}`);
+      }
+      await distributorProductService.applyChanges(product, distributorProductService.ownFields(product, { ...data, sku }));
+    } else {
+      product = await distributorProductService.build(distributorId, { ...data, sku });
+      if (data.isActive !== undefined) {
+        product.isActive = data.isActive;
+      }
+      action = 'create';
+    }
+
+    if (dryRun) {
+      await product.validate();
+    } else {
+      await product.save();
+    }
+
+    return { action, product };
+  }
+
+  // Upsert products by SKU from a file. Every row is checked with the add/update product
+  // rules; valid rows are saved (unless dry run) and the others reported with the reason.
+  async importProducts(distributorId, file, { dryRun = false } = {}) {
+    const { rows, hasSpecColumns } = await this.readRows(file);
+
+    const seen = new Map();
+    const report = [];
+
+    for (const { row, values } of rows) {
+      const sku = values.sku ? values.sku.toUpperCase() : '';
+      const result = { row, sku: sku || undefined };
+
+      try {
+        if (sku && seen.has(sku)) {
+          throw new ValidationError(`SKU ${sku} is already used in row ${seen.get(sku)}`);
+        }
+        if (sku) seen.set(sku, row);
+
+        const { action, product } = await this.importRow(distributorId, values, { hasSpecColumns, dryRun });
+        Object.assign(result, { status: 'valid', action, productId: product._id });
+      } catch (error) {
+        if (!error.isOperational && error.name !== 'ValidationError') {
+          throw error;
+        }
+
+        // Mongoose validation errors list each failing field
+        const message = error.errors
+          ? Object.values(error.errors).map(e => e.message).join(', ')
+          : error.message;
+        Object.assign(result, { status: 'invalid', error: message });
+      }
+
+      report.push(result);
+    }
+
+    const count = (predicate) => report.filter(predicate).length;
+
+    return {
+      dryRun,
+      summary: {
+        total: report.length,
+        created: count(r => r.action === 'create'),
+        updated: count(r => r.action === 'update'),
+        invalid: count(r => r.status === 'invalid')
+      },
+      rows: report
+    };
+  }
+
+  // Columns for the distributor's spec values, in a stable order
+  specColumns(products) {
+    const keys = new Set();
+    for (const product of products) {
+      for (const key of (product.specifications ? product.specifications.keys() : [])) {
+        keys.add(key);
+      }
+    }
+    return [...keys].sort().map(key => `${SPEC_PREFIX}${key}`);
+  }
+
+  async buildWorkbook(columns, rows, { withHelp = false } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Products');
+
+    sheet.columns = columns.map(key => ({
+      header: key,
+      key,
+      width: (COLUMNS.find(column => column.key === key) || { width: 16 }).width
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.views = [{ state: 'frozen', ySplit: 1 }];
+    rows.forEach(row => sheet.addRow(row));
+
+    if (withHelp) {
+      const help = workbook.addWorksheet('Instructions');
+      help.columns = [{ header: 'column', key: 'key', width: 18 }, { header: 'description', key: 'help', width: 100 }];
+      help.getRow(1).font = { bold: true };
+      COLUMNS.forEach(column => help.addRow(column));
+      help.addRow({ key: 'spec.<key>', help: 'Specification value, one column per attribute of the category (see GET /api/products/categories/:categoryId/attributes)' });
+    }
+
+    return workbook;
+  }
+
+  async toFile(workbook, format, name) {
+    const buffer = format === 'csv'
+      ? await workbook.csv.writeBuffer({ sheetName: 'Products' })
+      : await workbook.xlsx.writeBuffer();
+
+    return {
+      buffer: Buffer.from(buffer),
+      contentType: FORMATS[format].contentType,
+      fileName: `${name}.${format}`
+    };
+  }
+
+  // All of the distributor's products, one row per product or per variant
+  async exportProducts(distributorId, format) {
+    const products = await Product.find({ distributor: distributorId })
+      .populate('category', 'slug')
+      .sort('name');
+
+    const specColumns = this.specColumns(products);
+    const rows = [];
+
+    for (const product of products) {
+      const base = {
+        productId: product._id.toString(),
+        name: product.name,
+        description: product.description,
+        category: product.category ? product.category.slug : '',
+        unit: product.unit,
+        paymentMethods: (product.acceptedPaymentMethods || []).join(', '),
+        ...Object.fromEntries(specColumns.map(column => [
+          column,
+          product.specifications ? product.specifications.get(column.slice(SPEC_PREFIX.length)) : undefined
+        ]))
+      };
+
+      if (variantService.hasVariants(product)) {
+        for (const variant of product.variants) {
+          rows.push({
+            ...base,
+            sku: variant.sku,
+            price: variant.price,
+            priceTiers: formatTiers(variant.priceTiers),
+            stock: variant.stock,
+            minQuantity: variant.minQuantity,
+            maxQuantity: variant.maxQuantity,
+            isActive: variant.isActive,
+            variantOptions: variantService.describe(variant, product.options)
+          });
+        }
+      } else {
+        rows.push({
+          ...base,
+          sku: product.sku,
+          price: product.price,
+          priceTiers: formatTiers(product.priceTiers),
+          stock: product.stock,
+          minQuantity: product.minQuantity,
+          maxQuantity: product.maxQuantity,
+          isActive: product.isActive
+        });
+      }
+    }
+
+    const escaped = format === 'csv'
+      ? rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, escapeFormula(value)])))
+      : rows;
+
+    const workbook = await this.buildWorkbook([...COLUMNS.map(column => column.key), ...specColumns], escaped);
+    return this.toFile(workbook, format, `products-${new Date().toISOString().slice(0, 10)}`);
+  }
+
+  // Empty sheet with the import columns (and, in XLSX, a sheet describing them)
+  async getTemplate(format) {
+    const columns = COLUMNS.filter(column => column.key !== 'variantOptions').map(column => column.key);
+    const workbook = await this.buildWorkbook(columns, [], { withHelp: format === 'xlsx' });
+    return this.toFile(workbook, format, 'products-import-template');
+  }
+}
+
+module.exports = new ProductImportService();
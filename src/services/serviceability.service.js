@@ -0,0 +1,231 @@
+const Distributor = require('../models/Distributor');
+const geocoderService = require('./geocoder.service');
+const { ValidationError } = require('../utils/errors');
+
+const MAX_SERVICE_AREAS = 20;
+const MAX_AREA_PINCODES = 1000;
+const MAX_RING_POSITIONS = 1000;
+
+// Ray casting on a single ring of [lng, lat] positions
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+// Inside the outer ring and outside every hole
+const pointInPolygon = (point, polygon) => {
+  const [outer, ...holes] = polygon.coordinates;
+  return pointInRing(point, outer) && !holes.some(hole => pointInRing(point, hole));
+};
+
+const validateRing = (ring, index) => {
+  const label = index === 0 ? 'Polygon outer ring' : `Polygon hole ${index}`;
+
+  if (!Array.isArray(ring) || ring.length < 4) {
+    throw new ValidationError(`${label} needs at least 4 positions (first and last equal)`);
+  }
+
+  if (ring.length > MAX_RING_POSITIONS) {
+    throw new ValidationError(`${label} cannot have more than ${MAX_RING_POSITIONS} positions`);
+  }
+
+  for (const position of ring) {
+    if (!Array.isArray(position) || position.length !== 2 ||
+        !(position[0] >= -180 && position[0] <= 180) || !(position[1] >= -90 && position[1] <= 90)) {
+      throw new ValidationError(`${label} positions must be [longitude, latitude]`);
+    }
+  }
+
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    throw new ValidationError(`${label} must be closed (first and last positions equal)`);
+  }
+};
+
+class ServiceabilityService {
+  // Normalize and validate a service area from the request body
+  buildServiceArea({ name, pincodes, polygon } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new ValidationError('Service area name is required');
+    }
+
+    const area = { name: String(name).trim() };
+
+    if (pincodes !== undefined && pincodes !== null) {
+      if (!Array.isArray(pincodes)) {
+        throw new ValidationError('Pincodes must be an array');
+      }
+
+      const unique = [...new Set(pincodes.map(pincode => String(pincode).trim()))];
+      const invalid = unique.filter(pincode => !/^\d{6}$/.test(pincode));
+
+      if (invalid.length > 0) {
+        throw new ValidationError(`Invalid pincodes: ${invalid.join(', ')}`);
+      }
+      if (unique.length > MAX_AREA_PINCODES) {
+        throw new ValidationError(`A service area cannot have more than ${MAX_AREA_PINCODES} pincodes`);
+      }
+      if (unique.length > 0) {
+        area.pincodes = unique;
+      }
+    }
+
+    if (polygon !== undefined && polygon !== null) {
+      if (polygon.type !== 'Polygon' || !Array.isArray(polygon.coordinates) || polygon.coordinates.length === 0) {
+        throw new ValidationError('Polygon must be a GeoJSON Polygon');
+      }
+
+      polygon.coordinates.forEach(validateRing);
+      area.polygon = { type: 'Polygon', coordinates: polygon.coordinates };
+    }
+
+    if (!area.pincodes && !area.polygon) {
+      throw new ValidationError('A service area needs pincodes, a polygon, or both');
+    }
+
+    return area;
+  }
+
+  assertCanAddArea(distributor) {
+    if (distributor.serviceAreas.length >= MAX_SERVICE_AREAS) {
+      throw new ValidationError(`A distributor can have at most ${MAX_SERVICE_AREAS} service areas`);
+    }
+  }
+
+  hasServiceAreas(distributor) {
+    return !!(distributor.serviceAreas && distributor.serviceAreas.length > 0);
+  }
+
+  // The area covering a pincode (and/or its centroid), or undefined
+  findCoveringArea(distributor, pincode, point) {
+    return distributor.serviceAreas.find(area =>
+      (area.pincodes && area.pincodes.includes(pincode)) ||
+      (point && area.polygon && pointInPolygon(point, area.polygon))
+    );
+  }
+
+  // Where the distributor delivers from: its location, else its pincode centroid
+  originFor(distributor) {
+    const coords = distributor.location && distributor.location.coordinates;
+    if (coords && coords.length === 2) {
+      return coords;
+    }
+
+    const place = geocoderService.lookup(distributor.pincode);
+    return place ? place.coordinates : null;
+  }
+
+  // Can the distributor deliver to this pincode? Service areas, when defined, take precedence
+  // over the radius. When the answer depends on coordinates that can't be resolved, the result
+  // is serviceable with `verified: false` rather than a refusal (for previews; checkout goes
+  // through assertServiceable, which refuses it).
+  checkPincode(distributor, pincode) {
+    const normalized = String(pincode).trim();
+    const place = geocoderService.lookup(normalized);
+    const origin = this.originFor(distributor);
+
+    const result = {
+      pincode: normalized,
+      district: place ? place.district : null,
+      state: place ? place.state : null,
+      method: 'radius',
+      serviceRadius: distributor.serviceRadius,
+      distance: null,
+      verified: false,
+      serviceable: true
+    };
+
+    if (place && origin) {
+      result.distance = Math.round(geocoderService.distanceKm(origin, place.coordinates) * 10) / 10;
+    }
+
+    if (this.hasServiceAreas(distributor)) {
+      const area = this.findCoveringArea(distributor, normalized, place && place.coordinates);
+      const usesPolygons = distributor.serviceAreas.some(a => a.polygon);
+
+      // Pincode lists alone give a definite answer; polygons need the pincode's coordinates
+      const verified = !!area || !!place || !usesPolygons;
+
+      return {
+        ...result,
+        method: 'service_area',
+        serviceRadius: undefined,
+        serviceArea: area ? { _id: area._id, name: area.name } : null,
+        verified,
+        serviceable: !!area || !verified
+      };
+    }
+
+    if (result.distance === null) {
+      return result;
+    }
+
+    return {
+      ...result,
+      verified: true,
+      serviceable: result.distance <= distributor.serviceRadius
+    };
+  }
+
+  // Checkout guard: reject shipping addresses the distributor doesn't deliver to, or that
+  // can't be checked
+  assertServiceable(distributor, pincode) {
+    const result = this.checkPincode(distributor, pincode);
+
+    if (!result.verified) {
+      const detail = result.district
+        ? 'The distributor\'s location is not known'
+        : 'The pincode is not in the pincode directory';
+
+      throw new ValidationError(`Delivery to pincode ${result.pincode} by ${distributor.businessName} cannot be confirmed. ${detail}`);
+    }
+
+    if (!result.serviceable) {
+      const detail = result.method === 'service_area'
+        ? 'It is outside the distributor\'s service areas'
+        : `It is ${result.distance} km away and the delivery radius is ${result.serviceRadius} km`;
+
+      throw new ValidationError(`${distributor.businessName} does not deliver to pincode ${result.pincode}. ${detail}`);
+    }
+
+    return result;
+  }
+
+  // Approved distributors whose service areas cover the pincode or point (for nearby search)
+  async findCoveringDistributors(coordinates, pincode, projection) {
+    const coverage = [{
+      'serviceAreas.polygon': {
+        $geoIntersects: { $geometry: { type: 'Point', coordinates } }
+      }
+    }];
+
+    if (pincode) {
+      coverage.push({ 'serviceAreas.pincodes': pincode });
+    }
+
+    const distributors = await Distributor.find({
+      isApproved: true,
+      isActive: true,
+      $or: coverage
+    }).select(projection).lean();
+
+    return distributors.map(distributor => {
+      const origin = this.originFor(distributor);
+      return {
+        ...distributor,
+        distance: origin ? geocoderService.distanceKm(origin, coordinates) : null
+      };
+    });
+  }
+}
+
+module.exports = new ServiceabilityService();
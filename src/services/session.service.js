@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Session = require('../models/Session');
+const { hashToken, generateToken, accountModelForRole, getAccountModel } = require('./auth.service');
+const { AuthenticationError, NotFoundError } = require('../utils/errors');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30', 10);
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Rough "Browser on OS" label from the user agent for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//], ['Postman', /PostmanRuntime/],
+    ['BuildAdda App', /okhttp|Dalvik|CFNetwork/]
+  ];
+  const systems = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+class SessionService {
+  get refreshTokenMaxAge() {
+    return REFRESH_TOKEN_TTL_MS;
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('hex');
+  }
+
+  // Start a new session (new token family) after a successful login
+  async createSession(account, role, req) {
+    const refreshToken = this.generateRefreshToken();
+    const userAgent = req.get('user-agent') || '';
+
+    const session = await Session.create({
+      account: account._id,
+      accountModel: accountModelForRole(role),
+      role,
+      family: uuidv4(),
+      refreshTokenHash: hashToken(refreshToken),
+      device: (req.body && req.body.deviceName) || describeDevice(userAgent),
+      ip: req.ip,
+      userAgent,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    });
+
+    return {
+      session,
+      accessToken: generateToken(account._id, role, session._id),
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new access/refresh pair
+  async rotateSession(refreshToken, req) {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash })
+      .select('+refreshTokenHash +usedTokenHashes');
+
+    if (!session) {
+      // SECURITY: A rotated-out token is being replayed - assume it was stolen and kill the family
+      const reused = await Session.findOne({ usedTokenHashes: tokenHash });
+      if (reused) {
+        await this.revokeFamily(reused.family, 'token_reuse');
+        throw new AuthenticationError('Refresh token reuse detected. Please login again');
+      }
+      throw new AuthenticationError('Invalid refresh token');
+    }
+
+    if (!session.isActive) {
+      throw new AuthenticationError('Session has expired. Please login again');
+    }
+
+    const account = await getAccountModel(session.accountModel).findById(session.account);
+
+    if (!account || !account.isActive) {
+      await session.revoke('user_revoked');
+      throw new AuthenticationError('Account is no longer active');
+    }
+
+    const newRefreshToken = this.generateRefreshToken();
+
+    session.usedTokenHashes.push(session.refreshTokenHash);
+    session.refreshTokenHash = hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.ip = req.ip;
+    await session.save();
+
+    return {
+      session,
+      account,
+      accessToken: generateToken(account._id, session.role, session._id),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  // Check that the session behind an access token is still usable
+  async isSessionActive(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return !!(session && session.isActive);
+  }
+
+  async listSessions(accountId) {
+    return await Session.find({
+      account: accountId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+  }
+
+  // Revoke a single session owned by the account
+  async revokeSession(accountId, sessionId, reason = 'user_revoked') {
+    const session = await Session.findOne({
+      _id: sessionId,
+      account: accountId,
+      revokedAt: null
+    });
+
+    if (!session) {
+      throw new NotFoundError('Session not found');
+    }
+
+    return await session.revoke(reason);
+  }
+
+  async revokeFamily(family, reason) {
+    return await Session.updateMany(
+      { family, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  // Revoke every session of an account, optionally keeping the current one
+  async revokeAllSessions(accountId, reason, exceptSessionId = null) {
+    const filter = { account: accountId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    return await Session.updateMany(filter, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,285 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { ATTRIBUTE_TYPES } = require('../config/categories');
+const { ValidationError, ConflictError } = require('../utils/errors');
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_ATTRIBUTES = 30;
+const MAX_ENUM_VALUES = 100;
+const MAX_FILTER_VALUES = 20;
+
+// Multipart product forms send objects as JSON strings
+const parseJson = (value, label) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new ValidationError(`Invalid ${label} format`);
+  }
+};
+
+const toPlain = (specifications) => {
+  if (!specifications) return {};
+  return specifications instanceof Map ? Object.fromEntries(specifications) : { ...specifications };
+};
+
+// "OPC 53,PPC" or ['OPC 53', 'PPC'] from the query string
+const listOf = (value) => {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean).slice(0, MAX_FILTER_VALUES);
+};
+
+class SpecificationService {
+  // Attribute schema for a category from the admin request body
+  normalizeAttributes(input) {
+    const attributes = parseJson(input, 'attributes');
+
+    if (!Array.isArray(attributes)) {
+      throw new ValidationError('Attributes must be an array');
+    }
+    if (attributes.length > MAX_ATTRIBUTES) {
+      throw new ValidationError(`A category can define at most ${MAX_ATTRIBUTES} attributes`);
+    }
+
+    const keys = new Set();
+
+    return attributes.map(attribute => {
+      const key = attribute && attribute.key ? String(attribute.key).trim() : '';
+      if (!KEY_PATTERN.test(key)) {
+        throw new ValidationError('Attribute keys must be lowercase letters, numbers and underscores, starting with a letter');
+      }
+      if (keys.has(key)) {
+        throw new ValidationError(`Attribute ${key} is defined twice`);
+      }
+      keys.add(key);
+
+      if (!ATTRIBUTE_TYPES.includes(attribute.type)) {
+        throw new ValidationError(`Attribute ${key} type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`);
+      }
+
+      const normalized = {
+        key,
+        label: attribute.label ? String(attribute.label).trim() : key,
+        type: attribute.type,
+        required: attribute.required === true,
+        filterable: attribute.filterable !== false
+      };
+
+      if (attribute.type === 'enum') {
+        const values = Array.isArray(attribute.values)
+          ? [...new Set(attribute.values.map(value => String(value).trim()).filter(Boolean))]
+          : [];
+        if (values.length === 0 || values.length > MAX_ENUM_VALUES) {
+          throw new ValidationError(`Attribute ${key} needs 1-${MAX_ENUM_VALUES} values`);
+        }
+        normalized.values = values;
+      }
+
+      if (attribute.type === 'number') {
+        normalized.unit = attribute.unit ? String(attribute.unit).trim() : undefined;
+
+        for (const bound of ['min', 'max']) {
+          if (attribute[bound] !== undefined && attribute[bound] !== null && attribute[bound] !== '') {
+            const value = Number(attribute[bound]);
+            if (isNaN(value)) {
+              throw new ValidationError(`Attribute ${key} ${bound} must be a number`);
+            }
+            normalized[bound] = value;
+          }
+        }
+        if (normalized.min !== undefined && normalized.max !== undefined && normalized.min > normalized.max) {
+          throw new ValidationError(`Attribute ${key} min must not exceed max`);
+        }
+      }
+
+      return normalized;
+    });
+  }
+
+  // A key is defined once along a branch: not by an ancestor, and not by a subcategory
+  async assertKeysAvailable(category, attributes) {
+    const keys = attributes.map(attribute => attribute.key);
+    if (keys.length === 0) return;
+
+    const inherited = (await this.getSchema({ ancestors: category.ancestors || [], attributes: [] }))
+      .filter(attribute => keys.includes(attribute.key));
+    if (inherited.length > 0) {
+      throw new ConflictError(`Already defined by a parent category: ${inherited.map(a => a.key).join(', ')}`);
+    }
+
+    if (category._id) {
+      const below = await Category.findOne({ ancestors: category._id, 'attributes.key': { $in: keys } }).select('name');
+      if (below) {
+        throw new ConflictError(`Subcategory ${below.name} already defines one of these attributes`);
+      }
+    }
+  }
+
+  // Attributes that apply to products in the category: inherited ones first
+  async getSchema(category) {
+    const ancestors = category.ancestors && category.ancestors.length > 0
+      ? await Category.find({ _id: { $in: category.ancestors } }).select('attributes level').lean()
+      : [];
+
+    return [
+      ...ancestors.sort((a, b) => a.level - b.level).flatMap(ancestor => ancestor.attributes || []),
+      ...(category.attributes || []).map(attribute => (attribute.toObject ? attribute.toObject() : attribute))
+    ];
+  }
+
+  coerce(attribute, raw) {
+    if (attribute.type === 'number') {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (String(raw).trim() === '' || isNaN(value)) {
+        throw new ValidationError(`${attribute.label} must be a number${attribute.unit ? ` in ${attribute.unit}` : ''}`);
+      }
+      if ((attribute.min !== undefined && attribute.min !== null && value < attribute.min) ||
+          (attribute.max !== undefined && attribute.max !== null && value > attribute.max)) {
+        throw new ValidationError(`${attribute.label} must be between ${attribute.min ?? '-'} and ${attribute.max ?? '-'}${attribute.unit ? ` ${attribute.unit}` : ''}`);
+      }
+      return value;
+    }
+
+    if (attribute.type === 'boolean') {
+      if (raw === true || raw === 'true') return true;
+      if (raw === false || raw === 'false') return false;
+      throw new ValidationError(`${attribute.label} must be true or false`);
+    }
+
+    const value = String(raw).trim();
+    if (!attribute.values.includes(value)) {
+      throw new ValidationError(`${attribute.label} must be one of: ${attribute.values.join(', ')}`);
+    }
+    return value;
+  }
+
+  // Validate specification values against a category schema; unset values are dropped
+  validate(input, schema) {
+    const specifications = toPlain(parseJson(input, 'specifications'));
+
+    if (typeof specifications !== 'object' || Array.isArray(specifications)) {
+      throw new ValidationError('Specifications must be an object of attribute values');
+    }
+
+    const unknown = Object.keys(specifications).filter(key => !schema.some(attribute => attribute.key === key));
+    if (unknown.length > 0) {
+      throw new ValidationError(`Unknown specifications for this category: ${unknown.join(', ')}`);
+    }
+
+    const result = {};
+
+    for (const attribute of schema) {
+      const raw = specifications[attribute.key];
+
+      if (raw === undefined || raw === null || raw === '') {
+        if (attribute.required) {
+          throw new ValidationError(`${attribute.label} is required for this category`);
+        }
+        continue;
+      }
+
+      result[attribute.key] = this.coerce(attribute, raw);
+    }
+
+    return result;
+  }
+
+  // Set product specifications from the request body. When only the category changed,
+  // values that don't apply to the new category are dropped and the rest re-checked.
+  async applyToProduct(product, category, input) {
+    const schema = await this.getSchema(category);
+
+    if (input !== undefined) {
+      product.specifications = this.validate(input, schema);
+      return;
+    }
+
+    if (product.isNew || product.isModified('category')) {
+      const current = toPlain(product.specifications);
+      const applicable = Object.fromEntries(
+        Object.entries(current).filter(([key]) => schema.some(attribute => attribute.key === key))
+      );
+      product.specifications = this.validate(applicable, schema);
+    }
+  }
+
+  // Mongo conditions for `specs` query filters:
+  //   specs[grade]=OPC 53,PPC   specs[isi_marked]=true   specs[thickness][min]=8&specs[thickness][max]=12
+  buildFilters(specs, schema) {
+    if (!specs) return {};
+    if (typeof specs !== 'object') {
+      throw new ValidationError('Use specs[attribute]=value to filter by specification');
+    }
+
+    const conditions = {};
+
+    for (const [key, raw] of Object.entries(specs)) {
+      const attribute = schema.find(a => a.key === key && a.filterable !== false);
+      if (!attribute) {
+        throw new ValidationError(`Cannot filter by ${key} in this category`);
+      }
+
+      const path = `specifications.${key}`;
+
+      if (attribute.type === 'number') {
+        const range = typeof raw === 'object' && !Array.isArray(raw) ? raw : { min: raw, max: raw };
+        const condition = {};
+        if (range.min !== undefined && range.min !== '') condition.$gte = this.coerce({ ...attribute, min: null, max: null }, range.min);
+        if (range.max !== undefined && range.max !== '') condition.$lte = this.coerce({ ...attribute, min: null, max: null }, range.max);
+        if (Object.keys(condition).length > 0) conditions[path] = condition;
+      } else if (attribute.type === 'boolean') {
+        conditions[path] = this.coerce(attribute, raw);
+      } else {
+        const values = listOf(raw).map(value => this.coerce(attribute, value));
+        conditions[path] = values.length === 1 ? values[0] : { $in: values };
+      }
+    }
+
+    return conditions;
+  }
+
+  // Facet counts for the filterable attributes. Each attribute is counted with the other
+  // attribute filters applied but not its own, so a buyer can widen a selection.
+  async getFacets(baseFilters, specFilters, schema) {
+    const attributes = schema.filter(attribute => attribute.filterable !== false);
+    if (attributes.length === 0) return [];
+
+    const facetStages = {};
+
+    for (const attribute of attributes) {
+      const path = `specifications.${attribute.key}`;
+      const others = Object.fromEntries(Object.entries(specFilters).filter(([p]) => p !== path));
+
+      facetStages[attribute.key] = attribute.type === 'number'
+        ? [
+          { $match: { ...others, [path]: { $type: 'number' } } },
+          { $group: { _id: null, min: { $min: `$${path}` }, max: { $max: `$${path}` }, count: { $sum: 1 } } }
+        ]
+        : [
+          { $match: { ...others, [path]: { $exists: true } } },
+          { $group: { _id: `$${path}`, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ];
+    }
+
+    const [result] = await Product.aggregate([
+      { $match: baseFilters },
+      { $facet: facetStages }
+    ]);
+
+    return attributes.map(attribute => {
+      const buckets = result[attribute.key] || [];
+      const facet = { key: attribute.key, label: attribute.label, type: attribute.type };
+
+      if (attribute.type === 'number') {
+        const [range] = buckets;
+        return { ...facet, unit: attribute.unit, min: range ? range.min : null, max: range ? range.max : null, count: range ? range.count : 0 };
+      }
+
+      return { ...facet, values: buckets.map(bucket => ({ value: bucket._id, count: bucket.count })) };
+    });
+  }
+}
+
+module.exports = new SpecificationService();
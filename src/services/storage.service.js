@@ -0,0 +1,38 @@
+const { createStorageDriver } = require('../config/storage');
+
+// Uploaded files (product images, KYC documents, store logos and banners) go through
+// the configured storage driver
+class StorageService {
+  constructor() {
+    this.driver = null;
+  }
+
+  // Lazily create the driver so env vars are read after dotenv has loaded
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createStorageDriver();
+    }
+    return this.driver;
+  }
+
+  // Swap the driver (e.g. with an in-memory one in tests)
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  // Store an uploaded file under `folder`
+  async put(file, { folder = 'buildmat', access = 'public', sizes = {} } = {}) {
+    return await this.getDriver().put(file, { folder, access, sizes });
+  }
+
+  async delete(key, options = {}) {
+    return await this.getDriver().delete(key, options);
+  }
+
+  // Viewable URL of a private file
+  signedUrl(key, options = {}) {
+    return this.getDriver().signedUrl(key, options);
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,273 @@
+const { ValidationError } = require('../utils/errors');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOLIDAYS = 100;
+
+// Distributor fields needed to work out whether a store is open
+const STORE_STATUS_FIELDS = 'businessHours holidays vacationMode acceptOrdersWhenClosed';
+
+// Store hours are wall-clock times in this zone (all distributors are in India)
+const storeTimeZone = () => process.env.STORE_TIMEZONE || 'Asia/Kolkata';
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+// Calendar date, weekday and minutes since midnight of an instant in the store time zone
+const zonedParts = (instant, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+      weekday: 'short'
+    }).formatToParts(instant).map(part => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// The instant at which a wall-clock time on a date occurs in the store time zone
+const zonedInstant = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, minutes);
+  const local = zonedParts(new Date(guess), timeZone);
+  const [ly, lm, ld] = local.date.split('-').map(Number);
+  const offset = Date.UTC(ly, lm - 1, ld, 0, local.minutes) - guess;
+
+  return new Date(guess - offset);
+};
+
+class StoreHoursService {
+  get statusFields() {
+    return STORE_STATUS_FIELDS;
+  }
+
+  // Weekly hours from the request body: [{ day: 'monday' | 1, open: '09:00', close: '18:00' }]
+  normalizeBusinessHours(hours) {
+    if (!Array.isArray(hours)) {
+      throw new ValidationError('Business hours must be an array');
+    }
+
+    return hours.map(slot => {
+      if (!isObject(slot)) {
+        throw new ValidationError('Each business hours entry must be an object with day, open and close');
+      }
+
+      const day = typeof slot.day === 'string' ? DAY_NAMES.indexOf(slot.day.toLowerCase()) : slot.day;
+
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        throw new ValidationError(`Business hours day must be one of: ${DAY_NAMES.join(', ')}`);
+      }
+      if (!isTime(slot.open) || !isTime(slot.close)) {
+        throw new ValidationError('Business hours must use 24-hour HH:mm times');
+      }
+      if (toMinutes(slot.close) <= toMinutes(slot.open)) {
+        throw new ValidationError(`Closing time must be after opening time on ${DAY_NAMES[day]}`);
+      }
+
+      return { day, open: slot.open, close: slot.close };
+    }).sort((a, b) => a.day - b.day || toMinutes(a.open) - toMinutes(b.open));
+  }
+
+  // Holiday calendar: [{ startDate: 'YYYY-MM-DD', endDate?: 'YYYY-MM-DD', name? }]
+  normalizeHolidays(holidays) {
+    if (!Array.isArray(holidays)) {
+      throw new ValidationError('Holidays must be an array');
+    }
+    if (holidays.length > MAX_HOLIDAYS) {
+      throw new ValidationError(`Cannot add more than ${MAX_HOLIDAYS} holidays`);
+    }
+
+    return holidays.map(holiday => {
+      if (!isObject(holiday)) {
+        throw new ValidationError('Each holiday must be an object with startDate (and optional endDate, name)');
+      }
+
+      const startDate = holiday.startDate || holiday.date;
+      const endDate = holiday.endDate || startDate;
+
+      if (!isDate(startDate) || !isDate(endDate)) {
+        throw new ValidationError('Holiday dates must be in YYYY-MM-DD format');
+      }
+      if (endDate < startDate) {
+        throw new ValidationError('Holiday end date must not be before its start date');
+      }
+
+      return { startDate, endDate, name: holiday.name ? String(holiday.name).trim() : undefined };
+    }).sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  // Vacation toggle: { enabled, until?, message? }
+  normalizeVacation(vacation) {
+    if (!isObject(vacation) || typeof vacation.enabled !== 'boolean') {
+      throw new ValidationError('Vacation mode needs enabled: true or false');
+    }
+
+    if (!vacation.enabled) {
+      return { enabled: false };
+    }
+
+    let until;
+    if (vacation.until) {
+      until = new Date(vacation.until);
+      if (isNaN(until.getTime()) || until <= new Date()) {
+        throw new ValidationError('Vacation end must be a future date');
+      }
+    }
+
+    return {
+      enabled: true,
+      startedAt: new Date(),
+      until,
+      message: vacation.message ? String(vacation.message).trim() : undefined
+    };
+  }
+
+  isOnVacation(distributor, now = new Date()) {
+    const vacation = distributor.vacationMode;
+    return !!(vacation && vacation.enabled && (!vacation.until || new Date(vacation.until) > now));
+  }
+
+  holidayOn(distributor, date) {
+    return (distributor.holidays || []).find(h => h.startDate <= date && date <= h.endDate);
+  }
+
+  // Opening slots for a weekday in minutes; no hours configured means open all day
+  slotsFor(distributor, weekday) {
+    const hours = distributor.businessHours || [];
+
+    if (hours.length === 0) {
+      return [{ open: 0, close: 24 * 60 }];
+    }
+
+    return hours
+      .filter(slot => slot.day === weekday)
+      .map(slot => ({ open: toMinutes(slot.open), close: toMinutes(slot.close) }))
+      .sort((a, b) => a.open - b.open);
+  }
+
+  // First moment at or after `from` when the store is open (ignoring vacation), or null
+  nextOpening(distributor, from = new Date()) {
+    const timeZone = storeTimeZone();
+    const start = zonedParts(from, timeZone);
+
+    for (let offset = 0; offset <= 366; offset++) {
+      const date = addDays(start.date, offset);
+      if (this.holidayOn(distributor, date)) continue;
+
+      for (const slot of this.slotsFor(distributor, weekdayOf(date))) {
+        if (offset === 0 && slot.close <= start.minutes) continue;
+
+        const opensAt = offset === 0 ? Math.max(slot.open, start.minutes) : slot.open;
+        return offset === 0 && opensAt === start.minutes ? from : zonedInstant(date, opensAt, timeZone);
+      }
+    }
+
+    return null;
+  }
+
+  // Whether the store is open now, why not, and when it next opens
+  getStatus(distributor, now = new Date()) {
+    const acceptsWhenClosed = distributor.acceptOrdersWhenClosed !== false;
+
+    if (this.isOnVacation(distributor, now)) {
+      const { until, message } = distributor.vacationMode;
+      return {
+        isOpen: false,
+        reason: 'vacation',
+        message: message || 'Store is on vacation',
+        nextOpenAt: until ? this.nextOpening(distributor, new Date(until)) : null,
+        acceptingOrders: false
+      };
+    }
+
+    const local = zonedParts(now, storeTimeZone());
+    const holiday = this.holidayOn(distributor, local.date);
+    const openNow = !holiday && this.slotsFor(distributor, local.weekday)
+      .some(slot => slot.open <= local.minutes && local.minutes < slot.close);
+
+    if (openNow) {
+      return { isOpen: true, reason: null, message: null, nextOpenAt: null, acceptingOrders: true };
+    }
+
+    return {
+      isOpen: false,
+      reason: holiday ? 'holiday' : 'outside_hours',
+      message: holiday ? `Closed for ${holiday.name || 'a holiday'}` : 'Store is closed now',
+      nextOpenAt: this.nextOpening(distributor, now),
+      acceptingOrders: acceptsWhenClosed
+    };
+  }
+
+  // Checkout guard. Returns the status; closed stores that still take orders process them on reopening.
+  assertAcceptingOrders(distributor, now = new Date()) {
+    const status = this.getStatus(distributor, now);
+
+    if (!status.acceptingOrders) {
+      const reopens = status.nextOpenAt ? ` Orders reopen on ${this.formatLocal(status.nextOpenAt)}` : '';
+      throw new ValidationError(`${distributor.businessName} is not accepting orders: ${status.message}.${reopens}`);
+    }
+
+    return status;
+  }
+
+  formatLocal(instant) {
+    return new Date(instant).toLocaleString('en-IN', {
+      timeZone: storeTimeZone(),
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  // Mark products of closed stores unavailable. Expects `distributor` populated with STORE_STATUS_FIELDS.
+  annotateProducts(products, now = new Date()) {
+    return products.map(product => {
+      const data = typeof product.toObject === 'function' ? product.toObject() : product;
+      const distributor = data.distributor;
+
+      if (!distributor || !distributor._id) {
+        return data;
+      }
+
+      const status = this.getStatus(distributor, now);
+
+      return {
+        ...data,
+        isAvailable: status.isOpen,
+        availableFrom: status.isOpen ? null : status.nextOpenAt,
+        distributor: { ...distributor, storeStatus: status }
+      };
+    });
+  }
+}
+
+module.exports = new StoreHoursService();
@@ -0,0 +1,296 @@
+const Distributor = require('../models/Distributor');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const storeHoursService = require('./storeHours.service');
+const serviceabilityService = require('./serviceability.service');
+const categoryService = require('./category.service');
+const storageService = require('./storage.service');
+const { slugify, SLUG_PATTERN } = require('../utils/slugify');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const MAX_FEATURED_PRODUCTS = 12;
+const FEATURED_FALLBACK_COUNT = 8;
+
+const escapeRegex = (text) => text.replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
+
+// Fields shown on the public storefront
+const STOREFRONT_FIELDS = [
+  'businessName', 'slug', 'description', 'logo', 'banner', 'city', 'state', 'pincode',
+  'rating', 'reviewCount', 'serviceRadius', 'serviceAreas', 'featuredProducts', 'createdAt',
+  storeHoursService.statusFields
+].join(' ');
+
+const PRODUCT_SORTS = {
+  newest: '-createdAt',
+  price_asc: 'price',
+  price_desc: '-price',
+  name: 'name'
+};
+
+class StorefrontService {
+  // Is the slug free (current or previous slug of another distributor)?
+  async isSlugAvailable(slug, exceptId = null) {
+    const filter = { $or: [{ slug }, { previousSlugs: slug }] };
+    if (exceptId) {
+      filter._id = { $ne: exceptId };
+    }
+    return !(await Distributor.exists(filter));
+  }
+
+  // Business name slug, then with the city, then numbered until one is free
+  async generateSlug(distributor) {
+    const base = slugify(distributor.businessName) || 'store';
+    const candidates = [base];
+
+    if (distributor.city) {
+      candidates.push(slugify(`${base}-${distributor.city}`));
+    }
+
+    for (const candidate of candidates) {
+      if (candidate.length >= 3 && await this.isSlugAvailable(candidate, distributor._id)) {
+        return candidate;
+      }
+    }
+
+    for (let n = 2; ; n++) {
+      const candidate = `${base}-${n}`;
+      if (await this.isSlugAvailable(candidate, distributor._id)) {
+        return candidate;
+      }
+    }
+  }
+
+  // Change the slug chosen by the distributor; the old one keeps resolving
+  async changeSlug(distributor, input) {
+    const slug = String(input || '').trim().toLowerCase();
+
+    if (!SLUG_PATTERN.test(slug) || slug.length < 3 || slug.length > 60) {
+      throw new ValidationError('Store URL must be 3-60 lowercase letters, numbers and single hyphens');
+    }
+
+    if (slug === distributor.slug) {
+      return slug;
+    }
+
+    if (!(await this.isSlugAvailable(slug, distributor._id))) {
+      throw new ConflictError('This store URL is already taken');
+    }
+
+    if (distributor.slug) {
+      distributor.previousSlugs = [...new Set([...(distributor.previousSlugs || []), distributor.slug])]
+        .filter(previous => previous !== slug);
+    }
+    distributor.slug = slug;
+
+    return slug;
+  }
+
+  async setFeaturedProducts(distributor, productIds) {
+    if (!Array.isArray(productIds)) {
+      throw new ValidationError('Featured products must be an array of product IDs');
+    }
+
+    const ids = [...new Set(productIds.map(String))];
+    if (ids.length > MAX_FEATURED_PRODUCTS) {
+      throw new ValidationError(`You can feature at most ${MAX_FEATURED_PRODUCTS} products`);
+    }
+
+    const owned = await Product.countDocuments({ _id: { $in: ids }, distributor: distributor._id });
+    if (owned !== ids.length) {
+      throw new ValidationError('Featured products must be your own products');
+    }
+
+    distributor.featuredProducts = ids;
+  }
+
+  // Upload a logo or banner, removing the image it replaces
+  async uploadImage(distributor, field, file) {
+    if (!file) {
+      throw new ValidationError('Please upload an image');
+    }
+
+    const result = await storageService.put(file, { folder: `buildmat/stores/${field}s` });
+    const previous = distributor[field] && distributor[field].publicId;
+
+    distributor[field] = { url: result.url, publicId: result.key };
+
+    if (previous) {
+      storageService.delete(previous).catch(error => {
+        console.error(`Failed to delete old store ${field} ${previous}: ${error.message}`);
+      });
+    }
+
+    return distributor[field];
+  }
+
+  // Approved, active distributor by current or previous slug
+  async findStore(slug) {
+    const normalized = String(slug || '').toLowerCase();
+    const store = await Distributor.findOne({
+      $or: [{ slug: normalized }, { previousSlugs: normalized }],
+      isApproved: true,
+      isActive: true
+    }).select(STOREFRONT_FIELDS);
+
+    if (!store) {
+      throw new NotFoundError('Store not found');
+    }
+
+    return store;
+  }
+
+  // Categories the store sells, with product counts and starting prices
+  async getCategories(distributorId) {
+    const groups = await Product.aggregate([
+      { $match: { distributor: distributorId, isActive: true } },
+      {
+        $group: {
+          _id: '$category',
+          productCount: { $sum: 1 },
+          minPrice: { $min: '$price' }
+        }
+      },
+      { $sort: { productCount: -1, _id: 1 } }
+    ]);
+
+    const categories = await Category.find({ _id: { $in: groups.map(group => group._id) } })
+      .select('name slug icon')
+      .lean();
+    const byId = new Map(categories.map(category => [String(category._id), category]));
+
+    return groups
+      .filter(group => byId.has(String(group._id)))
+      .map(({ _id, productCount, minPrice }) => ({ ...byId.get(String(_id)), productCount, minPrice }));
+  }
+
+  deliveryCoverage(store) {
+    if (serviceabilityService.hasServiceAreas(store)) {
+      return {
+        mode: 'service_areas',
+        areas: store.serviceAreas.map(area => ({
+          name: area.name,
+          pincodes: area.pincodes || [],
+          hasPolygon: !!area.polygon
+        }))
+      };
+    }
+
+    return { mode: 'radius', serviceRadius: store.serviceRadius, pincode: store.pincode };
+  }
+
+  // Featured products, or the newest in-stock ones when none are chosen
+  async getFeaturedProducts(store) {
+    const featuredIds = store.featuredProducts || [];
+    const products = featuredIds.length > 0
+      ? await Product.find({ _id: { $in: featuredIds }, distributor: store._id, isActive: true })
+        .populate('category', 'name slug icon')
+      : await Product.find({ distributor: store._id, isActive: true, stock: { $gt: 0 } })
+        .populate('category', 'name slug icon')
+        .sort('-createdAt')
+        .limit(FEATURED_FALLBACK_COUNT);
+
+    // Keep the order the distributor chose
+    const position = new Map(featuredIds.map((id, i) => [id.toString(), i]));
+    products.sort((a, b) => (position.get(a._id.toString()) ?? 0) - (position.get(b._id.toString()) ?? 0));
+
+    return this.annotate(products, store);
+  }
+
+  // Products come from one store, so the availability flag is the same for all of them
+  annotate(products, store) {
+    const status = storeHoursService.getStatus(store);
+
+    return products.map(product => ({
+      ...product.toObject(),
+      isAvailable: status.isOpen,
+      availableFrom: status.isOpen ? null : status.nextOpenAt
+    }));
+  }
+
+  async getStorefront(slug) {
+    const store = await this.findStore(slug);
+
+    const [categories, featuredProducts] = await Promise.all([
+      this.getCategories(store._id),
+      this.getFeaturedProducts(store)
+    ]);
+
+    return {
+      _id: store._id,
+      slug: store.slug,
+      canonicalSlug: store.slug !== String(slug).toLowerCase() ? store.slug : undefined,
+      businessName: store.businessName,
+      description: store.description,
+      logo: store.logo && store.logo.url,
+      banner: store.banner && store.banner.url,
+      city: store.city,
+      state: store.state,
+      memberSince: store.createdAt,
+      rating: {
+        average: Math.round((store.rating || 0) * 10) / 10,
+        count: store.reviewCount || 0
+      },
+      categories,
+      deliveryCoverage: this.deliveryCoverage(store),
+      businessHours: store.businessHours,
+      upcomingHolidays: (store.holidays || []).filter(h => h.endDate >= new Date().toISOString().slice(0, 10)),
+      storeStatus: storeHoursService.getStatus(store),
+      featuredProducts
+    };
+  }
+
+  // Paginated, filterable product listing for one store
+  async getStoreProducts(slug, query = {}) {
+    const store = await this.findStore(slug);
+    const { category, minPrice, maxPrice, search, inStock, sortBy = 'newest', page = 1, limit = 20 } = query;
+
+    const filters = { distributor: store._id, isActive: true };
+
+    if (category) {
+      filters.category = await categoryService.productFilter(category, { activeOnly: true });
+    }
+
+    const min = parseFloat(minPrice);
+    const max = parseFloat(maxPrice);
+    if (!isNaN(min) && min >= 0) filters.price = { $gte: min };
+    if (!isNaN(max) && max >= 0) filters.price = { ...filters.price, $lte: max };
+
+    if (inStock === 'true') {
+      filters.stock = { $gt: 0 };
+    }
+
+    if (search && search.trim()) {
+      const sanitizedSearch = escapeRegex(search.trim());
+      filters.$or = [
+        { name: { $regex: sanitizedSearch, $options: 'i' } },
+        { description: { $regex: sanitizedSearch, $options: 'i' } }
+      ];
+    }
+
+    if (!PRODUCT_SORTS[sortBy]) {
+      throw new ValidationError(`sortBy must be one of: ${Object.keys(PRODUCT_SORTS).join(', ')}`);
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const [products, total] = await Promise.all([
+      Product.find(filters)
+        .populate('category', 'name slug icon')
+        .sort(PRODUCT_SORTS[sortBy])
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Product.countDocuments(filters)
+    ]);
+
+    return {
+      store: { _id: store._id, slug: store.slug, businessName: store.businessName },
+      products: this.annotate(products, store),
+      totalProducts: total,
+      totalPages: Math.ceil(total / limitNum),
+      currentPage: pageNum
+    };
+  }
+}
+
+module.exports = new StorefrontService();
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { hashToken } = require('./auth.service');
+const { ValidationError, AuthenticationError } = require('../utils/errors');
+
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastUsedStep';
+
+class TwoFactorService {
+  // Fields needed by the methods below (all are select: false)
+  get selectFields() {
+    return TWO_FACTOR_FIELDS;
+  }
+
+  // Backup codes (80 bits) look like "a1b2c-3d4e5-f6a7b-8c9d0"
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      return crypto.randomBytes(10).toString('hex').match(/.{5}/g).join('-');
+    });
+  }
+
+  normalizeBackupCode(code) {
+    return String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+  }
+
+  hashBackupCode(code) {
+    return totp.hashBackupCode(this.normalizeBackupCode(code));
+  }
+
+  // Index of the stored hash matching a backup code, or -1. Codes issued before salting
+  // are plain SHA-256 hashes and keep working until regenerated.
+  findBackupCode(account, code) {
+    const normalized = this.normalizeBackupCode(code);
+
+    return account.twoFactorBackupCodes.findIndex(stored => {
+      const [salt, digest] = stored.split(':');
+      const expected = digest === undefined ? hashToken(normalized) : totp.hashBackupCode(normalized, salt);
+      return expected.length === stored.length && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(stored));
+    });
+  }
+
+  // Step 1: create a pending secret; 2FA isn't active until confirmed with a valid code
+  async startEnrollment(account) {
+    if (account.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    account.twoFactorPendingSecret = totp.encryptSecret(secret);
+    await account.save({ validateBeforeSave: false });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpAuthUri(secret, account.email)
+    };
+  }
+
+  // Step 2: confirm the authenticator works, activate 2FA and hand out backup codes (shown once)
+  async confirmEnrollment(account, code) {
+    if (account.twoFactorEnabled) {
+      throw new ValidationError('Two-factor authentication is already enabled');
+    }
+
+    if (!account.twoFactorPendingSecret) {
+      throw new ValidationError('Start two-factor setup before confirming it');
+    }
+
+    const secret = totp.decryptSecret(account.twoFactorPendingSecret);
+    const step = totp.verifyCode(secret, code);
+
+    if (step === null) {
+      throw new ValidationError('Invalid authentication code');
+    }
+
+    const backupCodes = this.generateBackupCodes();
+
+    account.twoFactorSecret = account.twoFactorPendingSecret;
+    account.twoFactorPendingSecret = undefined;
+    account.twoFactorBackupCodes = backupCodes.map(c => this.hashBackupCode(c));
+    account.twoFactorLastUsedStep = step;
+    account.twoFactorEnabled = true;
+    account.twoFactorEnabledAt = new Date();
+    await account.save({ validateBeforeSave: false });
+
+    return backupCodes;
+  }
+
+  // Verify a TOTP code or a one-time backup code. Throws AuthenticationError on failure.
+  async verifySecondFactor(account, { code, backupCode }) {
+    if (!account.twoFactorEnabled || !account.twoFactorSecret) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+
+    if (backupCode) {
+      const index = this.findBackupCode(account, backupCode);
+
+      if (index === -1) {
+        throw new AuthenticationError('Invalid backup code');
+      }
+
+      account.twoFactorBackupCodes.splice(index, 1);
+      await account.save({ validateBeforeSave: false });
+
+      return { method: 'backup_code', backupCodesRemaining: account.twoFactorBackupCodes.length };
+    }
+
+    const secret = totp.decryptSecret(account.twoFactorSecret);
+    const step = totp.verifyCode(secret, code);
+
+    // SECURITY: Reject codes from a time step that was already used (replay)
+    if (step === null || (account.twoFactorLastUsedStep && step <= account.twoFactorLastUsedStep)) {
+      throw new AuthenticationError('Invalid authentication code');
+    }
+
+    account.twoFactorLastUsedStep = step;
+    await account.save({ validateBeforeSave: false });
+
+    return { method: 'totp' };
+  }
+
+  async regenerateBackupCodes(account) {
+    const backupCodes = this.generateBackupCodes();
+    account.twoFactorBackupCodes = backupCodes.map(c => this.hashBackupCode(c));
+    await account.save({ validateBeforeSave: false });
+    return backupCodes;
+  }
+
+  async disable(account) {
+    account.twoFactorEnabled = false;
+    account.twoFactorSecret = undefined;
+    account.twoFactorPendingSecret = undefined;
+    account.twoFactorBackupCodes = [];
+    account.twoFactorLastUsedStep = undefined;
+    account.twoFactorEnabledAt = undefined;
+    await account.save({ validateBeforeSave: false });
+  }
+}
+
+module.exports = new TwoFactorService();
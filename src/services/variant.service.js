@@ -0,0 +1,348 @@
+const Product = require('../models/Product');
+const storageService = require('./storage.service');
+const pricingService = require('./pricing.service');
+const { ValidationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const MAX_OPTION_AXES = 3;
+const MAX_OPTION_VALUES = 50;
+const MAX_VARIANTS = 100;
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,39}$/;
+
+// Multipart product forms send arrays/objects as JSON strings
+const parseJson = (value, label) => {
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw new ValidationError(`Invalid ${label} format`);
+  }
+};
+
+const optionsKey = (options, axes) => axes.map(axis => options[axis.name]).join('\u0000');
+
+// A kept variant keeps its uploaded image (and its storage key) unless the body sets `image`
+const variantImage = (variant, previous) => {
+  if (variant.image === undefined) {
+    return previous ? { image: previous.image, imagePublicId: previous.imagePublicId } : { image: '' };
+  }
+
+  const image = String(variant.image || '');
+  return previous && previous.image === image
+    ? { image, imagePublicId: previous.imagePublicId }
+    : { image };
+};
+
+const optionsOf = (variant) => {
+  return variant.options instanceof Map ? Object.fromEntries(variant.options) : { ...(variant.options || {}) };
+};
+
+class VariantService {
+  // Option axes: [{ name: 'Diameter', values: ['8mm', '10mm', '12mm'] }]
+  normalizeOptions(input) {
+    const options = parseJson(input, 'options');
+
+    if (!Array.isArray(options)) {
+      throw new ValidationError('Options must be an array of { name, values }');
+    }
+    if (options.length > MAX_OPTION_AXES) {
+      throw new ValidationError(`A product can have at most ${MAX_OPTION_AXES} options`);
+    }
+
+    const names = new Set();
+
+    return options.map(option => {
+      const name = option && option.name ? String(option.name).trim() : '';
+      if (!name) {
+        throw new ValidationError('Each option needs a name, such as Diameter or Grade');
+      }
+      if (names.has(name.toLowerCase())) {
+        throw new ValidationError(`Option ${name} is listed twice`);
+      }
+      names.add(name.toLowerCase());
+
+      if (!Array.isArray(option.values) || option.values.length === 0) {
+        throw new ValidationError(`Option ${name} needs at least one value`);
+      }
+
+      const values = [...new Set(option.values.map(value => String(value).trim()).filter(Boolean))];
+      if (values.length === 0 || values.length > MAX_OPTION_VALUES) {
+        throw new ValidationError(`Option ${name} needs 1-${MAX_OPTION_VALUES} values`);
+      }
+
+      return { name, values };
+    });
+  }
+
+  // Variants against the option axes. A variant whose _id matches an existing one keeps it,
+  // so carts pointing at that variant stay valid.
+  normalizeVariants(input, axes, existing = []) {
+    const variants = parseJson(input, 'variants');
+
+    if (!Array.isArray(variants)) {
+      throw new ValidationError('Variants must be an array');
+    }
+    if (variants.length === 0) {
+      return [];
+    }
+    if (axes.length === 0) {
+      throw new ValidationError('Define options (such as Diameter or Grade) before adding variants');
+    }
+    if (variants.length > MAX_VARIANTS) {
+      throw new ValidationError(`A product can have at most ${MAX_VARIANTS} variants`);
+    }
+
+    const existingIds = new Set(existing.map(variant => variant._id.toString()));
+    const skus = new Set();
+    const combinations = new Set();
+
+    return variants.map(variant => {
+      const options = {};
+
+      for (const axis of axes) {
+        const value = variant.options && variant.options[axis.name] !== undefined
+          ? String(variant.options[axis.name]).trim()
+          : '';
+        if (!axis.values.includes(value)) {
+          throw new ValidationError(`Variant ${axis.name} must be one of: ${axis.values.join(', ')}`);
+        }
+        options[axis.name] = value;
+      }
+
+      const unknown = Object.keys(variant.options || {}).filter(name => !axes.some(axis => axis.name === name));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown variant options: ${unknown.join(', ')}`);
+      }
+
+      const key = optionsKey(options, axes);
+      if (combinations.has(key)) {
+        throw new ValidationError(`Two variants have the same options: ${this.describe({ options }, axes)}`);
+      }
+      combinations.add(key);
+
+      const sku = this.normalizeSku(variant.sku, 'Each variant needs a SKU');
+      if (skus.has(sku)) {
+        throw new ValidationError(`SKU ${sku} is used by more than one variant`);
+      }
+      skus.add(sku);
+
+      const price = parseFloat(variant.price);
+      if (isNaN(price) || price <= 0) {
+        throw new ValidationError(`Price of ${sku} must be greater than 0`);
+      }
+
+      const stock = parseInt(variant.stock);
+      if (isNaN(stock) || stock < 0) {
+        throw new ValidationError(`Stock of ${sku} must be 0 or greater`);
+      }
+
+      const minQuantity = variant.minQuantity !== undefined ? parseInt(variant.minQuantity) : 1;
+      if (isNaN(minQuantity) || minQuantity < 1) {
+        throw new ValidationError(`Minimum quantity of ${sku} must be at least 1`);
+      }
+
+      let maxQuantity = null;
+      if (variant.maxQuantity !== undefined && variant.maxQuantity !== null && variant.maxQuantity !== '') {
+        maxQuantity = parseInt(variant.maxQuantity);
+        if (isNaN(maxQuantity) || maxQuantity < minQuantity) {
+          throw new ValidationError(`Maximum quantity of ${sku} must be greater than or equal to its minimum quantity`);
+        }
+      }
+
+      if (variant.isActive !== undefined && typeof variant.isActive !== 'boolean') {
+        throw new ValidationError('Variant isActive must be a boolean value');
+      }
+
+      const previous = variant._id && existingIds.has(String(variant._id))
+        ? existing.find(v => v._id.toString() === String(variant._id))
+        : null;
+
+      // Without priceTiers a kept variant keeps its tiers, checked against its new price
+      const tiers = variant.priceTiers !== undefined ? variant.priceTiers : (previous ? previous.priceTiers : []);
+
+      return {
+        ...(previous && { _id: previous._id }),
+        sku,
+        options,
+        price,
+        priceTiers: pricingService.normalizeTiers(tiers, price, sku),
+        stock,
+        minQuantity,
+        maxQuantity,
+        ...variantImage(variant, previous),
+        isActive: variant.isActive !== undefined ? variant.isActive : true
+      };
+    });
+  }
+
+  // Change price, stock, quantity limits or availability of one variant, with the same
+  // checks as a full variants update
+  updateVariant(product, variantId, changes) {
+    product.variants = this.normalizeVariants(
+      product.variants.map(variant => ({
+        ...variant.toObject(),
+        options: optionsOf(variant),
+        ...(variant._id.equals(variantId) && changes)
+      })),
+      product.options,
+      product.variants
+    );
+  }
+
+  // Apply { options, variants } from a product create/update body
+  applyToProduct(product, { options, variants }) {
+    if (options !== undefined) {
+      product.options = this.normalizeOptions(options);
+    }
+
+    if (variants !== undefined) {
+      product.variants = this.normalizeVariants(variants, product.options, product.variants);
+    } else if (options !== undefined && product.variants.length > 0) {
+      // Existing variants must still fit the new axes
+      product.variants = this.normalizeVariants(
+        product.variants.map(variant => ({ ...variant.toObject(), options: optionsOf(variant) })),
+        product.options,
+        product.variants
+      );
+    }
+  }
+
+  // Uppercase SKU, checked against SKU_PATTERN
+  normalizeSku(value, missingMessage = 'SKU is required') {
+    const sku = value !== undefined && value !== null ? String(value).trim().toUpperCase() : '';
+    if (!sku) {
+      throw new ValidationError(missingMessage);
+    }
+    if (!SKU_PATTERN.test(sku)) {
+      throw new ValidationError(`SKU ${sku} must be up to 40 letters, numbers, dots, dashes or underscores`);
+    }
+    return sku;
+  }
+
+  // Product and variant SKUs must not clash with each other or with the distributor's other products
+  async assertSkusAvailable(product) {
+    const skus = [product.sku, ...(product.variants || []).map(variant => variant.sku)].filter(Boolean);
+    if (skus.length === 0) return;
+
+    if (product.sku && (product.variants || []).some(variant => variant.sku === product.sku)) {
+      throw new ValidationError(`SKU ${product.sku} is used by both the product and one of its variants`);
+    }
+
+    const clash = await Product.findOne({
+      _id: { $ne: product._id },
+      distributor: product.distributor,
+      $or: [{ sku: { $in: skus } }, { 'variants.sku': { $in: skus } }]
+    }).select('name sku variants.sku');
+
+    if (clash) {
+      const taken = [clash.sku, ...clash.variants.map(variant => variant.sku)].filter(sku => skus.includes(sku));
+      throw new ConflictError(`SKU ${taken.join(', ')} is already used by ${clash.name}`);
+    }
+  }
+
+  hasVariants(product) {
+    return !!(product.variants && product.variants.length > 0);
+  }
+
+  // "Diameter: 12mm, Grade: Fe500D"
+  describe(variant, axes) {
+    const options = optionsOf(variant);
+    return axes.map(axis => `${axis.name}: ${options[axis.name]}`).join(', ');
+  }
+
+  // What is being bought: the variant when the product has variants, otherwise the product itself
+  resolve(product, variantId) {
+    if (!this.hasVariants(product)) {
+      if (variantId) {
+        throw new ValidationError(`${product.name} has no variants`);
+      }
+
+      return {
+        variant: null,
+        sku: undefined,
+        options: undefined,
+        name: product.name,
+        price: product.price,
+        priceTiers: product.priceTiers,
+        stock: product.stock,
+        minQuantity: product.minQuantity || 1,
+        maxQuantity: product.maxQuantity,
+        image: product.image
+      };
+    }
+
+    if (!variantId) {
+      throw new ValidationError(`Choose a variant of ${product.name}`);
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new NotFoundError(`Variant not found for ${product.name}`);
+    }
+    if (!variant.isActive) {
+      throw new ValidationError(`${product.name} (${this.describe(variant, product.options)}) is not available`);
+    }
+
+    return {
+      variant: variant._id,
+      sku: variant.sku,
+      options: optionsOf(variant),
+      name: `${product.name} (${this.describe(variant, product.options)})`,
+      price: variant.price,
+      priceTiers: variant.priceTiers,
+      stock: variant.stock,
+      minQuantity: variant.minQuantity || 1,
+      maxQuantity: variant.maxQuantity,
+      image: variant.image || product.image
+    };
+  }
+
+  // Stock and min/max order quantity for a resolved item
+  assertQuantity(item, quantity) {
+    if (item.stock < quantity) {
+      throw new ValidationError(`Only ${item.stock} of ${item.name} available in stock`);
+    }
+    if (quantity < item.minQuantity) {
+      throw new ValidationError(`Minimum order quantity for ${item.name} is ${item.minQuantity}`);
+    }
+    if (item.maxQuantity && quantity > item.maxQuantity) {
+      throw new ValidationError(`Maximum order quantity for ${item.name} is ${item.maxQuantity}`);
+    }
+  }
+
+  // Stock change for an order line; variant lines also keep the product total in step
+  async adjustStock(productId, variantId, change) {
+    if (!variantId) {
+      await Product.updateOne({ _id: productId }, { $inc: { stock: change } });
+      return;
+    }
+
+    await Product.updateOne(
+      { _id: productId, 'variants._id': variantId },
+      { $inc: { 'variants.$.stock': change, stock: change } }
+    );
+  }
+
+  // Upload a variant image. Returns the variant and the storage key of the image it
+  // replaces, to be deleted once the product is saved.
+  async uploadImage(product, variantId, file) {
+    if (!file) {
+      throw new ValidationError('Please upload an image');
+    }
+
+    const variant = product.variants.id(variantId);
+    if (!variant) {
+      throw new NotFoundError('Variant not found');
+    }
+
+    const result = await storageService.put(file, { folder: 'buildmat/products' });
+    const replaced = variant.imagePublicId;
+
+    variant.image = result.url;
+    variant.imagePublicId = result.key;
+
+    return { variant, replaced };
+  }
+}
+
+module.exports = new VariantService();
@@ -1,9 +1,13 @@
 // Async Error Handler Wrapper
 // Eliminates the need for try-catch in every controller
+const requestContext = require('./requestContext');
 
 const asyncHandler = (fn) => {
   return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+    // Re-enter the request context: stream based middleware (multer, body parsers)
+    // resume in a different async context, which would lose it for audit logging
+    const handle = () => fn(req, res, next);
+    Promise.resolve(req.context ? requestContext.run(req.context, handle) : handle()).catch(next);
   };
 };
 
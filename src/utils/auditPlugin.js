@@ -0,0 +1,99 @@
+// Mongoose plugin that writes an AuditLog entry whenever an admin or distributor
+// creates, updates or deletes a document (see services/audit.service.js).
+//
+// Covers document saves, doc.deleteOne() and Model.deleteMany(). Query updates
+// (updateOne, findByIdAndUpdate) are not audited, so mutations made from
+// admin/distributor routes should go through document saves.
+//
+// Controllers can name an action more precisely by setting doc.$locals.auditAction
+// (e.g. 'distributor.approve') before saving.
+const auditService = require('../services/audit.service');
+
+const plainObject = (doc) => doc.toObject({ depopulate: true, virtuals: false });
+
+// 'DistributorStaff' + 'update' -> 'distributorStaff.update'
+const actionFor = (modelName, operation) => {
+  return `${modelName.charAt(0).toLowerCase()}${modelName.slice(1)}.${operation}`;
+};
+
+const auditPlugin = (schema) => {
+  // PRE-SAVE: Remember what is about to change
+  schema.pre('save', async function() {
+    if (!auditService.currentActor()) return;
+
+    if (this.isNew) {
+      this.$locals.audit = { operation: 'create' };
+      return;
+    }
+
+    const fields = auditService.auditableFields(this.directModifiedPaths());
+    if (fields.length === 0) return;
+
+    const readable = auditService.readableFields(fields);
+    const original = readable.length > 0
+      ? await this.constructor.findById(this._id).select(readable.join(' ')).lean()
+      : {};
+
+    this.$locals.audit = {
+      operation: 'update',
+      fields,
+      before: auditService.snapshot(original || {}, fields)
+    };
+  });
+
+  // POST-SAVE: Write the log entry
+  schema.post('save', async function(doc) {
+    const audit = doc.$locals.audit;
+    if (!audit) return;
+
+    doc.$locals.audit = undefined;
+    const action = doc.$locals.auditAction || actionFor(doc.constructor.modelName, audit.operation);
+    doc.$locals.auditAction = undefined;
+
+    await auditService.record({
+      action,
+      targetModel: doc.constructor.modelName,
+      target: doc._id,
+      before: audit.before || null,
+      after: auditService.snapshot(plainObject(doc), audit.fields)
+    });
+  });
+
+  // Document deletes (doc.deleteOne())
+  schema.pre('deleteOne', { document: true, query: false }, function() {
+    if (!auditService.currentActor()) return;
+    this.$locals.auditBefore = auditService.snapshot(plainObject(this));
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    if (!doc.$locals.auditBefore) return;
+
+    await auditService.record({
+      action: doc.$locals.auditAction || actionFor(doc.constructor.modelName, 'delete'),
+      targetModel: doc.constructor.modelName,
+      target: doc._id,
+      before: doc.$locals.auditBefore
+    });
+  });
+
+  // Bulk deletes (Model.deleteMany()): one entry per removed document
+  schema.pre('deleteMany', async function() {
+    if (!auditService.currentActor()) return;
+    this.auditDeleted = await this.model.find(this.getFilter()).lean();
+  });
+
+  schema.post('deleteMany', async function() {
+    if (!this.auditDeleted) return;
+
+    for (const deleted of this.auditDeleted) {
+      await auditService.record({
+        action: actionFor(this.model.modelName, 'delete'),
+        targetModel: this.model.modelName,
+        target: deleted._id,
+        before: auditService.snapshot(deleted)
+      });
+    }
+  });
+};
+
+module.exports = auditPlugin;
@@ -0,0 +1,9 @@
+// SECURITY: Text starting with = + - @ would run as a formula when a CSV is opened in a
+// spreadsheet; exports prefix it with ' and imports strip the prefix again
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeFormula = (value) => (typeof value === 'string' && FORMULA_PATTERN.test(value) ? `'${value}` : value);
+
+const unescapeFormula = (text) => (text.startsWith('\'') && FORMULA_PATTERN.test(text.slice(1)) ? text.slice(1) : text);
+
+module.exports = { FORMULA_PATTERN, escapeFormula, unescapeFormula };
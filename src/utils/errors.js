@@ -46,11 +46,19 @@ class ConflictError extends AppError {
   }
 }
 
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests, please try again later') {
+    super(message, 429);
+    this.name = 'RateLimitError';
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
   AuthenticationError,
   AuthorizationError,
   NotFoundError,
-  ConflictError
+  ConflictError,
+  RateLimitError
 };
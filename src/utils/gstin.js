@@ -0,0 +1,141 @@
+// GSTIN (Goods and Services Tax Identification Number) validation
+//
+// Layout (15 characters): SS PPPPPPPPPP E Z C
+//   SS          state code (see GST_STATE_CODES)
+//   PPPPPPPPPP  PAN of the business
+//   E           entity number for the same PAN in the state (1-9, A-Z)
+//   Z           'Z' by default
+//   C           mod-36 check character
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// GST state codes with the state names (and common alternate spellings) they correspond to
+const GST_STATE_CODES = {
+  '01': ['Jammu and Kashmir'],
+  '02': ['Himachal Pradesh'],
+  '03': ['Punjab'],
+  '04': ['Chandigarh'],
+  '05': ['Uttarakhand', 'Uttaranchal'],
+  '06': ['Haryana'],
+  '07': ['Delhi', 'NCT of Delhi', 'New Delhi'],
+  '08': ['Rajasthan'],
+  '09': ['Uttar Pradesh'],
+  '10': ['Bihar'],
+  '11': ['Sikkim'],
+  '12': ['Arunachal Pradesh'],
+  '13': ['Nagaland'],
+  '14': ['Manipur'],
+  '15': ['Mizoram'],
+  '16': ['Tripura'],
+  '17': ['Meghalaya'],
+  '18': ['Assam'],
+  '19': ['West Bengal'],
+  '20': ['Jharkhand'],
+  '21': ['Odisha', 'Orissa'],
+  '22': ['Chhattisgarh', 'Chattisgarh'],
+  '23': ['Madhya Pradesh'],
+  '24': ['Gujarat'],
+  '25': ['Daman and Diu', 'Dadra and Nagar Haveli and Daman and Diu'],
+  '26': ['Dadra and Nagar Haveli and Daman and Diu', 'Dadra and Nagar Haveli', 'Daman and Diu'],
+  '27': ['Maharashtra'],
+  '28': ['Andhra Pradesh'],  // Pre-2014 registrations
+  '29': ['Karnataka'],
+  '30': ['Goa'],
+  '31': ['Lakshadweep'],
+  '32': ['Kerala'],
+  '33': ['Tamil Nadu'],
+  '34': ['Puducherry', 'Pondicherry'],
+  '35': ['Andaman and Nicobar Islands', 'Andaman and Nicobar'],
+  '36': ['Telangana'],
+  '37': ['Andhra Pradesh'],
+  '38': ['Ladakh'],
+  '97': ['Other Territory'],
+  '99': ['Centre Jurisdiction']
+};
+
+const normalizeStateName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z]/g, '');
+};
+
+const normalizeGstin = (gstin) => {
+  return String(gstin || '').toUpperCase().replace(/[\s-]/g, '');
+};
+
+// Mod-36 check character over the first 14 characters
+const computeCheckCharacter = (first14) => {
+  let sum = 0;
+
+  for (let i = 0; i < 14; i++) {
+    const value = CHARSET.indexOf(first14[i]);
+    const product = value * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return CHARSET[(36 - (sum % 36)) % 36];
+};
+
+const extractPan = (gstin) => normalizeGstin(gstin).slice(2, 12);
+
+// Does the GSTIN's state code belong to this state name?
+const stateMatchesCode = (stateCode, state) => {
+  const names = GST_STATE_CODES[stateCode] || [];
+  const normalized = normalizeStateName(state);
+  return !!normalized && names.some(name => normalizeStateName(name) === normalized);
+};
+
+// Full offline validation. `state` is optional; when given it is cross-checked against the state code.
+const validateGstin = (input, state) => {
+  const gstin = normalizeGstin(input);
+  const errors = [];
+
+  if (!GSTIN_PATTERN.test(gstin)) {
+    errors.push('GSTIN must be 15 characters: 2-digit state code, 10-character PAN, entity number, Z and a check character');
+    return { valid: false, gstin, errors };
+  }
+
+  const stateCode = gstin.slice(0, 2);
+  const stateNames = GST_STATE_CODES[stateCode];
+
+  if (!stateNames) {
+    errors.push(`Unknown GST state code ${stateCode}`);
+  }
+
+  const checksumValid = computeCheckCharacter(gstin.slice(0, 14)) === gstin[14];
+  if (!checksumValid) {
+    errors.push('GSTIN check character does not match. Please check for typos');
+  }
+
+  let stateMatches = null;
+  if (state !== undefined && stateNames) {
+    stateMatches = stateMatchesCode(stateCode, state);
+    if (!stateMatches) {
+      errors.push(`GSTIN state code ${stateCode} (${stateNames[0]}) does not match the business state ${state}`);
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    gstin,
+    errors,
+    stateCode,
+    stateName: stateNames ? stateNames[0] : null,
+    stateMatches,
+    checksumValid,
+    pan: gstin.slice(2, 12),
+    entityNumber: gstin[12]
+  };
+};
+
+module.exports = {
+  GSTIN_PATTERN,
+  GST_STATE_CODES,
+  normalizeGstin,
+  computeCheckCharacter,
+  extractPan,
+  stateMatchesCode,
+  validateGstin
+};
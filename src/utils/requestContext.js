@@ -0,0 +1,14 @@
+// Per-request context (request ID, the request itself) available anywhere in the
+// async call chain, e.g. inside mongoose hooks that have no access to req.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+const run = (context, fn) => storage.run(context, fn);
+
+const get = () => storage.getStore();
+
+module.exports = {
+  run,
+  get
+};
@@ -0,0 +1,16 @@
+// URL-safe lowercase slug: "Shree Cement & Steel" -> "shree-cement-and-steel"
+const slugify = (text, maxLength = 60) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength)
+    .replace(/-+$/, '');
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+module.exports = { slugify, SLUG_PATTERN };
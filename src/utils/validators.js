@@ -88,10 +88,12 @@ const validators = {
       .toInt()
   ],
 
-  // Category validation
+  // Category validation (ID or slug; existence is checked by category.service)
   category: () => body('category')
     .optional()
-    .isIn(['Cement', 'Steel', 'Bricks', 'Sand', 'Paint', 'Tiles', 'Other'])
+    .isString()
+    .trim()
+    .matches(/^([a-f0-9]{24}|[a-z0-9]+(?:-[a-z0-9]+)*)$/i)
     .withMessage('Invalid category'),
 
   // Payment method validation